@@ -0,0 +1,162 @@
+/**
+ * Doctor command - Check the claude-rio installation at project and user level.
+ * Explains every problem found and fixes what it safely can (with --fix, or after
+ * confirmation in an interactive terminal).
+ */
+
+const chalk = require('chalk');
+const { runHealthChecks } = require('../utils/health-checks');
+
+/**
+ * @typedef {import('../utils/health-checks').HealthCheck} HealthCheck
+ * @typedef {import('../utils/health-checks').LevelReport} LevelReport
+ */
+
+const STATUS_ICONS = {
+  ok: chalk.green('✓'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✗'),
+  skip: chalk.dim('-'),
+};
+
+const LEVEL_TITLES = {
+  project: 'Project level',
+  user: 'User level',
+};
+
+/**
+ * Print one check with its explanation and fix.
+ *
+ * @param {HealthCheck} check
+ * @returns {void}
+ */
+function printCheck(check) {
+  const message = check.status === 'skip' ? chalk.dim(check.message) : check.message;
+  console.log(`  ${STATUS_ICONS[check.status]} ${message}`);
+  if (check.status === 'ok' || check.status === 'skip') {
+    return;
+  }
+  if (check.explanation) {
+    check.explanation.split('\n').forEach((line) => console.log(chalk.dim(`    ${line}`)));
+  }
+  if (check.fix) {
+    console.log(chalk.cyan(`    fix: ${check.fix.description}`));
+  }
+}
+
+/**
+ * Print the report of all checks.
+ *
+ * @param {{node: HealthCheck, levels: LevelReport[]}} report
+ * @returns {void}
+ */
+function printReport(report) {
+  console.log(chalk.bold('Environment'));
+  printCheck(report.node);
+  console.log();
+
+  for (const level of report.levels) {
+    console.log(
+      `${chalk.bold(LEVEL_TITLES[level.level])} ${chalk.dim(`(${level.baseDir}/.claude)`)}`
+    );
+    level.checks.forEach(printCheck);
+    console.log();
+  }
+}
+
+/**
+ * Collect the problems (failures and warnings) of a report.
+ *
+ * @param {{node: HealthCheck, levels: LevelReport[]}} report
+ * @returns {HealthCheck[]}
+ */
+function collectProblems(report) {
+  return [report.node, ...report.levels.flatMap((level) => level.checks)].filter(
+    (check) => check.status === 'fail' || check.status === 'warn'
+  );
+}
+
+/**
+ * Ask whether to apply the fixes (interactive terminals only).
+ *
+ * @param {number} count - Number of fixes
+ * @returns {Promise<boolean>}
+ */
+async function confirmFixes(count) {
+  // Dynamic import for ESM package compatibility
+  const p = await import('@clack/prompts');
+  const answer = await p.confirm({
+    message: `Apply ${count} fix${count === 1 ? '' : 'es'}?`,
+    initialValue: true,
+  });
+  return !p.isCancel(answer) && answer === true;
+}
+
+/**
+ * Execute the doctor command.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.fix] - Apply the fixes without asking
+ * @returns {Promise<void>}
+ */
+async function doctorCommand(options) {
+  console.log(chalk.blue.bold('🩺 claude-rio doctor\n'));
+
+  const report = await runHealthChecks();
+  printReport(report);
+
+  const problems = collectProblems(report);
+  if (problems.length === 0) {
+    console.log(chalk.green.bold('No problems found.'));
+    return;
+  }
+
+  // Several problems can share a fix (e.g. re-installing a level)
+  const fixes = [
+    ...new Map(
+      problems.filter((check) => check.fix).map((check) => [check.fix.description, check.fix])
+    ).values(),
+  ];
+  console.log(
+    `${problems.length} problem${problems.length === 1 ? '' : 's'} found, ${fixes.length} fix${fixes.length === 1 ? '' : 'es'} available.`
+  );
+
+  let applyFixes = options.fix || false;
+  if (!applyFixes && fixes.length > 0) {
+    if (process.stdin.isTTY && process.stdout.isTTY) {
+      console.log();
+      applyFixes = await confirmFixes(fixes.length);
+    } else {
+      console.log(chalk.dim('Run `claude-rio doctor --fix` to apply them.'));
+    }
+  }
+
+  let remaining = problems;
+  if (applyFixes && fixes.length > 0) {
+    console.log();
+    for (const fix of fixes) {
+      try {
+        await fix.apply();
+        console.log(`${chalk.green('✓')} ${fix.description}`);
+      } catch (error) {
+        console.log(`${chalk.red('✗')} ${fix.description}: ${error.message}`);
+      }
+    }
+
+    // Check again to report what is left
+    remaining = collectProblems(await runHealthChecks());
+    console.log();
+    if (remaining.length === 0) {
+      console.log(chalk.green.bold('All problems fixed.'));
+    } else {
+      console.log(chalk.yellow(`${remaining.length} problem(s) left:`));
+      remaining.forEach(printCheck);
+    }
+  }
+
+  if (remaining.some((check) => check.status === 'fail')) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = doctorCommand;
@@ -0,0 +1,104 @@
+/**
+ * Explain command - Dry-run all matchers against a prompt.
+ * Shows what every matcher returned and the exact context Claude would receive.
+ */
+
+const chalk = require('chalk');
+const { dryRun } = require('../utils/dry-run');
+
+/**
+ * @typedef {import('../utils/dry-run').MatcherReport} MatcherReport
+ */
+
+const STATUS_COLORS = {
+  suggested: chalk.green,
+  failed: chalk.red,
+  shadowed: chalk.dim,
+  'no match': chalk.dim,
+};
+
+/**
+ * Print the table of matcher outcomes, with errors and notes below their row.
+ *
+ * @param {MatcherReport[]} reports
+ * @returns {void}
+ */
+function printReports(reports) {
+  const nameWidth = Math.max(4, ...reports.map((r) => r.name.length));
+  console.log(
+    chalk.dim(
+      `  ${'NAME'.padEnd(nameWidth)}  ${'TYPE'.padEnd(7)}  ${'LEVEL'.padEnd(7)}  ${'SOURCE'.padEnd(11)}  MATCHES  SCORE    TIME  STATUS`
+    )
+  );
+
+  for (const report of reports) {
+    const matches = report.matchCount === null ? '-' : String(report.matchCount);
+    const score = report.score === null ? '-' : report.score.toFixed(2);
+    const time = report.durationMs === null ? '-' : `${report.durationMs}ms`;
+    const color = STATUS_COLORS[report.status] || chalk.yellow;
+
+    console.log(
+      `  ${report.name.padEnd(nameWidth)}  ${report.type.padEnd(7)}  ${report.level.padEnd(7)}  ` +
+        `${report.source.padEnd(11)}  ${matches.padStart(7)}  ${score.padStart(5)}  ${time.padStart(6)}  ` +
+        color(report.status)
+    );
+    if (report.error) {
+      console.log(chalk.red(`    ↳ ${report.error}`));
+    }
+    if (report.note) {
+      console.log(chalk.dim(`    ↳ ${report.note}`));
+    }
+  }
+  console.log();
+}
+
+/**
+ * Execute the explain command.
+ *
+ * @param {string} prompt - Prompt to evaluate
+ * @param {Object} options - Command options
+ * @param {string} [options.cwd] - Project directory
+ * @param {string} [options.transcript] - Transcript path
+ * @param {boolean} [options.json] - Print the result as JSON
+ * @returns {Promise<void>}
+ */
+async function explainCommand(prompt, options) {
+  const result = await dryRun({
+    prompt,
+    cwd: options.cwd,
+    transcriptPath: options.transcript,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue.bold('🔍 claude-rio explain\n'));
+  console.log(chalk.dim(`Project: ${result.projectDir}`));
+  console.log(chalk.dim(`Transcript: ${options.transcript || 'none'}\n`));
+
+  for (const error of result.configErrors) {
+    console.log(chalk.yellow(`⚠ Invalid configuration skipped: ${error}`));
+  }
+  if (result.configErrors.length > 0) {
+    console.log();
+  }
+
+  if (result.matchers.length === 0) {
+    console.log(chalk.yellow('No matchers found in .claude/ or ~/.claude/.\n'));
+  } else {
+    printReports(result.matchers);
+  }
+
+  if (result.additionalContext === null) {
+    console.log(
+      chalk.dim('Nothing suggested: Claude receives the prompt without additional context.')
+    );
+    return;
+  }
+  console.log(chalk.bold('additionalContext sent to Claude:\n'));
+  console.log(result.additionalContext);
+}
+
+module.exports = explainCommand;
@@ -4,6 +4,7 @@
 
 const path = require('path');
 const chalk = require('chalk');
+const fs = require('fs-extra');
 const { isClaudeAvailable } = require('../utils/claude-checker');
 const {
   scanSkills,
@@ -21,9 +22,10 @@ const { selectEntities } = require('../utils/entity-selector');
  *
  * @param {boolean} isUserLevel - Generate matchers at user level (~/) instead of project level
  * @param {boolean} useInteractive - Show interactive selection (default true)
+ * @param {'cjs' | 'json'} format - Matcher format: JavaScript (cjs) or declarative JSON (json)
  * @returns {Promise<void>}
  */
-async function generateMatchers(isUserLevel, useInteractive = true) {
+async function generateMatchers(isUserLevel, useInteractive = true, format = 'cjs') {
   const startTime = Date.now();
 
   // Dynamic import for @clack/prompts
@@ -116,17 +118,17 @@ async function generateMatchers(isUserLevel, useInteractive = true) {
   // Step 4: Build prompts for each selected skill/agent/command
   const skillPrompts = [];
   for (const item of selectedEntities) {
-    // Different matcher paths for skills vs agents vs commands:
-    // - Skills (directories): <skill-dir>/rio/UserPromptSubmit.rio.matcher.cjs
-    // - Agents (.md files): <agents-dir>/<agent-name>.rio.matcher.cjs (sibling to .md file)
-    // - Commands (.md files): <commands-dir>/<command-name>.rio.matcher.cjs (sibling to .md file)
+    // Different matcher paths for skills vs agents vs commands (<ext> is cjs or json):
+    // - Skills (directories): <skill-dir>/rio/UserPromptSubmit.rio.matcher.<ext>
+    // - Agents (.md files): <agents-dir>/<agent-name>.rio.matcher.<ext> (sibling to .md file)
+    // - Commands (.md files): <commands-dir>/<command-name>.rio.matcher.<ext> (sibling to .md file)
     let matcherFilePath;
     if (item.type === 'agent' || item.type === 'command') {
-      // Agent/command path is the .md file, matcher is sibling with .rio.matcher.cjs extension
-      matcherFilePath = item.path.replace(/\.md$/, '.rio.matcher.cjs');
+      // Agent/command path is the .md file, matcher is sibling with .rio.matcher.<ext> extension
+      matcherFilePath = item.path.replace(/\.md$/, `.rio.matcher.${format}`);
     } else {
       // Skill path is the directory, matcher is in rio subdirectory
-      matcherFilePath = path.join(item.path, 'rio', 'UserPromptSubmit.rio.matcher.cjs');
+      matcherFilePath = path.join(item.path, 'rio', `UserPromptSubmit.rio.matcher.${format}`);
     }
 
     const prompt = await buildPrompt({
@@ -134,6 +136,7 @@ async function generateMatchers(isUserLevel, useInteractive = true) {
       skillName: item.name,
       skillPath: item.path,
       matcherFilePath: matcherFilePath,
+      format: format,
     });
 
     skillPrompts.push({
@@ -223,6 +226,23 @@ async function generateMatchers(isUserLevel, useInteractive = true) {
       console.log(chalk.dim(`  ${filePath}`));
     });
     console.log();
+
+    // Warn about entities that now have a matcher in both formats
+    const otherFormat = format === 'json' ? 'cjs' : 'json';
+    const duplicates = [];
+    for (const filePath of results.created) {
+      const otherPath = filePath.replace(/\.(cjs|json)$/, `.${otherFormat}`);
+      if (await fs.pathExists(otherPath)) {
+        duplicates.push(otherPath);
+      }
+    }
+    if (duplicates.length > 0) {
+      console.log(chalk.yellow(`⚠ These entities also have a .${otherFormat} matcher:`));
+      duplicates.forEach((filePath) => console.log(chalk.dim(`  ${filePath}`)));
+      console.log(
+        chalk.dim('Only one matcher per entity is used - remove the one you no longer need.\n')
+      );
+    }
   }
 
   if (results.failed.length > 0) {
@@ -261,12 +281,19 @@ async function generateMatchers(isUserLevel, useInteractive = true) {
  * @param {Object} options - Command options
  * @param {boolean} [options.user] - Generate at user level (~/) instead of project level
  * @param {boolean} [options.all] - Generate for all entities without interactive selection
+ * @param {string} [options.format] - Matcher format: "cjs" (JavaScript, default) or "json" (declarative)
  * @returns {Promise<void>}
  */
 async function generateMatchersCommand(options) {
   const isUserLevel = options.user || false;
   const useInteractive = !options.all; // Interactive unless --all flag is set
-  await generateMatchers(isUserLevel, useInteractive);
+  const format = options.format || 'cjs';
+
+  if (!['cjs', 'json'].includes(format)) {
+    throw new Error(`Unknown matcher format "${format}" (expected: cjs, json)`);
+  }
+
+  await generateMatchers(isUserLevel, useInteractive, format);
 }
 
 module.exports = generateMatchersCommand;
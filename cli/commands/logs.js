@@ -0,0 +1,291 @@
+/**
+ * Logs command - Show hook activity recorded in the logs.
+ * Groups log entries per hook invocation, filters them and optionally follows new entries.
+ */
+
+const fsp = require('fs/promises');
+const chalk = require('chalk');
+const {
+  findLogsDir,
+  listLogFiles,
+  parseEntries,
+  readEntries,
+  groupInvocations,
+  matchesEntry,
+  matchesSession,
+  filterInvocations,
+  parseDateOption,
+} = require('../utils/log-reader');
+
+/**
+ * @typedef {import('../utils/log-reader').LogEntry} LogEntry
+ * @typedef {import('../utils/log-reader').Invocation} Invocation
+ * @typedef {import('../utils/log-reader').LogFilters} LogFilters
+ */
+
+/** Poll interval of --follow. */
+const FOLLOW_INTERVAL_MS = 500;
+
+/** Log files rotated by the hook: `<hook>-YYYY-MM-DD.log` renamed to `<hook>-YYYY-MM-DD.N.log`. */
+const ROTATED_LOG_PATTERN = /^(.*)\.\d+\.log$/;
+
+/** Fields shown in the entry line itself rather than as details. */
+const ENTRY_FIELDS = ['timestamp', 'invocationId', 'sessionId', 'level', 'event'];
+
+/** Maximum length of a detail value in the pretty output. */
+const MAX_VALUE_LENGTH = 120;
+
+const LEVEL_COLORS = {
+  debug: chalk.dim,
+  info: chalk.green,
+  warn: chalk.yellow,
+  error: chalk.red,
+};
+
+/**
+ * Build the filters from the command options.
+ *
+ * @param {Object} options - Command options
+ * @returns {LogFilters}
+ */
+function buildFilters(options) {
+  /** @type {LogFilters} */
+  const filters = {
+    session: options.session,
+    matcher: options.matcher,
+    events: options.event
+      ? options.event
+          .split(',')
+          .map((event) => event.trim())
+          .filter(Boolean)
+      : [],
+  };
+
+  if (options.since) {
+    filters.since = parseDateOption(options.since);
+    if (!filters.since) {
+      throw new Error(`Invalid --since value "${options.since}" (expected a date or 30m, 2h, 7d)`);
+    }
+  }
+  if (options.until) {
+    filters.until = parseDateOption(options.until, { endOfDay: true });
+    if (!filters.until) {
+      throw new Error(`Invalid --until value "${options.until}" (expected a date or 30m, 2h, 7d)`);
+    }
+  }
+  return filters;
+}
+
+/**
+ * Format a detail value for the pretty output.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Print the header line of an invocation.
+ *
+ * @param {{invocationId: string, sessionId: string|null, startedAt: string, prompt: string|null}} invocation
+ * @returns {void}
+ */
+function printInvocationHeader(invocation) {
+  const startedAt = invocation.startedAt.replace('T', ' ').slice(0, 19);
+  const session = invocation.sessionId ? invocation.sessionId.slice(0, 8) : '-';
+  console.log(
+    `${chalk.cyan('━━')} ${startedAt}  ${chalk.bold(invocation.invocationId)}  ${chalk.dim(`session ${session}`)}`
+  );
+  if (invocation.prompt !== null) {
+    console.log(`   ${chalk.dim('prompt:')} ${formatValue(invocation.prompt)}`);
+  }
+}
+
+/**
+ * Print one log entry.
+ *
+ * @param {LogEntry} entry
+ * @returns {void}
+ */
+function printEntry(entry) {
+  const level = entry.level || 'info';
+  const color = LEVEL_COLORS[level] || chalk.white;
+  const details = Object.entries(entry)
+    .filter(([key]) => !ENTRY_FIELDS.includes(key))
+    .map(([key, value]) => `${key}=${formatValue(value)}`)
+    .join(' ');
+
+  console.log(
+    `   ${chalk.dim(entry.timestamp.slice(11, 23))} ${color(level.padEnd(5))} ${chalk.bold(entry.event || '-')} ${chalk.dim(details)}`
+  );
+}
+
+/**
+ * Print invocations.
+ *
+ * @param {Invocation[]} invocations
+ * @param {boolean} asJson - One JSON line per invocation
+ * @returns {void}
+ */
+function printInvocations(invocations, asJson) {
+  for (const invocation of invocations) {
+    if (asJson) {
+      console.log(JSON.stringify(invocation));
+      continue;
+    }
+    printInvocationHeader(invocation);
+    invocation.entries.forEach(printEntry);
+    console.log();
+  }
+}
+
+/**
+ * Read the complete lines appended to a file since `offset`.
+ *
+ * @param {string} filePath
+ * @param {number} offset
+ * @param {number} size - Current file size
+ * @returns {Promise<{text: string, end: number}>} Text of the complete lines and the offset after them
+ */
+async function readAppended(filePath, offset, size) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(size - offset);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+    const lastNewline = buffer.subarray(0, bytesRead).lastIndexOf(10);
+    if (lastNewline === -1) {
+      return { text: '', end: offset };
+    }
+    return { text: buffer.toString('utf8', 0, lastNewline), end: offset + lastNewline + 1 };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Get the path a rotated log file had before the hook renamed it.
+ *
+ * @param {string} filePath
+ * @returns {string|null} null when the file is not a rotated log file
+ */
+function getRotationSource(filePath) {
+  const match = ROTATED_LOG_PATTERN.exec(filePath);
+  return match ? `${match[1]}.log` : null;
+}
+
+/**
+ * Print new entries as they are logged, until interrupted.
+ * Entries are printed one by one; a header is printed when the invocation changes.
+ *
+ * @param {string} logsDir
+ * @param {LogFilters} filters
+ * @param {boolean} asJson - One JSON line per entry
+ * @returns {Promise<never>}
+ */
+async function followLogs(logsDir, filters, asJson) {
+  const offsets = new Map((await listLogFiles(logsDir)).map((file) => [file.filePath, file.size]));
+  let lastInvocationId = null;
+
+  if (!asJson) {
+    console.log(chalk.dim('Following new entries (Ctrl+C to stop)...\n'));
+  }
+
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, FOLLOW_INTERVAL_MS));
+
+    const files = await listLogFiles(logsDir);
+
+    // A file rotated since the last poll continues where its old name was read up to,
+    // and the old name now belongs to a new file. Only genuinely new files start at 0.
+    for (const file of files) {
+      if (offsets.has(file.filePath)) continue;
+      const sourcePath = getRotationSource(file.filePath);
+      if (sourcePath && offsets.has(sourcePath)) {
+        offsets.set(file.filePath, offsets.get(sourcePath));
+        offsets.set(sourcePath, 0);
+      }
+    }
+
+    for (const file of files) {
+      let offset = offsets.get(file.filePath) || 0;
+      // A smaller file was truncated or recreated: read it from the start
+      if (file.size < offset) offset = 0;
+      if (file.size === offset) continue;
+
+      const { text, end } = await readAppended(file.filePath, offset, file.size);
+      offsets.set(file.filePath, end);
+
+      for (const entry of parseEntries(text)) {
+        const sessionId = entry.sessionId || null;
+        if (!matchesSession(sessionId, filters) || !matchesEntry(entry, filters)) continue;
+
+        if (asJson) {
+          console.log(JSON.stringify(entry));
+          continue;
+        }
+
+        const invocationId = entry.invocationId || '-';
+        if (invocationId !== lastInvocationId) {
+          lastInvocationId = invocationId;
+          console.log();
+          printInvocationHeader({
+            invocationId,
+            sessionId,
+            startedAt: entry.timestamp,
+            prompt: null,
+          });
+        }
+        printEntry(entry);
+      }
+    }
+  }
+}
+
+/**
+ * Execute the logs command.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.user] - Read the logs of the user-level (~/) installation
+ * @param {string} [options.dir] - Log directory (overrides the configured one)
+ * @param {string} [options.session] - Session id or prefix
+ * @param {string} [options.matcher] - Skill/agent/command name
+ * @param {string} [options.event] - Comma-separated event names
+ * @param {string} [options.since] - Earliest entry date/time or duration
+ * @param {string} [options.until] - Latest entry date/time or duration
+ * @param {string} [options.limit] - Number of invocations to show (0 = all)
+ * @param {boolean} [options.follow] - Keep printing new entries
+ * @param {boolean} [options.json] - Print JSON lines
+ * @returns {Promise<void>}
+ */
+async function logsCommand(options) {
+  const filters = buildFilters(options);
+  const limit = Number.parseInt(options.limit ?? '20', 10);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`Invalid --limit value "${options.limit}" (expected a non-negative integer)`);
+  }
+
+  const logsDir = await findLogsDir(options);
+  const entries = await readEntries(logsDir, filters.since);
+  let invocations = filterInvocations(groupInvocations(entries), filters);
+  if (limit > 0) {
+    invocations = invocations.slice(-limit);
+  }
+
+  if (!options.json) {
+    console.log(chalk.blue.bold('📜 claude-rio logs\n'));
+    console.log(chalk.dim(`Logs: ${logsDir}\n`));
+    if (invocations.length === 0) {
+      console.log(chalk.yellow('No matching log entries.\n'));
+    }
+  }
+  printInvocations(invocations, options.json || false);
+
+  if (options.follow) {
+    await followLogs(logsDir, filters, options.json || false);
+  }
+}
+
+module.exports = logsCommand;
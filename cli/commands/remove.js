@@ -7,6 +7,14 @@ const path = require('path');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 
+/**
+ * Skill matcher filenames inside <skill-dir>/rio/ (JavaScript and declarative JSON)
+ */
+const SKILL_MATCHER_FILENAMES = [
+  'UserPromptSubmit.rio.matcher.cjs',
+  'UserPromptSubmit.rio.matcher.json',
+];
+
 /**
  * Remove hooks directory
  *
@@ -46,15 +54,19 @@ async function removeSkillMatchers(targetDir) {
 
   for (const entry of entries) {
     if (entry.isDirectory()) {
-      const matcherPath = path.join(skillsDir, entry.name, 'rio', 'UserPromptSubmit.matcher.cjs');
-      const matcherExists = await fs.pathExists(matcherPath);
-
-      if (matcherExists) {
-        await fs.remove(matcherPath);
-        count++;
+      const rioDir = path.join(skillsDir, entry.name, 'rio');
+
+      // JavaScript and declarative JSON matchers
+      for (const filename of SKILL_MATCHER_FILENAMES) {
+        const matcherPath = path.join(rioDir, filename);
+        if (await fs.pathExists(matcherPath)) {
+          await fs.remove(matcherPath);
+          count++;
+        }
+      }
 
-        // Remove empty rio directory
-        const rioDir = path.join(skillsDir, entry.name, 'rio');
+      // Remove empty rio directory
+      if (await fs.pathExists(rioDir)) {
         const rioContents = await fs.readdir(rioDir);
         if (rioContents.length === 0) {
           await fs.remove(rioDir);
@@ -82,11 +94,11 @@ async function removeAgentMatchers(targetDir) {
     return 0;
   }
 
-  // Find all .rio.matcher.cjs files (agent matchers)
+  // Find all .rio.matcher.cjs and .rio.matcher.json files (agent matchers)
   const entries = await fs.readdir(agentsDir, { withFileTypes: true });
 
   for (const entry of entries) {
-    if (entry.isFile() && entry.name.endsWith('.rio.matcher.cjs')) {
+    if (entry.isFile() && /\.rio\.matcher\.(cjs|json)$/.test(entry.name)) {
       const matcherPath = path.join(agentsDir, entry.name);
       await fs.remove(matcherPath);
       count++;
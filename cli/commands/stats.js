@@ -0,0 +1,164 @@
+/**
+ * Stats command - Show how often suggestions are made and followed.
+ * Reads the statistics recorded by the installed hook for the current project.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const store = require('../../hooks/utils/store.cjs');
+const { scanSkills } = require('../utils/skill-scanner');
+
+/**
+ * @typedef {import('../../hooks/UserPromptSubmit/types').EntityStats} EntityStats
+ * @typedef {import('../../hooks/UserPromptSubmit/types').ProjectStats} ProjectStats
+ */
+
+/**
+ * Format the acceptance rate of an entity.
+ * Suggestions that were not correlated yet (the latest one in a session) are not counted.
+ *
+ * @param {EntityStats} entity
+ * @returns {string} Percentage, or "-" when no suggestion was correlated yet
+ */
+function formatAcceptanceRate(entity) {
+  const decided = entity.accepted + entity.ignored;
+  if (decided === 0) {
+    return '-';
+  }
+  return `${Math.round((entity.accepted / decided) * 100)}%`;
+}
+
+/**
+ * Print the statistics table and never-suggested matchers of one level.
+ *
+ * @param {string} title - Section title
+ * @param {EntityStats[]} entities - Entities suggested at this level
+ * @param {Array<{name: string, type: string}>} neverSuggested - Entities with a matcher that never fired
+ * @returns {void}
+ */
+function printLevel(title, entities, neverSuggested) {
+  console.log(chalk.bold(title));
+
+  if (entities.length === 0) {
+    console.log(chalk.dim('  No suggestions recorded yet'));
+  } else {
+    const nameWidth = Math.max(4, ...entities.map((e) => e.name.length));
+    const header = `  ${'NAME'.padEnd(nameWidth)}  ${'TYPE'.padEnd(7)}  SUGGESTED  ACCEPTED  IGNORED  ACCEPTANCE`;
+    console.log(chalk.dim(header));
+
+    const sorted = [...entities].sort((a, b) => b.suggested - a.suggested);
+    for (const entity of sorted) {
+      console.log(
+        `  ${entity.name.padEnd(nameWidth)}  ${entity.type.padEnd(7)}  ` +
+          `${String(entity.suggested).padStart(9)}  ${String(entity.accepted).padStart(8)}  ` +
+          `${String(entity.ignored).padStart(7)}  ${formatAcceptanceRate(entity).padStart(10)}`
+      );
+    }
+  }
+
+  if (neverSuggested.length > 0) {
+    console.log(chalk.yellow(`  Never suggested (${neverSuggested.length}):`));
+    neverSuggested.forEach((item) => console.log(chalk.dim(`    ${item.name} (${item.type})`)));
+  }
+
+  console.log();
+}
+
+/**
+ * Find the project the hook recorded statistics for when run from startDir.
+ * The hook keys statistics on CLAUDE_PROJECT_DIR, the directory Claude Code was started
+ * in, so this is the closest directory at or above startDir that has statistics in
+ * stateDir or a `.claude` directory. The search stops below the home directory, whose
+ * `.claude` is the user level; without a match startDir itself is used.
+ *
+ * @param {string} startDir
+ * @param {string} homeDir
+ * @param {function(string): string} getStateDir - State directory for a project directory
+ * @returns {string}
+ */
+function findProjectDir(startDir, homeDir, getStateDir) {
+  const start = path.resolve(startDir);
+  for (let dir = start; dir !== path.resolve(homeDir); dir = path.dirname(dir)) {
+    if (
+      fs.existsSync(store.getStatsPath(dir, getStateDir(dir))) ||
+      fs.existsSync(path.join(dir, '.claude'))
+    ) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) break;
+  }
+  return start;
+}
+
+/**
+ * Show suggestion statistics for a project
+ *
+ * @param {boolean} isUserLevel - Read statistics of the user-level (~/) installation
+ * @param {string} [project] - Project directory (default: found from the current directory)
+ * @returns {Promise<void>}
+ */
+async function showStats(isUserLevel, project) {
+  const homeDir = os.homedir();
+  const getStateDir = (dir) =>
+    path.join(isUserLevel ? homeDir : dir, '.claude', 'hooks', 'rio', 'state');
+  const projectDir = project
+    ? path.resolve(project)
+    : findProjectDir(process.cwd(), homeDir, getStateDir);
+  const stateDir = getStateDir(projectDir);
+  const installationType = isUserLevel ? 'user-level' : 'project-level';
+
+  console.log(chalk.blue.bold(`📊 claude-rio stats (${installationType} installation)\n`));
+  console.log(chalk.dim(`Project: ${projectDir}\n`));
+
+  const statsRes = await store.readJsonFile(store.getStatsPath(projectDir, stateDir));
+  if (!statsRes.ok) {
+    throw new Error(`Cannot read statistics: ${statsRes.error}`);
+  }
+
+  /** @type {ProjectStats} */
+  const stats = statsRes.value || { projectDir, updatedAt: '', entities: {} };
+  const entities = Object.values(stats.entities);
+
+  if (!statsRes.value) {
+    console.log(chalk.yellow('No statistics recorded for this project yet.'));
+    console.log(chalk.dim(`Looked in: ${stateDir}\n`));
+  }
+
+  // Levels to report; when the project is the home directory there is only one
+  const levels = [{ level: 'project', title: 'Project level (.claude)', baseDir: projectDir }];
+  if (path.resolve(projectDir) !== path.resolve(homeDir)) {
+    levels.push({ level: 'user', title: 'User level (~/.claude)', baseDir: homeDir });
+  }
+
+  for (const { level, title, baseDir } of levels) {
+    const levelEntities = entities.filter((e) => e.level === level);
+    const { haveMatchers } = await scanSkills(baseDir);
+    const neverSuggested = haveMatchers.filter((item) => {
+      const entity = stats.entities[`${item.type}:${item.name}`];
+      return !entity || entity.suggested === 0;
+    });
+
+    printLevel(title, levelEntities, neverSuggested);
+  }
+
+  if (stats.updatedAt) {
+    console.log(chalk.dim(`Last updated: ${stats.updatedAt}`));
+  }
+}
+
+/**
+ * Execute the stats command.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.user] - Read statistics of the user-level (~/) installation
+ * @param {string} [options.project] - Project directory
+ * @returns {Promise<void>}
+ */
+async function statsCommand(options) {
+  const isUserLevel = options.user || false;
+  await showStats(isUserLevel, options.project);
+}
+
+module.exports = statsCommand;
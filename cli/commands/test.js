@@ -0,0 +1,139 @@
+/**
+ * Test command - Run the fixtures shipped next to matchers.
+ * Every fixture prompt runs through the hook pipeline; the command exits with code 1
+ * when a fixture fails, so it can gate CI.
+ */
+
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  findMatcherPaths,
+  describeMatcherPath,
+  resolveCollisions,
+} = require('../../hooks/UserPromptSubmit/discovery.cjs');
+const { loadEffectiveConfig } = require('../../hooks/UserPromptSubmit/handler.cjs');
+const { evaluatePrompt } = require('../utils/dry-run');
+const { getFixturesPath, loadFixtures } = require('../utils/fixtures');
+
+/**
+ * @typedef {import('../../hooks/UserPromptSubmit/types').MatcherFile} MatcherFile
+ * @typedef {import('../../hooks/utils/config.cjs').RioConfig} RioConfig
+ * @typedef {import('../utils/fixtures').FixtureCase} FixtureCase
+ */
+
+/**
+ * Run one fixture against its matcher.
+ *
+ * @param {MatcherFile} matcher
+ * @param {FixtureCase} fixture
+ * @param {RioConfig} config
+ * @returns {Promise<{passed: boolean, detail: string}>}
+ */
+async function runFixture(matcher, fixture, config) {
+  const { reports } = await evaluatePrompt({
+    prompt: fixture.prompt,
+    cwd: fixture.cwd,
+    transcriptPath: fixture.transcriptPath,
+    matchers: [matcher],
+    config,
+  });
+  const report = reports[0];
+
+  if (report.status === 'failed') {
+    return { passed: false, detail: report.error };
+  }
+
+  const count = report.matchCount;
+  const matches = `${count} ${count === 1 ? 'match' : 'matches'}`;
+  if (fixture.expect === 'match') {
+    return count >= fixture.minMatchCount
+      ? { passed: true, detail: matches }
+      : { passed: false, detail: `${matches}, expected at least ${fixture.minMatchCount}` };
+  }
+  return count === 0
+    ? { passed: true, detail: 'no match' }
+    : { passed: false, detail: `${matches}, expected none` };
+}
+
+/**
+ * Execute the test command.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.user] - Test the user-level (~/) matchers
+ * @param {string} [options.matcher] - Only test this skill/agent/command
+ * @returns {Promise<void>}
+ */
+async function testCommand(options) {
+  const baseDir = options.user ? os.homedir() : process.cwd();
+  const installationType = options.user ? 'user-level' : 'project-level';
+  const { config } = await loadEffectiveConfig(baseDir);
+
+  // Only the matchers of one level: project and home dir are the same root here
+  const discovered = findMatcherPaths({ projectDir: baseDir, homeDir: baseDir }).map(
+    (matcherPath) => describeMatcherPath(matcherPath, { projectDir: baseDir, homeDir: baseDir })
+  );
+  let matchers = resolveCollisions(discovered, config.precedence).kept;
+  if (options.matcher) {
+    matchers = matchers.filter((matcher) => matcher.name === options.matcher);
+    if (matchers.length === 0) {
+      throw new Error(`No matcher found for "${options.matcher}"`);
+    }
+  }
+
+  console.log(chalk.blue.bold(`🧪 claude-rio test (${installationType} matchers)\n`));
+
+  let passed = 0;
+  let failed = 0;
+  const withoutFixtures = [];
+
+  for (const matcher of matchers) {
+    const fixturesRes = await loadFixtures(matcher, baseDir);
+    if (fixturesRes.ok && fixturesRes.value === null) {
+      withoutFixtures.push(matcher.name);
+      continue;
+    }
+
+    const fixturesPath = path.relative(baseDir, getFixturesPath(matcher));
+    console.log(
+      `${chalk.bold(matcher.name)} ${chalk.dim(`(${matcher.detectedType}, ${matcher.source})  ${fixturesPath}`)}`
+    );
+
+    if (!fixturesRes.ok) {
+      failed++;
+      console.log(chalk.red(`  ✗ invalid fixtures: ${fixturesRes.error}\n`));
+      continue;
+    }
+
+    for (const fixture of fixturesRes.value) {
+      const result = await runFixture(matcher, fixture, config);
+      const label = fixture.expect === 'match' ? 'match   ' : 'no match';
+      const prompt = JSON.stringify(fixture.prompt);
+      if (result.passed) {
+        passed++;
+        console.log(`  ${chalk.green('✓')} ${label} ${prompt} ${chalk.dim(`(${result.detail})`)}`);
+      } else {
+        failed++;
+        console.log(`  ${chalk.red('✗')} ${label} ${prompt} ${chalk.red(`→ ${result.detail}`)}`);
+      }
+    }
+    console.log();
+  }
+
+  if (withoutFixtures.length > 0) {
+    console.log(chalk.dim(`No fixtures: ${withoutFixtures.join(', ')}\n`));
+  }
+
+  if (passed + failed === 0) {
+    console.log(chalk.yellow('No fixtures found.'));
+    return;
+  }
+
+  const summary = `${passed} passed, ${failed} failed`;
+  console.log(failed > 0 ? chalk.red.bold(summary) : chalk.green.bold(summary));
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = testCommand;
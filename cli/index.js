@@ -32,6 +32,7 @@ program
   .description('Generate matchers for all skills and agents using Claude Haiku')
   .option('-u, --user', 'Generate matchers at user level (~/.claude)')
   .option('-a, --all', 'Generate for all entities without interactive selection')
+  .option('-f, --format <format>', 'Matcher format: cjs (JavaScript) or json (declarative)', 'cjs')
   .action(async (options) => {
     try {
       const generateMatchersCommand = require('./commands/generate-matchers');
@@ -42,6 +43,92 @@ program
     }
   });
 
+program
+  .command('stats')
+  .description('Show how often suggestions are made and followed in the current project')
+  .option('-u, --user', 'Read statistics of the user-level installation (~/.claude)')
+  .option(
+    '-p, --project <dir>',
+    'Project directory (default: closest parent of the current directory with a .claude directory)'
+  )
+  .action(async (options) => {
+    try {
+      const statsCommand = require('./commands/stats');
+      await statsCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('logs')
+  .description('Show hook activity from the logs, grouped per invocation')
+  .option('-u, --user', 'Read the logs of the user-level installation (~/.claude)')
+  .option('-d, --dir <dir>', 'Read the logs in this directory')
+  .option('-s, --session <id>', 'Only show this session (id or prefix)')
+  .option('-m, --matcher <name>', 'Only show entries about this skill, agent or command')
+  .option('-e, --event <events>', 'Only show these events (comma-separated)')
+  .option('--since <date>', 'Only show entries since a date/time or a duration (30m, 2h, 7d)')
+  .option('--until <date>', 'Only show entries until a date/time or a duration')
+  .option('-n, --limit <n>', 'Show the last n invocations (0 = all)', '20')
+  .option('-f, --follow', 'Keep printing new entries as they are logged')
+  .option('--json', 'Print JSON lines: one per invocation, or one per entry when following')
+  .action(async (options) => {
+    try {
+      const logsCommand = require('./commands/logs');
+      await logsCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('explain <prompt>')
+  .description('Dry-run all matchers against a prompt and show what Claude would receive')
+  .option('-C, --cwd <dir>', 'Project directory (defaults to the current directory)')
+  .option('-t, --transcript <path>', 'Transcript the matchers read the conversation from')
+  .option('--json', 'Print the result as JSON')
+  .action(async (prompt, options) => {
+    try {
+      const explainCommand = require('./commands/explain');
+      await explainCommand(prompt, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('test')
+  .description('Run the fixtures shipped next to matchers (exits with code 1 on failure)')
+  .option('-u, --user', 'Test the user-level matchers (~/.claude)')
+  .option('-m, --matcher <name>', 'Only test this skill, agent or command')
+  .action(async (options) => {
+    try {
+      const testCommand = require('./commands/test');
+      await testCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Check the claude-rio installation at project and user level')
+  .option('--fix', 'Fix what can be fixed safely without asking')
+  .action(async (options) => {
+    try {
+      const doctorCommand = require('./commands/doctor');
+      await doctorCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('remove')
   .description('Remove claude-rio framework and all generated matchers')
@@ -7,6 +7,16 @@ const fs = require('fs-extra');
 const path = require('path');
 const { isWindows, isUnix } = require('./platform');
 
+/**
+ * Directories written by the installed hook at runtime (never copied from the package)
+ */
+const RUNTIME_DIRS = ['logs', 'cache', 'state'];
+
+/**
+ * Hooks directory of the package (flat structure in repo)
+ */
+const HOOKS_SOURCE = path.join(__dirname, '..', '..', 'hooks');
+
 /**
  * Copy hook templates to target directory with OS-specific script selection.
  * Automatically merges with existing settings.json if present.
@@ -20,10 +30,6 @@ async function copyTemplates(targetDir, options = {}) {
   const { isUserLevel = false } = options;
 
   try {
-    // Determine source directories (flat structure in repo)
-    const sourceRoot = path.join(__dirname, '..', '..');
-    const hooksSource = path.join(sourceRoot, 'hooks');
-
     // Determine target directories (add rio namespace during install)
     const claudeDir = path.join(targetDir, '.claude');
     const hooksTarget = path.join(claudeDir, 'hooks', 'rio');
@@ -32,7 +38,7 @@ async function copyTemplates(targetDir, options = {}) {
     await fs.ensureDir(hooksTarget);
 
     // Copy hooks with OS-specific filtering
-    await copyHooksWithOSFilter(hooksSource, hooksTarget);
+    await copyHooksWithOSFilter(HOOKS_SOURCE, hooksTarget);
 
     // Create settings.json
     await createSettingsJson(claudeDir, isUserLevel);
@@ -52,26 +58,10 @@ async function copyTemplates(targetDir, options = {}) {
  * @returns {Promise<void>}
  */
 async function copyHooksWithOSFilter(source, target) {
-  const excludeWrapper = isWindows() ? 'hook.sh' : 'hook.ps1';
-
   // Copy hooks directory with filtering
   await fs.copy(source, target, {
     overwrite: true,
-    filter: (src) => {
-      const filename = path.basename(src);
-
-      // Exclude the wrapper for the other OS
-      if (filename === excludeWrapper) {
-        return false;
-      }
-
-      // Exclude logs directory if it exists
-      if (filename === 'logs' && fs.statSync(src).isDirectory()) {
-        return false;
-      }
-
-      return true;
-    },
+    filter: shouldCopyHookPath,
   });
 
   // Make shell scripts executable on Unix
@@ -80,6 +70,51 @@ async function copyHooksWithOSFilter(source, target) {
   }
 }
 
+/**
+ * Check whether a path of the hooks directory is installed on this OS.
+ *
+ * @param {string} src - File or directory in the source hooks directory
+ * @returns {boolean}
+ */
+function shouldCopyHookPath(src) {
+  const filename = path.basename(src);
+
+  // Exclude the wrapper for the other OS
+  if (filename === (isWindows() ? 'hook.sh' : 'hook.ps1')) {
+    return false;
+  }
+
+  // Exclude runtime directories (logs, discovery index cache, state store) if they exist
+  if (RUNTIME_DIRS.includes(filename) && fs.statSync(src).isDirectory()) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * List the hook files installed on this OS, relative to the hooks directory.
+ *
+ * @param {string} [source] - Source hooks directory
+ * @returns {Promise<string[]>}
+ */
+async function listHookFiles(source = HOOKS_SOURCE) {
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (!shouldCopyHookPath(fullPath)) continue;
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else {
+        files.push(path.relative(source, fullPath));
+      }
+    }
+  };
+  await walk(source);
+  return files.sort();
+}
+
 /**
  * Make all .sh files executable (Unix only).
  *
@@ -157,9 +192,7 @@ async function createSettingsJson(claudeDir, isUserLevel = false) {
     const alreadyExists = settings.hooks[hookType].some((hookGroup) => {
       if (!hookGroup.hooks || !Array.isArray(hookGroup.hooks)) return false;
 
-      return hookGroup.hooks.some(
-        (hook) => hook.command && hook.command.includes('.claude/hooks/rio/' + hookType)
-      );
+      return hookGroup.hooks.some((hook) => isRioHook(hookType, hook));
     });
 
     // Only add if not already present
@@ -173,6 +206,43 @@ async function createSettingsJson(claudeDir, isUserLevel = false) {
   await fs.writeJson(settingsPath, settings, { spaces: 2 });
 }
 
+/**
+ * Check whether a settings.json hook command runs the claude-rio hook.
+ *
+ * @param {string} hookType - Hook event (e.g. "UserPromptSubmit")
+ * @param {{command?: string}} hook - Hook entry
+ * @returns {boolean}
+ */
+function isRioHook(hookType, hook) {
+  return Boolean(hook.command && hook.command.includes('.claude/hooks/rio/' + hookType));
+}
+
+/**
+ * Remove the claude-rio hook commands from settings.json, keeping the user's other hooks.
+ * Hook groups left empty are dropped.
+ *
+ * @param {string} claudeDir - .claude directory path
+ * @returns {Promise<void>}
+ */
+async function removeSettingsEntries(claudeDir) {
+  const settingsPath = path.join(claudeDir, 'settings.json');
+  const settings = await fs.readJson(settingsPath);
+  if (!settings.hooks) return;
+
+  for (const [hookType, hookGroups] of Object.entries(settings.hooks)) {
+    if (!Array.isArray(hookGroups)) continue;
+    settings.hooks[hookType] = hookGroups
+      .map((hookGroup) =>
+        Array.isArray(hookGroup.hooks)
+          ? { ...hookGroup, hooks: hookGroup.hooks.filter((hook) => !isRioHook(hookType, hook)) }
+          : hookGroup
+      )
+      .filter((hookGroup) => !Array.isArray(hookGroup.hooks) || hookGroup.hooks.length > 0);
+  }
+
+  await fs.writeJson(settingsPath, settings, { spaces: 2 });
+}
+
 /**
  * Validate that the target directory is suitable for installation.
  *
@@ -201,9 +271,13 @@ async function validateTargetDirectory(targetDir) {
 }
 
 module.exports = {
+  HOOKS_SOURCE,
   copyTemplates,
   copyHooksWithOSFilter,
+  listHookFiles,
   makeScriptsExecutable,
   createSettingsJson,
+  isRioHook,
+  removeSettingsEntries,
   validateTargetDirectory,
 };
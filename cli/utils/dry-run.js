@@ -0,0 +1,289 @@
+/**
+ * Dry-run utility
+ * Runs the hook pipeline for a prompt without Claude Code: matchers are discovered like
+ * hook.sh does and run through the handler's runMatchers. Nothing is logged and no
+ * suggestion is recorded (used by the explain and test commands).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const transcript = require('../../hooks/utils/transcript.cjs');
+const { loadLearnedVocabulary } = require('../../hooks/UserPromptSubmit/vocabulary.cjs');
+const {
+  findMatcherPaths,
+  describeMatcherPath,
+  resolveCollisions,
+} = require('../../hooks/UserPromptSubmit/discovery.cjs');
+const {
+  loadEffectiveConfig,
+  createContextData,
+  runMatchers,
+} = require('../../hooks/UserPromptSubmit/handler.cjs');
+const { formatActiveSkillsAsDirective } = require('../../hooks/UserPromptSubmit/formatter.cjs');
+
+/**
+ * @typedef {import('../../hooks/UserPromptSubmit/types').ActiveSkill} ActiveSkill
+ * @typedef {import('../../hooks/UserPromptSubmit/types').MatcherFile} MatcherFile
+ * @typedef {import('../../hooks/UserPromptSubmit/types').LearnedVocabulary} LearnedVocabulary
+ * @typedef {import('../../hooks/utils/config.cjs').RioConfig} RioConfig
+ */
+
+/**
+ * Outcome of one discovered matcher.
+ *
+ * @typedef {Object} MatcherReport
+ * @property {string} name - Entity name
+ * @property {string} type - skill, agent or command (as returned by the matcher, if it did)
+ * @property {'project' | 'user'} level
+ * @property {'file' | 'frontmatter'} source
+ * @property {string} matcherPath
+ * @property {'suggested' | 'no match' | 'below threshold' | 'recently used' | 'over limit' | 'failed' | 'shadowed'} status
+ * @property {number|null} matchCount - null when the matcher did not return a result
+ * @property {number|null} score - Normalised score (0-1), null when the item was not scored
+ * @property {number|null} durationMs - Execution time
+ * @property {string|null} error - Load, validation, execution or timeout error
+ * @property {string|null} note - Why the item was dropped or demoted
+ */
+
+/**
+ * @typedef {Object} DryRunResult
+ * @property {string} projectDir
+ * @property {RioConfig} config - Effective configuration
+ * @property {string[]} configErrors - Invalid configuration files (skipped)
+ * @property {MatcherReport[]} matchers - Every discovered matcher, in discovery order
+ * @property {ActiveSkill[]} items - Suggested items
+ * @property {string|null} additionalContext - Text Claude receives, null when nothing is suggested
+ */
+
+/** Session id of dry runs (matchers see it as `context.sessionId`). */
+const DRY_RUN_SESSION_ID = 'claude-rio-dry-run';
+
+/** Log events of a matcher that failed before returning a valid result. */
+const FAILURE_EVENTS = new Set([
+  'matcher-load-failed',
+  'matcher-invalid',
+  'matcher-execution-failed',
+  'matcher-result-invalid',
+  'matcher-timeout',
+]);
+
+/**
+ * Build the reports of the matchers from the log entries of a run.
+ *
+ * @param {MatcherFile[]} kept - Matchers that ran
+ * @param {Array<Record<string, any>>} entries - Log entries of runMatchers
+ * @param {ActiveSkill[]} items - Suggested items
+ * @param {RioConfig} config
+ * @returns {MatcherReport[]}
+ */
+function buildReports(kept, entries, items, config) {
+  /** @type {Map<string, MatcherReport>} */
+  const byPath = new Map(
+    kept.map((matcher) => [
+      matcher.matcherPath,
+      {
+        name: matcher.name,
+        type: matcher.detectedType,
+        level: matcher.level,
+        source: matcher.source,
+        matcherPath: matcher.matcherPath,
+        status: 'no match',
+        matchCount: null,
+        score: null,
+        durationMs: null,
+        error: null,
+        note: null,
+      },
+    ])
+  );
+
+  for (const entry of entries) {
+    const report = byPath.get(entry.matcherPath);
+    if (!report) continue;
+
+    if (entry.event === 'matcher-executed') {
+      report.matchCount = entry.result.matchCount;
+      report.type = entry.result.type || report.type;
+      report.durationMs = entry.durationMs;
+    } else if (FAILURE_EVENTS.has(entry.event)) {
+      report.status = 'failed';
+      // Timeouts are logged with the deadline instead of an error message
+      report.error = entry.error || `Timed out after ${entry.timeoutMs}ms (${entry.reason})`;
+      report.durationMs = entry.durationMs ?? entry.timeoutMs;
+    }
+  }
+
+  // Ranking events identify items by type and name
+  const byItem = new Map([...byPath.values()].map((report) => [itemKey(report), report]));
+  const rankedItems = (event) =>
+    entries
+      .filter((entry) => entry.event === event)
+      .flatMap((entry) => entry.items)
+      .map((item) => byItem.get(itemKey(item)))
+      .filter(Boolean);
+
+  for (const report of rankedItems('below-threshold')) {
+    report.status = 'below threshold';
+    report.note = `fewer than ${config.minMatchCount} matches (minMatchCount)`;
+  }
+  for (const report of rankedItems('recently-used')) {
+    if (config.recentUseAction === 'hide') {
+      report.status = 'recently used';
+      report.note = `used in the last ${config.recentUseTurns} turns (hidden)`;
+    } else {
+      report.note = `used in the last ${config.recentUseTurns} turns (score halved)`;
+    }
+  }
+  const scored = entries.find((entry) => entry.event === 'scores-calculated');
+  for (const item of scored ? scored.items : []) {
+    const report = byItem.get(itemKey(item));
+    if (report) report.score = item.score;
+  }
+  for (const report of rankedItems('suggestions-limited')) {
+    report.status = 'over limit';
+    const typeCap = config.maxPerType[report.type] ?? 'unlimited';
+    report.note = `over maxSuggestions (${config.maxSuggestions}) or maxPerType.${report.type} (${typeCap})`;
+  }
+  for (const item of items) {
+    const report = byItem.get(itemKey(item));
+    if (report) report.status = 'suggested';
+  }
+
+  return [...byPath.values()];
+}
+
+/**
+ * @param {{name: string, type: string}} item
+ * @returns {string}
+ */
+function itemKey(item) {
+  return `${item.type}:${item.name}`;
+}
+
+/**
+ * Run matchers against a prompt through the handler's pipeline, recording instead of
+ * writing the log entries.
+ *
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt to evaluate
+ * @param {string} options.cwd - Working directory of the prompt (also the project root)
+ * @param {string} options.transcriptPath - Transcript path, empty for none
+ * @param {MatcherFile[]} options.matchers - Matchers to run (collisions already resolved)
+ * @param {RioConfig} options.config - Effective configuration
+ * @param {LearnedVocabulary} [options.vocabulary] - Keywords learned by the hook (not saved)
+ * @returns {Promise<{reports: MatcherReport[], items: ActiveSkill[]}>}
+ */
+async function evaluatePrompt(options) {
+  const { cwd, transcriptPath, matchers, config } = options;
+  const contextData = createContextData(
+    {
+      prompt: options.prompt,
+      cwd,
+      transcriptPath,
+      permissionMode: 'default',
+      sessionId: DRY_RUN_SESSION_ID,
+      hookEventName: 'UserPromptSubmit',
+    },
+    cwd
+  );
+
+  // Matchers read the transcript from memory, without writing a digest into the state dir
+  transcript.configure({ persist: false });
+
+  // The reports are built from the recorded log entries
+  const entries = [];
+  const recorder = {
+    log: async (entry) => {
+      entries.push(entry);
+    },
+  };
+  const runRes = await runMatchers(matchers, contextData, config, {
+    logger: recorder,
+    vocabulary: options.vocabulary,
+  });
+  if (!runRes.ok) {
+    throw new Error(runRes.error);
+  }
+  const { items } = runRes.value;
+
+  return { reports: buildReports(matchers, entries, items, config), items };
+}
+
+/**
+ * Find the state directory of the hook that runs for a project: the project-level
+ * installation when there is one, the user-level one otherwise.
+ *
+ * @param {string} projectDir
+ * @param {string} homeDir
+ * @returns {string}
+ */
+function findStateDir(projectDir, homeDir) {
+  const projectInstalled = fs.existsSync(path.join(projectDir, '.claude', 'hooks', 'rio'));
+  return path.join(projectInstalled ? projectDir : homeDir, '.claude', 'hooks', 'rio', 'state');
+}
+
+/**
+ * Run every matcher against a prompt, exactly like the hook would.
+ *
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt to evaluate
+ * @param {string} [options.cwd] - Project directory (defaults to the current directory)
+ * @param {string} [options.transcriptPath] - Transcript matchers read the history from
+ * @param {string} [options.homeDir] - Home directory of the user-level matchers
+ * @returns {Promise<DryRunResult>}
+ */
+async function dryRun(options) {
+  const projectDir = path.resolve(options.cwd || process.cwd());
+  const homeDir = options.homeDir || os.homedir();
+
+  const configResult = await loadEffectiveConfig(projectDir);
+  const config = configResult.config;
+
+  const discovered = findMatcherPaths({ projectDir, homeDir }).map((matcherPath) =>
+    describeMatcherPath(matcherPath, { projectDir, homeDir })
+  );
+  const { kept, shadowed } = resolveCollisions(discovered, config.precedence);
+
+  // Weight keywords with what the installed hook learned so far (read-only)
+  const vocabularyRes = await loadLearnedVocabulary(projectDir, findStateDir(projectDir, homeDir));
+
+  const { reports, items } = await evaluatePrompt({
+    prompt: options.prompt,
+    cwd: projectDir,
+    transcriptPath: options.transcriptPath ? path.resolve(options.transcriptPath) : '',
+    matchers: kept,
+    config,
+    vocabulary: vocabularyRes.ok ? vocabularyRes.value : undefined,
+  });
+
+  for (const { matcher, shadowedBy } of shadowed) {
+    reports.push({
+      name: matcher.name,
+      type: matcher.detectedType,
+      level: matcher.level,
+      source: matcher.source,
+      matcherPath: matcher.matcherPath,
+      status: 'shadowed',
+      matchCount: null,
+      score: null,
+      durationMs: null,
+      error: null,
+      note: `shadowed by ${shadowedBy.level} ${shadowedBy.matcherPath}`,
+    });
+  }
+
+  return {
+    projectDir,
+    config,
+    configErrors: configResult.errors,
+    matchers: reports,
+    items,
+    additionalContext: items.length > 0 ? formatActiveSkillsAsDirective(items) : null,
+  };
+}
+
+module.exports = {
+  evaluatePrompt,
+  dryRun,
+};
@@ -0,0 +1,204 @@
+/**
+ * Matcher fixtures utility
+ * Locates and validates the fixtures file shipped next to a matcher: prompts the
+ * matcher is expected to match and prompts it must not match.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { ok, err } = require('../../hooks/utils/result.cjs');
+
+/**
+ * @typedef {import('../../hooks/UserPromptSubmit/types').MatcherFile} MatcherFile
+ */
+
+/**
+ * One fixture prompt, with the defaults of the file applied.
+ *
+ * @typedef {Object} FixtureCase
+ * @property {'match' | 'noMatch'} expect - Whether the matcher must match the prompt
+ * @property {string} prompt
+ * @property {number} minMatchCount - Minimum matchCount of a "match" case
+ * @property {string} cwd - Absolute working directory (and project root) of the prompt
+ * @property {string} transcriptPath - Absolute transcript path, empty for none
+ */
+
+/** Fixtures file of a skill (in its rio/ directory, next to the matcher). */
+const SKILL_FIXTURES_FILENAME = 'UserPromptSubmit.rio.fixtures.json';
+
+/** Suffix of the fixtures file of an agent or command (`<name>.rio.fixtures.json`). */
+const FIXTURES_SUFFIX = '.rio.fixtures.json';
+
+const FILE_FIELDS = ['match', 'noMatch', 'minMatchCount', 'cwd', 'transcript'];
+const CASE_FIELDS = ['prompt', 'minMatchCount', 'cwd', 'transcript'];
+
+/**
+ * Get the fixtures path of a matcher. Matchers of the same entity share it, whatever
+ * their format (JavaScript, declarative JSON or frontmatter).
+ *
+ * @param {MatcherFile} matcher
+ * @returns {string}
+ */
+function getFixturesPath(matcher) {
+  if (matcher.detectedType !== 'skill') {
+    return path.join(path.dirname(matcher.matcherPath), `${matcher.name}${FIXTURES_SUFFIX}`);
+  }
+  // .../<skill>/SKILL.md or .../<skill>/rio/UserPromptSubmit.rio.matcher.*
+  const skillDir =
+    matcher.source === 'frontmatter'
+      ? path.dirname(matcher.matcherPath)
+      : path.dirname(path.dirname(matcher.matcherPath));
+  return path.join(skillDir, 'rio', SKILL_FIXTURES_FILENAME);
+}
+
+/**
+ * Check an optional minimum matchCount.
+ *
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkMinMatchCount(value, label) {
+  if (value === undefined || (Number.isInteger(value) && value >= 1)) {
+    return null;
+  }
+  return `${label} "minMatchCount" must be a positive integer`;
+}
+
+/**
+ * Check an optional path field.
+ *
+ * @param {unknown} value
+ * @param {string} field
+ * @param {string} label
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkPath(value, field, label) {
+  if (value === undefined || (typeof value === 'string' && value.trim() !== '')) {
+    return null;
+  }
+  return `${label} "${field}" must be a non-empty string`;
+}
+
+/**
+ * Validate a parsed fixtures file and expand it into cases.
+ * Relative `cwd` and `transcript` paths are resolved against the fixtures file.
+ *
+ * @param {any} spec
+ * @param {{fixturesDir: string, projectDir: string}} options - projectDir is the default cwd
+ * @returns {{ok: boolean, value?: FixtureCase[], error?: string}}
+ */
+function parseFixtures(spec, options) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return err('Fixtures must be a JSON object');
+  }
+  const unknown = Object.keys(spec).find((key) => !FILE_FIELDS.includes(key));
+  if (unknown) {
+    return err(`Fixtures have unknown field "${unknown}" (allowed: ${FILE_FIELDS.join(', ')})`);
+  }
+
+  const fileError =
+    checkMinMatchCount(spec.minMatchCount, 'Fixtures') ||
+    checkPath(spec.cwd, 'cwd', 'Fixtures') ||
+    checkPath(spec.transcript, 'transcript', 'Fixtures');
+  if (fileError) {
+    return err(fileError);
+  }
+
+  for (const field of ['match', 'noMatch']) {
+    if (spec[field] !== undefined && !Array.isArray(spec[field])) {
+      return err(`Fixtures "${field}" must be an array of prompts`);
+    }
+  }
+  const match = spec.match || [];
+  const noMatch = spec.noMatch || [];
+  if (match.length + noMatch.length === 0) {
+    return err('Fixtures must list at least one prompt in "match" or "noMatch"');
+  }
+
+  const resolve = (value) => (value ? path.resolve(options.fixturesDir, value) : '');
+
+  /** @type {FixtureCase[]} */
+  const cases = [];
+  for (const [expect, entries] of [
+    ['match', match],
+    ['noMatch', noMatch],
+  ]) {
+    for (const [index, entry] of entries.entries()) {
+      const label = `Fixture ${expect}[${index}]`;
+      const fixture = typeof entry === 'string' ? { prompt: entry } : entry;
+
+      if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+        return err(`${label} must be a prompt string or an object with a "prompt"`);
+      }
+      const unknownField = Object.keys(fixture).find((key) => !CASE_FIELDS.includes(key));
+      if (unknownField) {
+        return err(
+          `${label} has unknown field "${unknownField}" (allowed: ${CASE_FIELDS.join(', ')})`
+        );
+      }
+      if (typeof fixture.prompt !== 'string' || fixture.prompt.trim() === '') {
+        return err(`${label} "prompt" must be a non-empty string`);
+      }
+      const caseError =
+        checkMinMatchCount(fixture.minMatchCount, label) ||
+        checkPath(fixture.cwd, 'cwd', label) ||
+        checkPath(fixture.transcript, 'transcript', label);
+      if (caseError) {
+        return err(caseError);
+      }
+
+      cases.push({
+        expect,
+        prompt: fixture.prompt,
+        minMatchCount: fixture.minMatchCount || spec.minMatchCount || 1,
+        cwd: resolve(fixture.cwd || spec.cwd) || options.projectDir,
+        transcriptPath: resolve(fixture.transcript || spec.transcript),
+      });
+    }
+  }
+
+  return ok(cases);
+}
+
+/**
+ * Load the fixtures of a matcher (see getFixturesPath).
+ *
+ * @param {MatcherFile} matcher
+ * @param {string} projectDir - Default working directory of the prompts
+ * @returns {Promise<{ok: boolean, value?: FixtureCase[]|null, error?: string}>} null when the
+ *   matcher has no fixtures file
+ */
+async function loadFixtures(matcher, projectDir) {
+  const fixturesPath = getFixturesPath(matcher);
+  if (!(await fs.pathExists(fixturesPath))) {
+    return ok(null);
+  }
+
+  let spec;
+  try {
+    spec = JSON.parse(await fs.readFile(fixturesPath, 'utf8'));
+  } catch (error) {
+    return err(`Invalid JSON: ${error.message}`);
+  }
+
+  const casesRes = parseFixtures(spec, { fixturesDir: path.dirname(fixturesPath), projectDir });
+  if (!casesRes.ok) {
+    return casesRes;
+  }
+
+  // A missing transcript or directory would silently test an empty context
+  const referenced = new Set(casesRes.value.flatMap((c) => [c.cwd, c.transcriptPath]));
+  for (const referencedPath of referenced) {
+    if (referencedPath && !(await fs.pathExists(referencedPath))) {
+      return err(`${referencedPath} does not exist`);
+    }
+  }
+  return casesRes;
+}
+
+module.exports = {
+  getFixturesPath,
+  parseFixtures,
+  loadFixtures,
+};
@@ -0,0 +1,450 @@
+/**
+ * Health checks utility
+ * Checks a claude-rio installation at project and user level: settings.json entry,
+ * installed hook files, executable bit, node on PATH, configuration and matchers.
+ * Problems that can be fixed safely carry a fix re-running part of the setup.
+ */
+
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const packageJson = require('../../package.json');
+const { loadConfig, getConfigPaths } = require('../../hooks/utils/config.cjs');
+const {
+  findMatcherPaths,
+  describeMatcherPath,
+  resolveCollisions,
+} = require('../../hooks/UserPromptSubmit/discovery.cjs');
+const { loadEffectiveConfig } = require('../../hooks/UserPromptSubmit/handler.cjs');
+const { evaluatePrompt } = require('./dry-run');
+const { isWindows, isUnix, getShellWrapperName } = require('./platform');
+const {
+  HOOKS_SOURCE,
+  copyTemplates,
+  copyHooksWithOSFilter,
+  listHookFiles,
+  makeScriptsExecutable,
+  createSettingsJson,
+  isRioHook,
+  removeSettingsEntries,
+} = require('./copy-templates');
+
+/**
+ * @typedef {Object} HealthFix
+ * @property {string} description - What the fix does
+ * @property {function(): Promise<void>} apply
+ */
+
+/**
+ * @typedef {Object} HealthCheck
+ * @property {'ok' | 'warn' | 'fail' | 'skip'} status
+ * @property {string} message - One-line result
+ * @property {string} [explanation] - Why a problem matters and how to solve it
+ * @property {HealthFix} [fix] - Safe automatic fix
+ */
+
+/**
+ * @typedef {Object} LevelReport
+ * @property {'project' | 'user'} level
+ * @property {string} baseDir - Directory containing .claude
+ * @property {HealthCheck[]} checks
+ */
+
+/** Prompt the matchers are run with to check that they load and return a valid result. */
+const PROBE_PROMPT = 'claude-rio doctor health check';
+
+/** Hook script path in a settings.json command, with the variable it starts with. */
+const HOOK_COMMAND_PATH =
+  /(\$\{?HOME\}?|\$\{?CLAUDE_PROJECT_DIR\}?|~)?([^\s"']*\.claude[/\\]hooks[/\\]rio[/\\]UserPromptSubmit[/\\]hook\.(?:sh|ps1))/;
+
+/**
+ * Find an executable on the PATH.
+ *
+ * @param {string} command
+ * @returns {string|null} Absolute path, or null when not found
+ */
+function findOnPath(command) {
+  const extensions = isWindows() ? ['.exe', '.cmd', ''] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    for (const extension of extensions) {
+      const candidate = path.join(dir, command + extension);
+      try {
+        fs.accessSync(candidate, isWindows() ? fs.constants.F_OK : fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // Not in this directory
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that `node` is on the PATH and recent enough: hook.sh runs `node handler.cjs`.
+ *
+ * @returns {HealthCheck}
+ */
+function checkNode() {
+  const nodePath = findOnPath('node');
+  if (!nodePath) {
+    return {
+      status: 'fail',
+      message: 'node is not on the PATH',
+      explanation:
+        'The hook runs `node` from the PATH Claude Code starts it with. Install Node.js or add it to the PATH of your login shell (version managers like nvm often only set it up for interactive shells).',
+    };
+  }
+
+  const minMajor = Number((/\d+/.exec(packageJson.engines.node) || ['0'])[0]);
+  const versionRes = spawnSync(nodePath, ['--version'], { encoding: 'utf8', timeout: 5000 });
+  const version = (versionRes.stdout || '').trim();
+  const major = Number((/^v(\d+)/.exec(version) || [])[1]);
+  if (!major) {
+    return {
+      status: 'fail',
+      message: `${nodePath} does not run`,
+      explanation: `\`${nodePath} --version\` failed: ${versionRes.error ? versionRes.error.message : versionRes.stderr}`,
+    };
+  }
+  if (major < minMajor) {
+    return {
+      status: 'fail',
+      message: `node ${version} is too old (${nodePath})`,
+      explanation: `The hook needs Node.js ${packageJson.engines.node}. The first node on the PATH is used.`,
+    };
+  }
+  return {
+    status: 'ok',
+    message: `node ${version} on the PATH (${nodePath})`,
+  };
+}
+
+/**
+ * Resolve the hook script a settings.json command runs.
+ *
+ * @param {string} command
+ * @param {{projectDir: string, homeDir: string}} dirs
+ * @returns {{variable: string|null, scriptPath: string}|null} null when the path cannot be resolved
+ */
+function resolveHookCommand(command, dirs) {
+  const match = HOOK_COMMAND_PATH.exec(command);
+  if (!match) {
+    return null;
+  }
+  const variable = match[1] ? match[1].replace(/[${}]/g, '') : null;
+  const base = { HOME: dirs.homeDir, '~': dirs.homeDir, CLAUDE_PROJECT_DIR: dirs.projectDir }[
+    variable
+  ];
+  if (!base && !path.isAbsolute(match[2])) {
+    return null;
+  }
+  return { variable, scriptPath: base ? path.join(base, match[2]) : match[2] };
+}
+
+/**
+ * Fix re-installing the hook at a level: stale claude-rio entries are removed from
+ * settings.json, then the hook files are copied and registered again.
+ *
+ * @param {string} baseDir
+ * @param {boolean} isUserLevel
+ * @returns {HealthFix}
+ */
+function reinstallFix(baseDir, isUserLevel) {
+  return {
+    description: `re-install the hook in ${path.join(baseDir, '.claude')} and register it in settings.json`,
+    apply: async () => {
+      await removeSettingsEntries(path.join(baseDir, '.claude'));
+      const res = await copyTemplates(baseDir, { isUserLevel });
+      if (!res.ok) {
+        throw new Error(res.error);
+      }
+    },
+  };
+}
+
+/**
+ * Check the settings.json entry of a level.
+ *
+ * @param {string} baseDir
+ * @param {boolean} isUserLevel
+ * @param {{projectDir: string, homeDir: string}} dirs
+ * @param {boolean} installed - Whether hook files are installed at this level
+ * @returns {Promise<HealthCheck|null>} null when claude-rio is neither installed nor registered
+ */
+async function checkSettings(baseDir, isUserLevel, dirs, installed) {
+  const claudeDir = path.join(baseDir, '.claude');
+  const settingsPath = path.join(claudeDir, 'settings.json');
+  const ownScript = path.join(claudeDir, 'hooks', 'rio', 'UserPromptSubmit', getShellWrapperName());
+
+  let settings = {};
+  if (await fs.pathExists(settingsPath)) {
+    try {
+      settings = await fs.readJson(settingsPath);
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: 'settings.json is not valid JSON',
+        explanation: `Claude Code cannot read ${settingsPath} (${error.message}). Fix it by hand: setup would replace the file.`,
+      };
+    }
+  }
+
+  const hookGroups = (settings.hooks && settings.hooks.UserPromptSubmit) || [];
+  const commands = (Array.isArray(hookGroups) ? hookGroups : [])
+    .flatMap((hookGroup) => (Array.isArray(hookGroup.hooks) ? hookGroup.hooks : []))
+    .filter((hook) => isRioHook('UserPromptSubmit', hook))
+    .map((hook) => hook.command);
+
+  if (commands.length === 0) {
+    if (!installed) {
+      return null;
+    }
+    return {
+      status: 'fail',
+      message: 'the hook is installed but not registered in settings.json',
+      explanation: `${settingsPath} has no UserPromptSubmit entry for claude-rio, so Claude Code never runs the hook.`,
+      fix: {
+        description: `register the hook in ${settingsPath}`,
+        apply: () => createSettingsJson(claudeDir, isUserLevel),
+      },
+    };
+  }
+  if (commands.length > 1) {
+    return {
+      status: 'fail',
+      message: `settings.json registers the hook ${commands.length} times`,
+      explanation: 'The hook runs once per entry, so every suggestion is sent several times.',
+      fix: reinstallFix(baseDir, isUserLevel),
+    };
+  }
+
+  const command = commands[0];
+  const resolved = resolveHookCommand(command, dirs);
+  if (!resolved) {
+    return {
+      status: 'warn',
+      message: `cannot resolve the hook path of "${command}"`,
+      explanation: 'The command was probably edited by hand; it is not checked further.',
+    };
+  }
+
+  const scriptExists = await fs.pathExists(resolved.scriptPath);
+  // $CLAUDE_PROJECT_DIR in user settings only works in projects that have their own install
+  const projectRelative = isUserLevel && resolved.variable === 'CLAUDE_PROJECT_DIR';
+  if (projectRelative || path.resolve(resolved.scriptPath) !== ownScript) {
+    const check = {
+      status: 'fail',
+      message: `settings.json runs a hook outside this installation (${command})`,
+      explanation:
+        `The entry runs ${resolved.scriptPath}` +
+        (scriptExists ? '' : ', which does not exist') +
+        (installed ? `, but the hook is installed in ${path.dirname(ownScript)}.` : '.'),
+      fix: reinstallFix(baseDir, isUserLevel),
+    };
+    // Running another level's hook works as long as it exists and nothing is installed here
+    if (scriptExists && !installed && !projectRelative) {
+      return { ...check, status: 'warn', fix: undefined };
+    }
+    return check;
+  }
+  if (!scriptExists) {
+    return {
+      status: 'fail',
+      message: `settings.json runs a missing hook script (${resolved.scriptPath})`,
+      explanation: 'Claude Code reports a hook error on every prompt.',
+      fix: reinstallFix(baseDir, isUserLevel),
+    };
+  }
+  return { status: 'ok', message: `settings.json registers the hook (${command})` };
+}
+
+/**
+ * Check that the installed hook files are those of this claude-rio version.
+ *
+ * @param {string} hooksTarget - Installed .claude/hooks/rio directory
+ * @returns {Promise<HealthCheck>}
+ */
+async function checkHookFiles(hooksTarget) {
+  const outdated = [];
+  for (const file of await listHookFiles()) {
+    const installedPath = path.join(hooksTarget, file);
+    if (!(await fs.pathExists(installedPath))) {
+      outdated.push(`${file} (missing)`);
+      continue;
+    }
+    const [source, installed] = await Promise.all([
+      fs.readFile(path.join(HOOKS_SOURCE, file)),
+      fs.readFile(installedPath),
+    ]);
+    if (!source.equals(installed)) {
+      outdated.push(file);
+    }
+  }
+
+  if (outdated.length === 0) {
+    return { status: 'ok', message: `hook files match claude-rio ${packageJson.version}` };
+  }
+  const listed = outdated.slice(0, 5).join(', ') + (outdated.length > 5 ? ', ...' : '');
+  return {
+    status: 'fail',
+    message: `${outdated.length} hook file(s) differ from claude-rio ${packageJson.version}`,
+    explanation: `The installed hook is from another claude-rio version or was edited: ${listed}.`,
+    fix: {
+      description: `update the hook files in ${hooksTarget}`,
+      apply: () => copyHooksWithOSFilter(HOOKS_SOURCE, hooksTarget),
+    },
+  };
+}
+
+/**
+ * Check the executable bit of the installed shell wrapper (Unix only).
+ *
+ * @param {string} hooksTarget
+ * @returns {Promise<HealthCheck>}
+ */
+async function checkExecutable(hooksTarget) {
+  const wrapperPath = path.join(hooksTarget, 'UserPromptSubmit', getShellWrapperName());
+  if (!isUnix() || !(await fs.pathExists(wrapperPath))) {
+    return { status: 'skip', message: 'executable bit not checked' };
+  }
+
+  const stat = await fs.stat(wrapperPath);
+  if ((stat.mode & 0o111) === 0) {
+    return {
+      status: 'fail',
+      message: `${getShellWrapperName()} is not executable`,
+      explanation: `${wrapperPath} lost its executable bit (e.g. after a copy or a checkout), so it cannot be run directly.`,
+      fix: {
+        description: `make the shell scripts in ${hooksTarget} executable`,
+        apply: () => makeScriptsExecutable(hooksTarget),
+      },
+    };
+  }
+  return { status: 'ok', message: `${getShellWrapperName()} is executable` };
+}
+
+/**
+ * Check the rio.json of a level.
+ *
+ * @param {string} configPath
+ * @param {string[]} errors - Errors of all configuration files
+ * @returns {HealthCheck}
+ */
+function checkConfig(configPath, errors) {
+  const fileErrors = errors.filter((error) => error.startsWith(configPath));
+  if (fileErrors.length > 0) {
+    return {
+      status: 'fail',
+      message: `${path.basename(configPath)} is invalid and ignored`,
+      explanation: fileErrors.join('\n'),
+    };
+  }
+  return {
+    status: fs.pathExistsSync(configPath) ? 'ok' : 'skip',
+    message: fs.pathExistsSync(configPath)
+      ? `${path.basename(configPath)} is valid`
+      : `no ${path.basename(configPath)} (defaults apply)`,
+  };
+}
+
+/**
+ * Check that the matchers of a level load and return a valid result.
+ *
+ * @param {string} baseDir
+ * @param {string} projectDir - Directory the matchers run in
+ * @returns {Promise<HealthCheck>}
+ */
+async function checkMatchers(baseDir, projectDir) {
+  const { config } = await loadEffectiveConfig(projectDir);
+  const discovered = findMatcherPaths({ projectDir: baseDir, homeDir: baseDir }).map(
+    (matcherPath) => describeMatcherPath(matcherPath, { projectDir: baseDir, homeDir: baseDir })
+  );
+  const matchers = resolveCollisions(discovered, config.precedence).kept;
+  if (matchers.length === 0) {
+    return { status: 'skip', message: 'no matchers' };
+  }
+
+  const { reports } = await evaluatePrompt({
+    prompt: PROBE_PROMPT,
+    cwd: projectDir,
+    transcriptPath: '',
+    matchers,
+    config,
+  });
+  const failed = reports.filter((report) => report.status === 'failed');
+  if (failed.length === 0) {
+    return { status: 'ok', message: `${matchers.length} matcher(s) load and run` };
+  }
+  return {
+    status: 'fail',
+    message: `${failed.length} of ${matchers.length} matcher(s) fail`,
+    explanation: failed
+      .map((report) => `${report.name} (${report.matcherPath}): ${report.error}`)
+      .join('\n'),
+  };
+}
+
+/**
+ * Run the checks of one level.
+ *
+ * @param {'project' | 'user'} level
+ * @param {{projectDir: string, homeDir: string}} dirs
+ * @param {string[]} configErrors
+ * @returns {Promise<LevelReport>}
+ */
+async function checkLevel(level, dirs, configErrors) {
+  const isUserLevel = level === 'user';
+  const baseDir = isUserLevel ? dirs.homeDir : dirs.projectDir;
+  const hooksTarget = path.join(baseDir, '.claude', 'hooks', 'rio');
+  const installed = await fs.pathExists(path.join(hooksTarget, 'UserPromptSubmit'));
+  const configPaths = getConfigPaths(dirs);
+
+  const settings = await checkSettings(baseDir, isUserLevel, dirs, installed);
+  const checks = [];
+  if (!settings) {
+    checks.push({ status: 'skip', message: 'not installed' });
+  } else {
+    checks.push(settings);
+  }
+  if (installed) {
+    checks.push(await checkHookFiles(hooksTarget));
+    checks.push(await checkExecutable(hooksTarget));
+  }
+
+  checks.push(checkConfig(isUserLevel ? configPaths.user : configPaths.project, configErrors));
+  checks.push(await checkMatchers(baseDir, dirs.projectDir));
+
+  return { level, baseDir, checks };
+}
+
+/**
+ * Run all health checks.
+ *
+ * @param {{projectDir?: string, homeDir?: string}} [options]
+ * @returns {Promise<{node: HealthCheck, levels: LevelReport[]}>}
+ */
+async function runHealthChecks(options = {}) {
+  const dirs = {
+    projectDir: path.resolve(options.projectDir || process.cwd()),
+    homeDir: options.homeDir || os.homedir(),
+  };
+  const { errors } = await loadConfig(dirs);
+
+  // When the project is the home directory there is only one level
+  const levels =
+    path.resolve(dirs.projectDir) === path.resolve(dirs.homeDir) ? ['user'] : ['project', 'user'];
+  const reports = [];
+  for (const level of levels) {
+    reports.push(await checkLevel(level, dirs, errors));
+  }
+
+  return { node: checkNode(), levels: reports };
+}
+
+module.exports = {
+  runHealthChecks,
+};
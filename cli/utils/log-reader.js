@@ -0,0 +1,283 @@
+/**
+ * Log reader utility
+ * Reads the JSONL logs written by the hook logger (hooks/utils/logger.cjs),
+ * filters their entries and groups them per hook invocation.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadConfig } = require('../../hooks/utils/config.cjs');
+const { resolveLogDir } = require('../../hooks/utils/logger.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} [invocationId] - Hook run the entry belongs to (missing in old logs)
+ * @property {string} [sessionId] - Claude Code session id
+ * @property {string} [level] - debug, info, warn or error
+ * @property {string} [event] - Event name (e.g. "matcher-executed")
+ */
+
+/**
+ * @typedef {Object} Invocation
+ * @property {string} invocationId - Hook run id
+ * @property {string|null} sessionId - Session of the run
+ * @property {string} startedAt - Timestamp of the first entry
+ * @property {string|null} prompt - Prompt of the run (as logged, may be redacted)
+ * @property {LogEntry[]} entries - Entries of the run, oldest first
+ */
+
+/**
+ * @typedef {Object} LogFilters
+ * @property {string} [session] - Session id (or prefix)
+ * @property {string} [matcher] - Matcher/entity name
+ * @property {string[]} [events] - Event names
+ * @property {Date} [since] - Earliest entry time
+ * @property {Date} [until] - Latest entry time
+ */
+
+/**
+ * Find the directory the hook writes its logs to.
+ * Mirrors the hook: RIO_LOG_DIR, then `logging.dir` from rio.json, then the
+ * installation's `.claude/hooks/rio/logs`.
+ *
+ * @param {{user?: boolean, dir?: string}} options
+ * @returns {Promise<string>}
+ */
+async function findLogsDir(options) {
+  if (options.dir) {
+    return path.resolve(options.dir);
+  }
+
+  const projectDir = process.cwd();
+  const { config } = await loadConfig({ projectDir });
+  const configured = process.env.RIO_LOG_DIR || config.logging.dir;
+  if (configured) {
+    return resolveLogDir(configured, projectDir);
+  }
+
+  const installDir = options.user ? os.homedir() : projectDir;
+  return path.join(installDir, '.claude', 'hooks', 'rio', 'logs');
+}
+
+/**
+ * List the log files of a directory, oldest first.
+ *
+ * @param {string} logsDir
+ * @returns {Promise<Array<{filePath: string, size: number, mtimeMs: number}>>}
+ */
+async function listLogFiles(logsDir) {
+  if (!(await fs.pathExists(logsDir))) {
+    return [];
+  }
+
+  const files = [];
+  for (const name of await fs.readdir(logsDir)) {
+    if (!name.endsWith('.log')) continue;
+    const filePath = path.join(logsDir, name);
+    const stat = await fs.stat(filePath);
+    if (stat.isFile()) {
+      files.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Parse JSONL text into log entries (invalid lines are skipped).
+ *
+ * @param {string} text
+ * @returns {LogEntry[]}
+ */
+function parseEntries(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry === 'object' && typeof entry.timestamp === 'string') {
+        entries.push(entry);
+      }
+    } catch {
+      // Skip invalid JSON lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the entries of all log files, oldest first.
+ * Files last modified before `since` are skipped.
+ *
+ * @param {string} logsDir
+ * @param {Date} [since]
+ * @returns {Promise<LogEntry[]>}
+ */
+async function readEntries(logsDir, since) {
+  const entries = [];
+  for (const file of await listLogFiles(logsDir)) {
+    if (since && file.mtimeMs < since.getTime()) continue;
+    entries.push(...parseEntries(await fs.readFile(file.filePath, 'utf8')));
+  }
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Group entries per hook invocation.
+ * Entries written before invocation ids were logged are grouped by run: a run starts
+ * with its configuration events.
+ *
+ * @param {LogEntry[]} entries - Entries, oldest first
+ * @returns {Invocation[]}
+ */
+function groupInvocations(entries) {
+  /** @type {Map<string, Invocation>} */
+  const invocations = new Map();
+  let legacyRun = 0;
+  let previousEvent = null;
+
+  for (const entry of entries) {
+    let invocationId = entry.invocationId;
+    if (!invocationId) {
+      const startsRun = entry.event === 'config-invalid' || entry.event === 'config-loaded';
+      if (startsRun && previousEvent !== 'config-invalid' && previousEvent !== 'config-loaded') {
+        legacyRun++;
+      }
+      previousEvent = entry.event;
+      invocationId = `legacy-${legacyRun}`;
+    }
+
+    if (!invocations.has(invocationId)) {
+      invocations.set(invocationId, {
+        invocationId,
+        sessionId: null,
+        startedAt: entry.timestamp,
+        prompt: null,
+        entries: [],
+      });
+    }
+    const invocation = invocations.get(invocationId);
+    invocation.entries.push(entry);
+
+    const payload = entry.event === 'payload' && entry.payload ? entry.payload : null;
+    invocation.sessionId = invocation.sessionId || entry.sessionId || payload?.sessionId || null;
+    if (payload && typeof payload.prompt === 'string') {
+      invocation.prompt = payload.prompt;
+    }
+  }
+
+  return [...invocations.values()];
+}
+
+/**
+ * Check whether an entry refers to a matcher: a `name` field anywhere in the entry
+ * (matcher events, discovered matchers, scored and suggested items).
+ *
+ * @param {unknown} value
+ * @param {string} name
+ * @param {number} [depth=0]
+ * @returns {boolean}
+ */
+function mentionsMatcher(value, name, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 4) {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.some((item) => mentionsMatcher(item, name, depth + 1));
+  }
+  if (value.name === name) {
+    return true;
+  }
+  return Object.values(value).some((field) => mentionsMatcher(field, name, depth + 1));
+}
+
+/**
+ * Check an entry against the entry-level filters (everything but the session).
+ *
+ * @param {LogEntry} entry
+ * @param {LogFilters} filters
+ * @returns {boolean}
+ */
+function matchesEntry(entry, filters) {
+  if (filters.events && filters.events.length > 0 && !filters.events.includes(entry.event)) {
+    return false;
+  }
+  const time = Date.parse(entry.timestamp);
+  if (filters.since && time < filters.since.getTime()) {
+    return false;
+  }
+  if (filters.until && time > filters.until.getTime()) {
+    return false;
+  }
+  if (filters.matcher && !mentionsMatcher(entry, filters.matcher)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a session id matches the session filter (full id or prefix).
+ *
+ * @param {string|null} sessionId
+ * @param {LogFilters} filters
+ * @returns {boolean}
+ */
+function matchesSession(sessionId, filters) {
+  return !filters.session || (sessionId !== null && sessionId.startsWith(filters.session));
+}
+
+/**
+ * Filter invocations: drop other sessions, keep the matching entries and drop
+ * invocations without any.
+ *
+ * @param {Invocation[]} invocations
+ * @param {LogFilters} filters
+ * @returns {Invocation[]}
+ */
+function filterInvocations(invocations, filters) {
+  return invocations
+    .filter((invocation) => matchesSession(invocation.sessionId, filters))
+    .map((invocation) => ({
+      ...invocation,
+      entries: invocation.entries.filter((entry) => matchesEntry(entry, filters)),
+    }))
+    .filter((invocation) => invocation.entries.length > 0);
+}
+
+/**
+ * Parse a date option: an ISO date/time ("2025-12-01", "2025-12-01T10:00") or a
+ * duration back from now ("30m", "2h", "7d").
+ *
+ * @param {string} value
+ * @param {{now?: Date, endOfDay?: boolean}} [options] - endOfDay: a plain date means the end of that day
+ * @returns {Date|null} null when the value cannot be parsed
+ */
+function parseDateOption(value, options = {}) {
+  const now = options.now || new Date();
+  const duration = /^(\d+)([mhd])$/.exec(value.trim());
+  if (duration) {
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS }[duration[2]];
+    return new Date(now.getTime() - Number(duration[1]) * unitMs);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+  return new Date(isPlainDate && options.endOfDay ? time + DAY_MS - 1 : time);
+}
+
+module.exports = {
+  findLogsDir,
+  listLogFiles,
+  parseEntries,
+  readEntries,
+  groupInvocations,
+  matchesEntry,
+  matchesSession,
+  filterInvocations,
+  parseDateOption,
+};
@@ -5,6 +5,11 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const {
+  loadDeclarativeMatcher,
+  isDeclarativeMatcherPath,
+} = require('../../hooks/UserPromptSubmit/declarative.cjs');
+const { createHelpers } = require('../../hooks/utils/helpers.cjs');
 
 /**
  * Validation result
@@ -21,21 +26,45 @@ const path = require('path');
  * @returns {Object} Test context object
  */
 function createTestContext() {
+  const prompt = 'test keywords build typescript compile check';
   return {
-    prompt: 'test keywords build typescript compile check',
+    prompt,
     cwd: process.cwd(),
     transcriptPath: '/tmp/test-transcript.jsonl',
     sessionId: 'test-session-id',
     permissionMode: 'ask',
     meta: {
-      schemaVersion: '2.0',
+      schemaVersion: '3.0',
     },
     transcript: {
       getConversationHistory: async () => [],
       getToolUsage: async () => [],
       getInitialMessage: async () => null,
       getAllMessages: async () => [],
+      getMessages: async () => [],
+      getFileOperations: async () => [],
+      getFailedCommands: async () => [],
+      getLastAssistantMessage: async () => null,
+      getRecentUserPrompts: async () => [],
+      getPromptTimestamps: async () => [],
     },
+    helpers: createHelpers(prompt),
+    git: {
+      getBranch: async () => 'main',
+      getDirtyFiles: async () => [],
+      getStagedFiles: async () => [],
+      getChangedExtensions: async () => [],
+      getLastCommitSubject: async () => null,
+    },
+    project: {
+      root: process.cwd(),
+      languages: [],
+      packageManagers: [],
+      frameworks: [],
+      docker: false,
+      ci: [],
+    },
+    mentionedFiles: [],
   };
 }
 
@@ -56,6 +85,19 @@ async function validateMatcherFile(matcherPath) {
     };
   }
 
+  // Declarative matchers are parsed and validated by the hook's built-in evaluator
+  if (isDeclarativeMatcherPath(matcherPath)) {
+    const declarative = loadDeclarativeMatcher(path.resolve(matcherPath));
+    if (!declarative.ok) {
+      return {
+        valid: false,
+        error: 'Invalid declarative matcher',
+        details: declarative.error,
+      };
+    }
+    return { valid: true };
+  }
+
   // Try to require the file
   let matcherModule;
   try {
@@ -82,16 +124,31 @@ async function validateMatcherFile(matcherPath) {
   return { valid: true };
 }
 
+/**
+ * Supported matcher result schema versions
+ */
+const SUPPORTED_VERSIONS = ['2.0', '3.0'];
+
+/**
+ * Maximum length of the "reason" field (schema v3.0)
+ */
+const MAX_REASON_LENGTH = 200;
+
 /**
  * Validate matcher result.
  *
- * IMPORTANT: All fields are MANDATORY and must not be undefined/null.
+ * IMPORTANT: All mandatory fields must not be undefined/null.
  *
- * Required schema v2.0:
+ * Schema v2.0:
  * - version: string "2.0" (non-empty, trimmed)
  * - matchCount: non-negative integer
  * - type: "skill" | "agent" | "command" (optional, defaults to path-based detection)
  *
+ * Schema v3.0 (same as v2.0, plus optional explanation fields):
+ * - matchedKeywords: array of non-empty strings (optional)
+ * - reason: short human-readable string, max 200 characters (optional)
+ * - confidence: number between 0 and 1 (optional)
+ *
  * @param {any} result - The result object from the matcher
  * @returns {ValidationResult} Validation result with error/details
  */
@@ -127,10 +184,10 @@ function validateMatcherResult(result) {
       details: 'Version string is empty or whitespace-only',
     };
   }
-  if (result.version !== '2.0') {
+  if (!SUPPORTED_VERSIONS.includes(result.version)) {
     return {
       valid: false,
-      error: 'Matcher result "version" must be "2.0"',
+      error: `Matcher result "version" must be one of: ${SUPPORTED_VERSIONS.join(', ')}`,
       details: `Got: ${result.version}. v1.0 matchers need migration - see CHANGELOG.md`,
     };
   }
@@ -177,6 +234,64 @@ function validateMatcherResult(result) {
     }
   }
 
+  // v2.0 results are accepted unchanged
+  if (result.version === '2.0') {
+    return { valid: true };
+  }
+
+  // Validate matchedKeywords field (OPTIONAL, v3.0)
+  if (result.matchedKeywords !== undefined && result.matchedKeywords !== null) {
+    if (!Array.isArray(result.matchedKeywords)) {
+      return {
+        valid: false,
+        error: 'Matcher result "matchedKeywords" must be an array',
+        details: `Got type: ${typeof result.matchedKeywords}`,
+      };
+    }
+    const invalid = result.matchedKeywords.find((kw) => typeof kw !== 'string' || !kw.trim());
+    if (invalid !== undefined) {
+      return {
+        valid: false,
+        error: 'Matcher result "matchedKeywords" must contain non-empty strings',
+        details: `Got: ${JSON.stringify(invalid)}`,
+      };
+    }
+  }
+
+  // Validate reason field (OPTIONAL, v3.0)
+  if (result.reason !== undefined && result.reason !== null) {
+    if (typeof result.reason !== 'string' || !result.reason.trim()) {
+      return {
+        valid: false,
+        error: 'Matcher result "reason" must be a non-empty string',
+        details: `Got: ${JSON.stringify(result.reason)}`,
+      };
+    }
+    if (result.reason.length > MAX_REASON_LENGTH) {
+      return {
+        valid: false,
+        error: `Matcher result "reason" must be at most ${MAX_REASON_LENGTH} characters`,
+        details: `Got: ${result.reason.length} characters`,
+      };
+    }
+  }
+
+  // Validate confidence field (OPTIONAL, v3.0)
+  if (result.confidence !== undefined && result.confidence !== null) {
+    if (
+      typeof result.confidence !== 'number' ||
+      Number.isNaN(result.confidence) ||
+      result.confidence < 0 ||
+      result.confidence > 1
+    ) {
+      return {
+        valid: false,
+        error: 'Matcher result "confidence" must be a number between 0 and 1',
+        details: `Got: ${result.confidence}`,
+      };
+    }
+  }
+
   return { valid: true };
 }
 
@@ -193,8 +308,10 @@ async function validateMatcher(matcherPath) {
     return fileValidation;
   }
 
-  // Load the matcher
-  const matcherModule = require(path.resolve(matcherPath));
+  // Load the matcher (declarative matchers become a function via the built-in evaluator)
+  const matcherModule = isDeclarativeMatcherPath(matcherPath)
+    ? loadDeclarativeMatcher(path.resolve(matcherPath)).value
+    : require(path.resolve(matcherPath));
 
   // Create test context
   const testContext = createTestContext();
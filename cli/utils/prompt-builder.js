@@ -7,12 +7,51 @@ const path = require('path');
 
 /**
  * Get the path to the universal matcher template
- * @returns {string} Path to matchers/UserPromptSubmit.rio.matcher.cjs
+ * @param {'cjs' | 'json'} [format='cjs'] - Matcher format (JavaScript or declarative JSON)
+ * @returns {string} Path to matchers/UserPromptSubmit.rio.matcher.<format>
  */
-function getMatcherTemplatePath() {
+function getMatcherTemplatePath(format = 'cjs') {
   // Assume claude-rio is installed as a package
   // Go up from cli/utils/ to package root
-  return path.join(__dirname, '..', '..', 'matchers', 'UserPromptSubmit.rio.matcher.cjs');
+  return path.join(__dirname, '..', '..', 'matchers', `UserPromptSubmit.rio.matcher.${format}`);
+}
+
+/**
+ * Build the output format section of a prompt
+ *
+ * @param {'skill' | 'agent' | 'command'} type - Entity type
+ * @param {'cjs' | 'json'} format - Matcher format (JavaScript or declarative JSON)
+ * @returns {string} Prompt section describing the expected matcher file
+ */
+function buildFormatSection(type, format) {
+  if (format === 'json') {
+    return `## IMPORTANT - DECLARATIVE JSON FORMAT
+
+The matcher is a plain JSON file (no comments, no JavaScript), evaluated by claude-rio:
+- "type": must be "${type}"
+- "keywords": 5-8 keywords, each match counts once (whole words, case-insensitive, plural and -ing/-ed forms match)
+- "phrases": optional multi-word phrases (consecutive whole words)
+- "regexes": optional regular expression sources (use sparingly)
+- "negativeKeywords": optional words that must prevent activation
+- "fuzzy": optional true to tolerate typos in keywords and phrases (only for long, distinctive keywords)
+- "indicatorFiles": optional project files (relative to project root) that confirm relevance
+- "description": replace the template text with one line describing the ${type}
+
+Example:
+  { "type": "${type}", "keywords": ["docker", "container", "dockerfile"], "negativeKeywords": ["kubernetes"] }`;
+  }
+
+  return `## IMPORTANT - v3.0 SCHEMA
+
+Return format: {version: "3.0", matchCount: number, type: "${type}", matchedKeywords: string[]}
+- matchedKeywords = context.helpers.matchedKeywords(keywords) (whole-word, stemmed matching)
+- matchCount = matchedKeywords.length
+- Do not use prompt.includes() - it matches inside words ("ts" in "tests")
+- type must be "${type}"
+
+Example:
+  const matchedKeywords = context.helpers.matchedKeywords(keywords);
+  return { version: '3.0', matchCount: matchedKeywords.length, type: '${type}', matchedKeywords };`;
 }
 
 /**
@@ -22,11 +61,12 @@ function getMatcherTemplatePath() {
  * @param {string} options.skillName - Name of the skill
  * @param {string} options.skillPath - Path to the skill directory
  * @param {string} options.matcherFilePath - Where Claude should write the matcher
+ * @param {'cjs' | 'json'} [options.format='cjs'] - Matcher format (JavaScript or declarative JSON)
  * @returns {Promise<string>} The complete prompt
  */
 async function buildSkillPrompt(options) {
-  const { skillName, skillPath, matcherFilePath } = options;
-  const templatePath = getMatcherTemplatePath();
+  const { skillName, skillPath, matcherFilePath, format = 'cjs' } = options;
+  const templatePath = getMatcherTemplatePath(format);
 
   // Build the prompt for skill matcher generation
   const prompt = `You are generating a UserPromptSubmit matcher for a Claude Code SKILL.
@@ -47,7 +87,7 @@ Generate a matcher for the skill: **${skillName}**
 4. Extract 5-8 relevant keywords for this skill (tool names, error messages, commands, file types)
 5. Use the Write tool to copy the template to ${matcherFilePath} and fill in the keywords array
 
-## KEYWORD SELECTION FOR SKILLS (v2.0 Schema)
+## KEYWORD SELECTION FOR SKILLS (v3.0 Schema)
 
 Skills are for deterministic, procedural workflows. Focus on:
 - **Tool names**: "docker", "typescript", "git", "npm"
@@ -56,7 +96,7 @@ Skills are for deterministic, procedural workflows. Focus on:
 - **File types**: "dockerfile", "tsconfig", ".py file"
 - **Technologies**: "react", "node", "python", "rust"
 
-Matcher v2.0 returns matchCount (number of matches):
+Matcher v3.0 returns matchCount (number of matches) and the matched keywords:
 - Higher count = higher relevance
 - Aim for 5-8 specific keywords
 
@@ -66,16 +106,7 @@ For a Docker skill: ['docker', 'container', 'dockerfile', 'compose', 'image']
 For a TypeScript skill: ['typescript', 'type check', 'compile', 'tsc', 'build']
 For a Git skill: ['git', 'commit', 'branch', 'merge', 'push']
 
-## IMPORTANT - v2.0 SCHEMA
-
-Return format: {version: "2.0", matchCount: number, type: "skill"}
-- matchCount = keywords.filter(kw => prompt.includes(kw)).length
-- Use .filter().length (not .some())
-- type must be "skill"
-
-Example:
-  const matchCount = keywords.filter(kw => prompt.includes(kw)).length;
-  return { version: '2.0', matchCount, type: 'skill' };
+${buildFormatSection('skill', format)}
 
 Show your reasoning briefly, then create the matcher file.`;
 
@@ -89,11 +120,12 @@ Show your reasoning briefly, then create the matcher file.`;
  * @param {string} options.skillName - Name of the agent (using skillName for consistency)
  * @param {string} options.skillPath - Path to the agent .md file (agents are individual .md files)
  * @param {string} options.matcherFilePath - Where Claude should write the matcher
+ * @param {'cjs' | 'json'} [options.format='cjs'] - Matcher format (JavaScript or declarative JSON)
  * @returns {Promise<string>} The complete prompt
  */
 async function buildAgentPrompt(options) {
-  const { skillName, skillPath, matcherFilePath } = options;
-  const templatePath = getMatcherTemplatePath();
+  const { skillName, skillPath, matcherFilePath, format = 'cjs' } = options;
+  const templatePath = getMatcherTemplatePath(format);
 
   // Build the prompt for agent matcher generation
   // Note: skillPath is the full path to the .md file for agents
@@ -114,7 +146,7 @@ Generate a matcher for the agent: **${skillName}**
 3. Extract 5-8 relevant keywords for this agent (delegation language, complex reasoning keywords)
 4. Use the Write tool to copy the template to ${matcherFilePath} and fill in the keywords array
 
-## KEYWORD SELECTION FOR AGENTS (v2.0 Schema)
+## KEYWORD SELECTION FOR AGENTS (v3.0 Schema)
 
 Agents handle complex, multi-step reasoning tasks. Focus on DELEGATION LANGUAGE:
 - **Analysis keywords**: "review", "analyze", "investigate", "examine", "audit"
@@ -123,7 +155,7 @@ Agents handle complex, multi-step reasoning tasks. Focus on DELEGATION LANGUAGE:
 - **Understanding keywords**: "help me understand", "explain", "how does", "why does"
 - **Complex tasks**: "plan", "design", "research", "compare alternatives"
 
-Matcher v2.0 returns matchCount (number of matches):
+Matcher v3.0 returns matchCount (number of matches) and the matched keywords:
 - Higher count = higher relevance
 - Aim for 5-8 delegation keywords
 
@@ -133,16 +165,7 @@ For a Code Review agent: ['review code', 'code review', 'check for issues', 'aud
 For an Architecture agent: ['architecture', 'refactor', 'restructure', 'design', 'improve']
 For an Exploration agent: ['explore', 'search codebase', 'find all', 'investigate', 'look through']
 
-## IMPORTANT - v2.0 SCHEMA
-
-Return format: {version: "2.0", matchCount: number, type: "agent"}
-- matchCount = keywords.filter(kw => prompt.includes(kw)).length
-- Use .filter().length (not .some())
-- type must be "agent"
-
-Example:
-  const matchCount = keywords.filter(kw => prompt.includes(kw)).length;
-  return { version: '2.0', matchCount, type: 'agent' };
+${buildFormatSection('agent', format)}
 
 Show your reasoning briefly, then create the matcher file.`;
 
@@ -156,11 +179,12 @@ Show your reasoning briefly, then create the matcher file.`;
  * @param {string} options.skillName - Name of the command (using skillName for consistency)
  * @param {string} options.skillPath - Path to the command .md file (commands are individual .md files)
  * @param {string} options.matcherFilePath - Where Claude should write the matcher
+ * @param {'cjs' | 'json'} [options.format='cjs'] - Matcher format (JavaScript or declarative JSON)
  * @returns {Promise<string>} The complete prompt
  */
 async function buildCommandPrompt(options) {
-  const { skillName, skillPath, matcherFilePath } = options;
-  const templatePath = getMatcherTemplatePath();
+  const { skillName, skillPath, matcherFilePath, format = 'cjs' } = options;
+  const templatePath = getMatcherTemplatePath(format);
 
   // Build the prompt for command matcher generation
   // Note: skillPath is the full path to the .md file for commands
@@ -181,7 +205,7 @@ Generate a matcher for the command: **${skillName}**
 3. Extract 5-8 relevant keywords for this command (action language, specific operations)
 4. Use the Write tool to copy the template to ${matcherFilePath} and fill in the keywords array
 
-## KEYWORD SELECTION FOR COMMANDS (v2.0 Schema)
+## KEYWORD SELECTION FOR COMMANDS (v3.0 Schema)
 
 Commands are slash commands invoked by users (like /deploy, /format, /test). Focus on ACTION LANGUAGE:
 - **Action verbs**: "run", "execute", "deploy", "format", "check", "build", "test"
@@ -190,7 +214,7 @@ Commands are slash commands invoked by users (like /deploy, /format, /test). Foc
 - **State words**: "start", "stop", "restart", "reset", "init", "setup"
 - **Command-specific terms**: Based on what the command does from its .md content
 
-Matcher v2.0 returns matchCount (number of matches):
+Matcher v3.0 returns matchCount (number of matches) and the matched keywords:
 - Higher count = higher relevance
 - Aim for 5-8 action keywords
 
@@ -200,16 +224,7 @@ For a Deploy command: ['deploy', 'release', 'publish', 'push to production', 'sh
 For a Format command: ['format', 'prettier', 'lint', 'fix style', 'cleanup']
 For a Test command: ['test', 'run tests', 'check', 'verify', 'validate']
 
-## IMPORTANT - v2.0 SCHEMA
-
-Return format: {version: "2.0", matchCount: number, type: "command"}
-- matchCount = keywords.filter(kw => prompt.includes(kw)).length
-- Use .filter().length (not .some())
-- type must be "command"
-
-Example:
-  const matchCount = keywords.filter(kw => prompt.includes(kw)).length;
-  return { version: '2.0', matchCount, type: 'command' };
+${buildFormatSection('command', format)}
 
 Show your reasoning briefly, then create the matcher file.`;
 
@@ -224,6 +239,7 @@ Show your reasoning briefly, then create the matcher file.`;
  * @param {string} options.skillName - Name of the skill/agent/command
  * @param {string} options.skillPath - Path to the skill/agent/command directory or file
  * @param {string} options.matcherFilePath - Where Claude should write the matcher
+ * @param {'cjs' | 'json'} [options.format='cjs'] - Matcher format (JavaScript or declarative JSON)
  * @returns {Promise<string>} The complete prompt
  */
 async function buildPrompt(options) {
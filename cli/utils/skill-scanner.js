@@ -10,6 +10,42 @@
 
 const path = require('path');
 const fs = require('fs-extra');
+const { readRioBlock } = require('../../hooks/utils/frontmatter.cjs');
+
+/**
+ * Supported matcher file extensions (JavaScript and declarative JSON)
+ */
+const MATCHER_EXTENSIONS = ['cjs', 'json'];
+
+/**
+ * Check whether any matcher file exists for the given path prefix
+ *
+ * @param {string} matcherBasePath - Matcher path without extension (e.g. <dir>/<name>.rio.matcher)
+ * @returns {Promise<boolean>} True if a .cjs or .json matcher exists
+ */
+async function hasMatcherFile(matcherBasePath) {
+  for (const ext of MATCHER_EXTENSIONS) {
+    if (await fs.pathExists(`${matcherBasePath}.${ext}`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether an entity file declares an implicit matcher in a `rio:` frontmatter block
+ *
+ * @param {string} entityPath - Path to SKILL.md or an agent/command .md file
+ * @returns {Promise<boolean>} True if the frontmatter contains a `rio:` block
+ */
+async function hasFrontmatterMatcher(entityPath) {
+  if (!(await fs.pathExists(entityPath))) {
+    return false;
+  }
+  const content = await fs.readFile(entityPath, 'utf8');
+  const block = readRioBlock(content);
+  return block.ok && block.value !== null;
+}
 
 /**
  * Scan skills directory for subdirectories (skills are directories with SKILL.md)
@@ -41,11 +77,12 @@ async function scanSkillsDirectory(dir) {
   const haveMatchers = [];
 
   for (const item of items) {
-    // Skills have matchers in: <skill-dir>/rio/UserPromptSubmit.rio.matcher.cjs
-    const matcherPath = path.join(item.path, 'rio', 'UserPromptSubmit.rio.matcher.cjs');
-    const hasMatcherFile = await fs.pathExists(matcherPath);
+    // Skills have matchers in: <skill-dir>/rio/UserPromptSubmit.rio.matcher.{cjs,json}
+    // or a `rio:` block in <skill-dir>/SKILL.md frontmatter
+    const matcherBasePath = path.join(item.path, 'rio', 'UserPromptSubmit.rio.matcher');
+    const skillFile = path.join(item.path, 'SKILL.md');
 
-    if (hasMatcherFile) {
+    if ((await hasMatcherFile(matcherBasePath)) || (await hasFrontmatterMatcher(skillFile))) {
       haveMatchers.push(item);
     } else {
       needMatchers.push(item);
@@ -85,11 +122,11 @@ async function scanAgentsDirectory(dir) {
   const haveMatchers = [];
 
   for (const item of items) {
-    // Agents have matchers as siblings: <agents-dir>/<agent-name>.rio.matcher.cjs
-    const matcherPath = path.join(dir, `${item.name}.rio.matcher.cjs`);
-    const hasMatcherFile = await fs.pathExists(matcherPath);
+    // Agents have matchers as siblings: <agents-dir>/<agent-name>.rio.matcher.{cjs,json}
+    // or a `rio:` block in their own frontmatter
+    const matcherBasePath = path.join(dir, `${item.name}.rio.matcher`);
 
-    if (hasMatcherFile) {
+    if ((await hasMatcherFile(matcherBasePath)) || (await hasFrontmatterMatcher(item.path))) {
       haveMatchers.push(item);
     } else {
       needMatchers.push(item);
@@ -129,11 +166,11 @@ async function scanCommandsDirectory(dir) {
   const haveMatchers = [];
 
   for (const item of items) {
-    // Commands have matchers as siblings: <commands-dir>/<command-name>.rio.matcher.cjs
-    const matcherPath = path.join(dir, `${item.name}.rio.matcher.cjs`);
-    const hasMatcherFile = await fs.pathExists(matcherPath);
+    // Commands have matchers as siblings: <commands-dir>/<command-name>.rio.matcher.{cjs,json}
+    // or a `rio:` block in their own frontmatter
+    const matcherBasePath = path.join(dir, `${item.name}.rio.matcher`);
 
-    if (hasMatcherFile) {
+    if ((await hasMatcherFile(matcherBasePath)) || (await hasFrontmatterMatcher(item.path))) {
       haveMatchers.push(item);
     } else {
       needMatchers.push(item);
@@ -203,6 +240,7 @@ function getCommandsDir(baseDir) {
 }
 
 module.exports = {
+  MATCHER_EXTENSIONS,
   scanSkills,
   getSkillsDir,
   getAgentsDir,
@@ -36,6 +36,8 @@
  * @param {string} context.sessionId - Session ID
  * @param {Object} context.meta - Meta information
  * @param {Object} context.transcript - Transcript utilities (for async usage)
+ * @param {Object} context.helpers - Whole-word matching helpers
+ * @param {Object} context.project - Project profile (languages, packageManagers, frameworks, docker, ci)
  * @returns {Object} Matcher result with all required fields
  */
 module.exports = function (context) {
@@ -45,33 +47,23 @@ module.exports = function (context) {
   // Keywords that indicate Docker usage in the prompt
   const keywords = ['docker', 'container', 'compose', 'dockerfile'];
 
-  // Indicator files that confirm this is a Docker project
-  const indicatorFiles = [
-    'Dockerfile',
-    'docker-compose.yml',
-    'docker-compose.yaml',
-    '.dockerignore',
-    'Dockerfile.dev',
-    'Dockerfile.prod',
-  ];
+  // Count keyword matches (whole words)
+  const keywordMatches = context.helpers.countMatches(keywords);
 
-  // Check for keywords in prompt (case-insensitive)
-  const prompt = context.prompt.toLowerCase();
-  const keywordMatches = keywords.filter((kw) => prompt.includes(kw)).length;
+  // The project profile is detected once per prompt and shared by all matchers:
+  // context.project.docker is true when a Dockerfile or compose file exists
+  const projectMatches = context.project.docker ? 1 : 0;
 
-  // Check for indicator files in project root
-  const fileMatches = indicatorFiles.filter((file) => {
-    const filePath = path.join(context.cwd, file);
-    return fs.existsSync(filePath);
-  }).length;
+  // Files the profile does not cover can still be checked directly
+  const ignoreMatches = fs.existsSync(path.join(context.cwd, '.dockerignore')) ? 1 : 0;
 
   // MULTI-SIGNAL COUNTING:
   // - Count keyword matches (how many keywords found in prompt)
-  // - Count file matches (how many indicator files exist)
-  // - Total matchCount = keywordMatches + fileMatches
+  // - Count project matches (Docker setup detected, .dockerignore present)
+  // - Total matchCount = keywordMatches + projectMatches + ignoreMatches
   // This gives higher scores when both signals are present
 
-  const matchCount = keywordMatches + fileMatches;
+  const matchCount = keywordMatches + projectMatches + ignoreMatches;
 
   // IMPORTANT: All fields are MANDATORY and must not be undefined/null
   return {
@@ -83,13 +75,27 @@ module.exports = function (context) {
 
 /**
  * PERFORMANCE NOTES:
- * - Execution time: ~5-10ms (includes file system checks)
+ * - Execution time: ~1-2ms (the project profile is already computed)
  * - fs.existsSync() is synchronous but very fast (~1ms per file)
- * - .some() short-circuits on first match (doesn't check all files)
- * - Consider caching results if checking many files
- * - Still much faster than network calls or heavy computation
+ * - Prefer context.project over probing files: it is detected once per prompt
+ *   instead of once per matcher
  *
- * FILE CHECKING PATTERNS:
+ * PROJECT PROFILE (context.project):
+ *
+ * {
+ *   root: '/path/to/project',
+ *   languages: ['typescript', 'javascript'],   // also python, go, rust, ruby, java, ...
+ *   packageManagers: ['pnpm'],                 // npm, yarn, bun, poetry, uv, pip, cargo, ...
+ *   frameworks: ['next', 'react', 'vitest'],   // from package.json, pyproject.toml, go.mod, Cargo.toml
+ *   docker: true,                              // Dockerfile or compose file present
+ *   ci: ['github-actions'],                    // gitlab-ci, circleci, jenkins, ...
+ * }
+ *
+ * Examples:
+ *   context.project.frameworks.includes('django')
+ *   context.project.languages.includes('rust') && context.project.docker
+ *
+ * FILE CHECKING PATTERNS (for files the profile does not cover):
  *
  * 1. EXACT FILE NAMES:
  *    fs.existsSync(path.join(context.cwd, 'Dockerfile'))
@@ -124,7 +130,7 @@ module.exports = function (context) {
  * - go.mod, go.sum, main.go
  *
  * REACT:
- * - Check package.json for "react" in dependencies
+ * - context.project.frameworks.includes('react')
  *
  * GIT:
  * - .git/ directory
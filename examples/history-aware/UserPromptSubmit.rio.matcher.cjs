@@ -101,9 +101,10 @@ module.exports = async function (context) {
 
 /**
  * PERFORMANCE NOTES:
- * - First transcript utility call: ~50-200ms (parses transcript file)
+ * - Transcript parsing is incremental: a persisted digest remembers what was already
+ *   parsed, so each prompt only parses the lines appended since the previous one
  * - Subsequent calls in same hook invocation: <1ms (cached)
- * - If multiple matchers use transcript, only first one parses
+ * - getAllMessages is the exception: it parses the whole transcript file
  * - Async overhead is minimal when cached
  * - Short-circuit logic minimizes async calls (checks keyword first)
  *
@@ -137,6 +138,36 @@ module.exports = async function (context) {
  * 4. getAllMessages(transcriptPath)
  *    Returns: Array<Message> (raw message objects with full metadata)
  *    Use for: Advanced analysis needing full message structure
+ *    Note: parses the whole transcript, prefer the utilities above
+ *
+ * 5. getFileOperations(transcriptPath)
+ *    Returns: Array<{operation: 'read' | 'edit' | 'write', path: string, tool: string, timestamp: string}>
+ *    Use for: Knowing which files were read (Read), edited (Edit, MultiEdit, NotebookEdit) or written (Write)
+ *    Example:
+ *      const ops = await context.transcript.getFileOperations(path);
+ *      const editedTests = ops.some(op => op.operation !== 'read' && op.path.endsWith('.test.ts'));
+ *
+ * 6. getFailedCommands(transcriptPath)
+ *    Returns: Array<{command: string, exitCode: number | null, stderr: string, timestamp: string}>
+ *    Use for: Reacting to failing builds or tests (stderr holds the last 500 characters)
+ *    Example:
+ *      const failed = await context.transcript.getFailedCommands(path);
+ *      const testsFailing = failed.some(c => c.command.includes('npm test'));
+ *
+ * 7. getLastAssistantMessage(transcriptPath)
+ *    Returns: string | null (text of Claude's last reply)
+ *
+ * 8. getRecentUserPrompts(transcriptPath, n = 5)
+ *    Returns: Array<string> (last n user prompts, oldest first)
+ *    Use for: Following a topic across the last few prompts
+ *
+ * 9. getMessages(transcriptPath)
+ *    Returns: Array<{role, timestamp, isSidechain, isMeta, isSummary, blocks}>
+ *    Use for: Subagent (sidechain) messages, thinking blocks or tool results
+ *    Blocks are typed: text, thinking, tool_use, tool_result, image or other
+ *
+ * Utilities 1-8 only cover the main conversation: subagent, meta and compaction
+ * summary messages are left out.
  *
  * PATTERN DETECTION STRATEGIES:
  *
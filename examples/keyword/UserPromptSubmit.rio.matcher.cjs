@@ -2,7 +2,8 @@
  * EXAMPLE: Simple Keyword Matcher (v2.0)
  *
  * This is the simplest and most common matcher pattern. It counts how many
- * keywords from your list appear in the user's prompt using case-insensitive matching.
+ * keywords from your list appear in the user's prompt as whole words (case-insensitive,
+ * with light stemming so "container" also matches "containers").
  *
  * USE CASE:
  * Perfect for skills that focus on a specific tool, framework, or concept where the
@@ -34,6 +35,7 @@
  * @param {string} context.sessionId - Session ID
  * @param {Object} context.meta - Meta information
  * @param {Object} context.transcript - Transcript utilities (for async usage)
+ * @param {Object} context.helpers - Whole-word matching helpers
  * @returns {Object} Matcher result with all required fields
  */
 module.exports = function (context) {
@@ -49,11 +51,9 @@ module.exports = function (context) {
     'containerize',
   ];
 
-  // Convert prompt to lowercase for case-insensitive matching
-  const prompt = context.prompt.toLowerCase();
-
-  // Count how many keywords are present in the prompt
-  const matchCount = keywords.filter((keyword) => prompt.includes(keyword)).length;
+  // Count how many keywords are present in the prompt as whole words
+  // ("image" matches "images" but not "imagine")
+  const matchCount = context.helpers.countMatches(keywords);
 
   // IMPORTANT: All fields are MANDATORY and must not be undefined/null
   return {
@@ -66,7 +66,7 @@ module.exports = function (context) {
 /**
  * PERFORMANCE NOTES:
  * - Execution time: ~1ms (fastest matcher pattern)
- * - .includes() is optimized for substring matching
+ * - The prompt is tokenized once and shared by all helper calls
  * - .filter() counts all matches (scoring is done by handler)
  * - No file I/O, no async operations, no external dependencies
  *
@@ -75,7 +75,7 @@ module.exports = function (context) {
  * 1. CHOOSING KEYWORDS:
  *    - Use specific terms unique to your skill's domain
  *    - Include common variations (e.g., "docker" and "dockerfile")
- *    - Consider both singular and plural forms if needed
+ *    - Plural and -ing/-ed forms match automatically ("build" → "builds", "building")
  *    - Think about what users actually type in prompts
  *    - Aim for 5-8 keywords for best results
  *
@@ -87,17 +87,16 @@ module.exports = function (context) {
  *
  * 3. AVOIDING FALSE POSITIVES:
  *    - Keep keywords specific (avoid common words like "run", "check")
- *    - Consider word-boundary matching if keywords are too short
+ *    - Short keywords are safe: helpers match whole words only ("ts" ≠ "tests")
  *    - Use negative keywords pattern if you need to exclude cases
  *
- * 4. HANDLING SHORT KEYWORDS:
- *    If your keywords are very short (2-3 characters), consider adding
- *    word boundary checks to avoid false positives:
+ * 4. PHRASES AND LOWER-LEVEL HELPERS:
+ *    Multi-word keywords ("pull request", "docker-compose") match as consecutive
+ *    words. For custom logic use the individual helpers:
  *
- *    const matchCount = keywords.filter(keyword => {
- *      const regex = new RegExp(`\\b${keyword}\\b`, 'i');
- *      return regex.test(context.prompt);
- *    }).length;
+ *    context.helpers.hasKeyword('docker')           // true for "Docker" or "dockers"
+ *    context.helpers.hasPhrase('multi stage build') // words in order
+ *    context.helpers.tokenize()                     // ['help', 'me', ...]
  *
  * TESTING YOUR MATCHER:
  *
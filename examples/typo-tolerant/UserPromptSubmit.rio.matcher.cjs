@@ -1,33 +1,31 @@
 /**
  * EXAMPLE: Typo-Tolerant Matcher
  *
- * Handles common typos, misspellings, and variations of keywords to improve matching
- * reliability. Users often make typos when typing quickly, and this pattern catches them.
+ * Handles common typos and misspellings of keywords to improve matching reliability.
+ * Users often make typos when typing quickly; the built-in fuzzy helpers catch them
+ * without hand-written misspelling lists.
  *
  * USE CASE:
  * Best for skills with keywords that are:
  * - Commonly misspelled (technical terms, foreign words)
- * - Have multiple valid spellings or variations
- * - Include abbreviations or shorthand forms
- * - Prone to keyboard proximity errors
+ * - Long enough that typos are likely (kubernetes, postgresql, environment)
+ * - Prone to keyboard errors (swapped, missing or doubled letters)
  *
  * REAL-WORLD EXAMPLES:
- * - TypeScript: "typescript", "type script", "typscript", "ts", "typescipt"
- * - Kubernetes: "kubernetes", "k8s", "kube", "kubernets", "kuberntes"
- * - PostgreSQL: "postgresql", "postgres", "postgre", "postgress", "psql"
- * - Environment: "environment", "enviroment", "environemnt", "env"
+ * - TypeScript: "typescript" also matches "typscript", "tpyescript", "typescriptt"
+ * - Kubernetes: "kubernetes" also matches "kubernets", "kuberntes"
+ * - PostgreSQL: "postgresql" also matches "postgressql", "postgrsql"
+ * - Environment: "environment" also matches "enviroment", "environemnt"
  *
  * BENEFITS:
- * - More forgiving user experience (catches typos gracefully)
- * - Higher activation rate without false positives
- * - Still very fast (~1-2ms execution time)
- * - No dependencies or external tools needed
+ * - One canonical keyword per concept, typos are tolerated automatically
+ * - More forgiving user experience without maintaining variation lists
+ * - Still fast (~1-2ms execution time), no dependencies
  *
  * WHEN TO USE:
  * - Your keywords are frequently misspelled
- * - You want better user experience with imperfect input
- * - Your skill's keywords are technical terms or jargon
- * - You have common abbreviations (k8s, i18n, a11y)
+ * - Your skill's keywords are long technical terms or jargon
+ * - You also have abbreviations (k8s, i18n, a11y) - match those exactly
  *
  * @param {Object} context - Matcher context
  * @param {string} context.prompt - User's prompt text
@@ -37,162 +35,80 @@
  * @param {string} context.sessionId - Session ID
  * @param {Object} context.meta - Meta information
  * @param {Object} context.transcript - Transcript utilities (for async usage)
+ * @param {Object} context.helpers - Whole-word and fuzzy matching helpers
  * @returns {Object} Matcher result with all required fields
  */
 module.exports = function (context) {
-  // TypeScript helper with common variations and typos
-  // In your matcher, include: correct spelling, common typos, abbreviations, alternatives
-  const keywordVariations = [
-    // Correct spellings
-    'typescript',
-    'type script',
+  // TypeScript helper: canonical spellings only, typos are handled by the fuzzy helper
+  const keywords = ['typescript', 'type script', 'tsconfig'];
 
-    // Common abbreviations
-    'ts',
+  // Abbreviations are too short to tolerate typos ("ts" must not match "is" or "tests"),
+  // so they are matched exactly as whole words
+  const abbreviations = ['ts', 'tsc'];
 
-    // Missing letters
-    'typscript',
-    'typescrpt',
-    'typesript',
-
-    // Swapped letters (keyboard errors)
-    'typescipt',
-    'tpyescript',
-    'tyepscript',
-
-    // Extra letters (doubled keys)
-    'typescriptt',
-    'typesscript',
-    'typescriipt',
-
-    // Phonetic variations
-    'type-script',
-
-    // Related terms that users might mention
-    'tsc', // TypeScript compiler
-    '.ts file',
-    'tsconfig',
+  const matchedKeywords = [
+    ...context.helpers.fuzzyMatchedKeywords(keywords),
+    ...context.helpers.matchedKeywords(abbreviations),
   ];
 
-  // Convert prompt to lowercase for case-insensitive matching
-  const prompt = context.prompt.toLowerCase();
-
-  // Count how many variations are present
-  const matchCount = keywordVariations.filter((variant) => prompt.includes(variant)).length;
-
-  // IMPORTANT: All fields are MANDATORY and must not be undefined/null
+  // IMPORTANT: version, matchCount and type are MANDATORY and must not be undefined/null
   return {
-    version: '2.0', // Required: always "2.0"
-    matchCount: matchCount, // Required: number of matches (0+)
-    type: 'skill', // Required: "skill" or "agent"
+    version: '3.0', // Required: always "3.0"
+    matchCount: matchedKeywords.length, // Required: number of matches (0+)
+    type: 'skill', // Required: "skill", "agent" or "command"
+    matchedKeywords: matchedKeywords, // Optional: keywords that matched
   };
 };
 
 /**
  * PERFORMANCE NOTES:
- * - Execution time: ~1-2ms (still very fast despite more keywords)
- * - Simple substring matching (.includes) is highly optimized
- * - .some() stops on first match (doesn't check all variations)
- * - No regex overhead (regex would be 5-10x slower)
+ * - Execution time: ~1-2ms
+ * - The prompt is tokenized once and shared by all helper calls
+ * - Edit distances are only computed for words of similar length
  * - No file I/O or external dependencies
  *
- * TYPO CATEGORIES TO CONSIDER:
- *
- * 1. MISSING LETTERS (skipped keys):
- *    - commit → comit, commt, commit
- *    - kubernetes → kuberntes, kubenetes
- *    - environment → enviroment, environent
- *
- * 2. EXTRA LETTERS (doubled keys):
- *    - test → tesst, testt, teest
- *    - docker → dockker, dockerr, doecker
- *    - build → builld, buiild
- *
- * 3. SWAPPED LETTERS (adjacent key errors):
- *    - docker → dcoker, dokcer
- *    - build → biuld, buidl
- *    - commit → comit, commti
- *
- * 4. WRONG LETTERS (keyboard proximity on QWERTY):
- *    - test → teat, tesr, teet (e↔w, t↔r, s↔a)
- *    - git → giy, gjt, git (i↔u, j↔h)
- *    - run → eun, tun, rin (r↔e,t, u↔i)
- *
- * 5. PHONETIC SPELLINGS (sound-alike):
- *    - kubernetes → kuberneetees
- *    - cache → cashe, kash
- *    - syntax → sintax
- *
- * 6. ABBREVIATIONS & SHORTHAND:
- *    - typescript → ts
- *    - kubernetes → k8s
- *    - internationalization → i18n
- *    - accessibility → a11y
- *
- * 7. ALTERNATIVE SPELLINGS:
- *    - gray → grey
- *    - color → colour
- *    - organize → organise
- *
- * HOW TO GENERATE YOUR TYPO LIST:
- *
- * 1. Start with the correct spelling
- * 2. Add common abbreviations (if applicable)
- * 3. Think about keyboard proximity:
- *    - What keys are next to each letter on QWERTY?
- *    - q: [w, a] | w: [q, e, s, a] | e: [w, r, d, s] ...
- * 4. Consider phonetic similarity:
- *    - What sounds like your keyword?
- * 5. Check your project's history/logs:
- *    - What typos do users actually make?
- * 6. Test with colleagues:
- *    - Ask them to type your keyword quickly 5 times
+ * HOW MANY TYPOS ARE TOLERATED:
  *
- * BALANCING ACT:
+ * Words are compared with an edit distance where an inserted, deleted or
+ * substituted letter, or two swapped neighbouring letters, each count as one edit.
+ * The tolerance depends on the length of the shorter word:
  *
- * ✅ DO include common, realistic typos
- * ✅ DO include standard abbreviations
- * ✅ DO include alternative spellings
- * ❌ DON'T add so many variations that you get false positives
- * ❌ DON'T include variations that are too short (2 chars)
- * ❌ DON'T include variations that overlap with other tools
- *
- * EXAMPLE: Comprehensive Docker Variations
- *
- * const dockerVariations = [
- *   'docker',          // correct
- *   'doker',           // missing c
- *   'dokcer',          // swapped c,k
- *   'dockr',           // missing e
- *   'dockerr',         // extra r
- *   'dcoker',          // swapped d,c
- *   'dokker',          // k instead of c
- *   'docker-compose',  // related tool
- *   'dockerfile',      // related file
- *   'docker compose',  // space variant
- *   'compose'          // shorthand
- * ];
- *
- * TESTING YOUR TYPO LIST:
+ * - 1-4 letters: exact match only (git, tsc, test)
+ * - 5-8 letters: 1 edit (dokcer → docker, comit → commit)
+ * - 9+ letters: 2 edits (kuberntes → kubernetes, typscirpt → typescript)
  *
- * Test with realistic typos:
- * ✅ "How do I use typscript?" → relevant: true (missing e)
- * ✅ "What's the tsc compiler?" → relevant: true (abbreviation)
- * ✅ "Fix this typescipt error" → relevant: true (swapped letters)
- * ✅ "My typescript files..." → relevant: true (correct spelling)
- * ❌ "Script execution failed" → relevant: false (contains "script" but not "typescript")
+ * Words are lightly stemmed first, so plural and -ing/-ed forms match as they do
+ * with the exact helpers.
  *
- * ADVANCED: Regex for Pattern Variations
+ * AVAILABLE FUZZY HELPERS:
  *
- * If you have systematic variations, use regex instead:
+ * context.helpers.hasFuzzyKeyword('kubernetes')           // boolean
+ * context.helpers.fuzzyMatchedKeywords(['docker', 'helm']) // keywords that matched
+ * context.helpers.countFuzzyMatches(['docker', 'helm'])    // number of matches
+ * context.helpers.editDistance('dokcer', 'docker')         // 1
  *
- * // Match "docker" with optional doubled letters
- * const pattern = /\bd+o+c+k+e+r+\b/i;
- * const hasMatch = pattern.test(context.prompt);
+ * Multi-word keywords ("type script") match consecutive words, each with its own tolerance.
  *
- * // Match "typescript" with optional spaces/hyphens
- * const pattern = /\btype[\s-]?script\b/i;
- * const hasMatch = pattern.test(context.prompt);
+ * BALANCING ACT:
+ *
+ * ✅ DO use fuzzy matching for long, distinctive words
+ * ✅ DO match abbreviations and short words exactly (helpers.matchedKeywords)
+ * ❌ DON'T fuzzy-match common English words ("build" would also match "guild")
+ * ❌ DON'T use fuzzy matching for negative keywords (exclude only on exact hits)
+ *
+ * DECLARATIVE ALTERNATIVE:
+ *
+ * The same behaviour is available without JavaScript in a .rio.matcher.json file:
  *
- * Note: Regex is ~5-10x slower than .includes(), use only if needed.
+ * { "keywords": ["typescript", "tsconfig"], "fuzzy": true }
+ *
+ * TESTING YOUR MATCHER:
+ *
+ * Test with realistic typos:
+ * ✅ "How do I use typscript?" → matchCount: 1 (missing e)
+ * ✅ "What's the tsc compiler?" → matchCount: 1 (abbreviation)
+ * ✅ "Fix this typescipt error" → matchCount: 1 (missing letter)
+ * ✅ "My tpyescript files..." → matchCount: 1 (swapped letters)
+ * ❌ "Script execution failed" → matchCount: 0 (contains "script" but not "typescript")
+ * ❌ "Run the tests" → matchCount: 0 ("ts" only matches the whole word)
  */
@@ -0,0 +1,173 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Suggestion acceptance tracking.
+ *
+ * Every suggestion set is stored in the session state. On the next prompt it is
+ * correlated with the tool uses Claude made since then: a suggested entity that was
+ * invoked counts as accepted, any other as ignored. When the transcript cannot be read
+ * the outcome is unknown and nothing is counted. Counters are accumulated per
+ * project in the state store and reported by `claude-rio stats`.
+ */
+
+const { ok, err } = require('../utils/result.cjs');
+const store = require('../utils/store.cjs');
+const { getInvokedEntity } = require('./recent-use.cjs');
+
+/**
+ * @typedef {import('./types').ActiveSkill} ActiveSkill
+ * @typedef {typeof import('../utils/transcript.cjs')} TranscriptModule
+ * @typedef {import('./types').SuggestionSet} SuggestionSet
+ * @typedef {import('./types').EntityStats} EntityStats
+ * @typedef {import('./types').ProjectStats} ProjectStats
+ */
+
+/**
+ * Split a previous suggestion set into accepted and ignored items.
+ *
+ * @param {SuggestionSet} suggestions - Suggestions made for the previous prompt
+ * @param {Array<{tool: string, input: object, timestamp: string}>} toolUsage - Tool uses from the transcript
+ * @returns {{accepted: SuggestionSet['items'], ignored: SuggestionSet['items']}}
+ */
+function correlateSuggestions(suggestions, toolUsage) {
+  const since = Date.parse(suggestions.at);
+  const invoked = new Set();
+
+  for (const toolUse of toolUsage) {
+    const entity = getInvokedEntity(toolUse);
+    if (entity && Date.parse(toolUse.timestamp) >= since) {
+      invoked.add(`${entity.type}:${entity.name}`);
+    }
+  }
+
+  const accepted = [];
+  const ignored = [];
+  for (const item of suggestions.items) {
+    (invoked.has(`${item.type}:${item.name}`) ? accepted : ignored).push(item);
+  }
+  return { accepted, ignored };
+}
+
+/**
+ * Get (or create) the statistics entry of an entity.
+ * @param {ProjectStats} stats
+ * @param {{name: string, type: string, level: string}} item
+ * @returns {EntityStats}
+ */
+function getEntityStats(stats, item) {
+  const key = `${item.type}:${item.name}`;
+  if (!stats.entities[key]) {
+    stats.entities[key] = {
+      name: item.name,
+      type: item.type,
+      level: item.level,
+      suggested: 0,
+      accepted: 0,
+      ignored: 0,
+    };
+  }
+  return stats.entities[key];
+}
+
+/**
+ * Record the outcome of the previous suggestion set and the new suggestions.
+ * A missing session id (e.g. manual runs) disables tracking.
+ *
+ * @param {Object} options
+ * @param {string} options.projectDir - Project directory (statistics are kept per project)
+ * @param {string} options.sessionId - Session ID
+ * @param {string} options.transcriptPath - Path to transcript file
+ * @param {TranscriptModule} options.transcript - Transcript module (its digest holds the tool uses)
+ * @param {ActiveSkill[]} options.items - Suggestions shown for the current prompt
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{ok: boolean, value?: {accepted: SuggestionSet['items'], ignored: SuggestionSet['items'], uncorrelated: SuggestionSet['items']}|null, error?: string}>}
+ *   uncorrelated lists the previous suggestions whose outcome is unknown (unreadable transcript)
+ */
+async function trackSuggestions(options) {
+  const { projectDir, sessionId, transcriptPath, transcript, items, now = new Date() } = options;
+  if (!sessionId) {
+    return ok(null);
+  }
+
+  const sessionRes = await store.readSessionState(sessionId);
+  if (!sessionRes.ok) {
+    return err(`Cannot read session state: ${sessionRes.error}`);
+  }
+  const session = sessionRes.value;
+
+  /** @type {SuggestionSet|undefined} */
+  const previous = session.lastSuggestions;
+  const hadSuggestions = Boolean(previous && previous.items.length > 0);
+  if (!hadSuggestions && items.length === 0) {
+    return ok({ accepted: [], ignored: [], uncorrelated: [] });
+  }
+
+  // Without the transcript nothing tells whether the previous suggestions were used
+  const digest =
+    hadSuggestions && transcriptPath ? await transcript.loadDigest(transcriptPath) : null;
+  if (hadSuggestions && !digest && items.length === 0) {
+    // Keep them for a later prompt that can read the transcript
+    return ok({ accepted: [], ignored: [], uncorrelated: [] });
+  }
+
+  const statsPath = store.getStatsPath(projectDir);
+  const statsRes = await store.readJsonFile(statsPath);
+  if (!statsRes.ok) {
+    return err(`Cannot read statistics: ${statsRes.error}`);
+  }
+  /** @type {ProjectStats} */
+  const stats = statsRes.value || { projectDir, updatedAt: '', entities: {} };
+  const timestamp = now.toISOString();
+
+  let outcome = { accepted: [], ignored: [], uncorrelated: [] };
+  if (digest) {
+    outcome = { ...correlateSuggestions(previous, digest.toolUsage), uncorrelated: [] };
+  } else if (hadSuggestions) {
+    outcome.uncorrelated = previous.items;
+  }
+
+  for (const item of outcome.accepted) {
+    const entity = getEntityStats(stats, item);
+    entity.accepted++;
+    entity.lastAcceptedAt = timestamp;
+  }
+  for (const item of outcome.ignored) {
+    getEntityStats(stats, item).ignored++;
+  }
+  for (const item of items) {
+    const entity = getEntityStats(stats, item);
+    entity.suggested++;
+    entity.level = item.level;
+    entity.lastSuggestedAt = timestamp;
+  }
+  stats.updatedAt = timestamp;
+
+  session.lastSuggestions = {
+    at: timestamp,
+    items: items.map((item) => ({ name: item.name, type: item.type, level: item.level })),
+  };
+
+  const statsWrite = await store.writeJsonFile(statsPath, stats);
+  if (!statsWrite.ok) {
+    return statsWrite;
+  }
+  const sessionWrite = await store.writeSessionState(sessionId, session);
+  if (!sessionWrite.ok) {
+    return sessionWrite;
+  }
+
+  return ok(outcome);
+}
+
+module.exports = {
+  correlateSuggestions,
+  trackSuggestions,
+};
@@ -0,0 +1,72 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Builds the context passed to matchers.
+ *
+ * The context is split into plain data (safe to send to a worker thread) and the
+ * utilities attached to it, so the handler and matcher workers build the exact
+ * same context from the same data.
+ */
+
+const { createHelpers } = require('../utils/helpers.cjs');
+
+/**
+ * @typedef {import('./types').MatcherArguments} MatcherArguments
+ * @typedef {import('./types').MatcherContextData} MatcherContextData
+ * @typedef {import('./types').GitContext} GitContext
+ * @typedef {import('./types').TranscriptUtils} TranscriptUtils
+ */
+
+/** Latest matcher result schema version supported by the handler. */
+const SCHEMA_VERSION = '3.0';
+
+/**
+ * Create the matcher context from its plain data.
+ * @param {MatcherContextData} data
+ * @param {{git: GitContext, transcript: TranscriptUtils}} services - Shared lazy services (workers
+ *   pass proxies to the handler's)
+ * @returns {MatcherArguments}
+ */
+function createMatcherContext(data, services) {
+  return {
+    // Payload data
+    prompt: data.prompt,
+    cwd: data.cwd,
+    transcriptPath: data.transcriptPath,
+    permissionMode: data.permissionMode,
+    sessionId: data.sessionId,
+
+    // Meta information
+    meta: {
+      schemaVersion: SCHEMA_VERSION,
+    },
+
+    // Transcript utilities namespace (cached per hook invocation)
+    transcript: services.transcript,
+
+    // Word-level text matching helpers bound to the prompt
+    helpers: createHelpers(data.prompt),
+
+    // Lazy git information (cached per hook invocation)
+    git: services.git,
+
+    // Project fingerprint (detected once per prompt by the handler)
+    project: data.project,
+
+    // Files and directories referenced in the prompt (`@path` mentions and path-like tokens)
+    mentionedFiles: data.mentionedFiles,
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  createMatcherContext,
+};
@@ -0,0 +1,357 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Built-in evaluator for declarative matchers (`*.rio.matcher.json`).
+ * Declarative matchers describe keywords and rules as data, so they need no
+ * JavaScript to be reviewed or trusted.
+ *
+ * The same definition can also live in the `rio:` frontmatter block of a
+ * SKILL.md or agent/command `.md` file (an implicit matcher).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ok, err, wrapSync } = require('../utils/result.cjs');
+const { readRioBlock } = require('../utils/frontmatter.cjs');
+
+/**
+ * @typedef {import('./types').MatcherArguments} MatcherArguments
+ * @typedef {import('./types').MatcherResult} MatcherResult
+ * @typedef {import('./types').DeclarativeMatcher} DeclarativeMatcher
+ * @typedef {import('./types').ProjectProfile} ProjectProfile
+ */
+
+/** List fields of a declarative matcher (all optional, arrays of non-empty strings). */
+const LIST_FIELDS = ['keywords', 'phrases', 'regexes', 'negativeKeywords', 'indicatorFiles'];
+
+/** All fields a declarative matcher may contain. */
+const ALLOWED_FIELDS = ['description', 'type', 'fuzzy', 'project', ...LIST_FIELDS];
+
+/** Project profile lists a declarative matcher can require (any listed value must be present). */
+const PROJECT_LIST_FIELDS = ['languages', 'packageManagers', 'frameworks', 'ci'];
+
+/**
+ * Validate the `project` conditions of a declarative matcher.
+ * @param {any} conditions
+ * @returns {{ok: boolean, value?: any, error?: string}}
+ */
+function validateProjectConditions(conditions) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return err('Declarative matcher "project" must be an object');
+  }
+
+  const allowed = [...PROJECT_LIST_FIELDS, 'docker'];
+  const unknown = Object.keys(conditions).find((key) => !allowed.includes(key));
+  if (unknown) {
+    return err(
+      `Declarative matcher "project" has unknown field "${unknown}" (allowed: ${allowed.join(', ')})`
+    );
+  }
+
+  for (const field of PROJECT_LIST_FIELDS) {
+    const value = conditions[field];
+    if (value === undefined) continue;
+    if (
+      !Array.isArray(value) ||
+      value.some((entry) => typeof entry !== 'string' || !entry.trim())
+    ) {
+      return err(`Declarative matcher "project.${field}" must be an array of non-empty strings`);
+    }
+  }
+
+  if (conditions.docker !== undefined && typeof conditions.docker !== 'boolean') {
+    return err('Declarative matcher "project.docker" must be true or false');
+  }
+
+  return ok(conditions);
+}
+
+/**
+ * Find the first `project` condition the project profile does not satisfy.
+ * @param {DeclarativeMatcher['project']} conditions
+ * @param {ProjectProfile} [profile]
+ * @returns {string|null} Description of the unmet condition, or null when all are met
+ */
+function findUnmetProjectCondition(conditions, profile) {
+  for (const field of PROJECT_LIST_FIELDS) {
+    const required = conditions[field];
+    if (!required) continue;
+    const present = ((profile && profile[field]) || []).map((value) => value.toLowerCase());
+    if (!required.some((value) => present.includes(value.toLowerCase()))) {
+      return `${field}: ${required.join(' or ')}`;
+    }
+  }
+  if (conditions.docker !== undefined && Boolean(profile && profile.docker) !== conditions.docker) {
+    return `docker: ${conditions.docker}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed declarative matcher definition.
+ * @param {any} spec
+ * @returns {{ok: boolean, value?: DeclarativeMatcher, error?: string}}
+ */
+function validateDeclarativeMatcher(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return err('Declarative matcher must be a JSON object');
+  }
+
+  const unknown = Object.keys(spec).find((key) => !ALLOWED_FIELDS.includes(key));
+  if (unknown) {
+    return err(
+      `Declarative matcher has unknown field "${unknown}" (allowed: ${ALLOWED_FIELDS.join(', ')})`
+    );
+  }
+
+  if (spec.description !== undefined && typeof spec.description !== 'string') {
+    return err('Declarative matcher "description" must be a string');
+  }
+
+  if (spec.fuzzy !== undefined && typeof spec.fuzzy !== 'boolean') {
+    return err('Declarative matcher "fuzzy" must be true or false');
+  }
+
+  if (spec.project !== undefined) {
+    const projectRes = validateProjectConditions(spec.project);
+    if (!projectRes.ok) {
+      return projectRes;
+    }
+  }
+
+  if (spec.type !== undefined) {
+    const validTypes = ['skill', 'agent', 'command'];
+    if (!validTypes.includes(spec.type)) {
+      return err(
+        `Declarative matcher "type" must be one of: ${validTypes.join(', ')} (got: ${spec.type})`
+      );
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = spec[field];
+    if (value === undefined) continue;
+
+    if (!Array.isArray(value)) {
+      return err(`Declarative matcher "${field}" must be an array of strings`);
+    }
+    const invalid = value.find((entry) => typeof entry !== 'string' || !entry.trim());
+    if (invalid !== undefined) {
+      return err(
+        `Declarative matcher "${field}" must contain non-empty strings (got: ${JSON.stringify(invalid)})`
+      );
+    }
+  }
+
+  for (const source of spec.regexes || []) {
+    const regexRes = wrapSync(() => new RegExp(source, 'i'));
+    if (!regexRes.ok) {
+      return err(`Declarative matcher "regexes" contains an invalid pattern: ${regexRes.error}`);
+    }
+  }
+
+  const signals = ['keywords', 'phrases', 'regexes'].some((field) => (spec[field] || []).length);
+  if (!signals) {
+    return err('Declarative matcher needs at least one of: keywords, phrases, regexes');
+  }
+
+  return ok(spec);
+}
+
+/**
+ * Evaluate a declarative matcher against the matcher context.
+ *
+ * Rules:
+ * - Keywords, phrases and negative keywords match whole words, case-insensitively and
+ *   with light stemming ("build" matches "building"; "ts" does not match "tests")
+ * - With `fuzzy: true`, keywords and phrases also match with typos ("kuberntes");
+ *   negative keywords always match exactly
+ * - Any negative keyword in the prompt → matchCount 0
+ * - Any unmet `project` condition (e.g. `frameworks: ["django"]`) → matchCount 0
+ * - Each keyword, phrase and regex found in the prompt counts as one match; only
+ *   keywords and phrases are reported as `matchedKeywords`
+ * - Each existing indicator file (relative to cwd) adds one match, but only
+ *   when the prompt itself matched
+ *
+ * @param {DeclarativeMatcher} spec - Validated declarative matcher
+ * @param {MatcherArguments} context
+ * @returns {MatcherResult}
+ */
+function evaluateDeclarativeMatcher(spec, context) {
+  const { helpers } = context;
+  const noMatch = { version: '3.0', matchCount: 0, type: spec.type };
+
+  const negative = (spec.negativeKeywords || []).find((kw) => helpers.hasKeyword(kw));
+  if (negative) {
+    return { ...noMatch, reason: `Excluded by negative keyword "${negative}"` };
+  }
+
+  if (spec.project) {
+    const unmet = findUnmetProjectCondition(spec.project, context.project);
+    if (unmet) {
+      return { ...noMatch, reason: `Project condition not met (${unmet})` };
+    }
+  }
+
+  // Keywords and phrases share the same word-sequence matching
+  const findMatches = spec.fuzzy ? helpers.fuzzyMatchedKeywords : helpers.matchedKeywords;
+  const matchedKeywords = [...findMatches(spec.keywords || []), ...findMatches(spec.phrases || [])];
+  // Patterns are not keywords: they count as matches but are not reported as matchedKeywords
+  const regexMatches = (spec.regexes || []).filter((source) =>
+    new RegExp(source, 'i').test(context.prompt)
+  ).length;
+
+  if (matchedKeywords.length + regexMatches === 0) {
+    return noMatch;
+  }
+
+  const presentFiles = (spec.indicatorFiles || []).filter((file) =>
+    fs.existsSync(path.join(context.cwd, file))
+  );
+
+  /** @type {MatcherResult} */
+  const result = {
+    version: '3.0',
+    matchCount: matchedKeywords.length + regexMatches + presentFiles.length,
+    type: spec.type,
+  };
+  if (matchedKeywords.length > 0) {
+    result.matchedKeywords = matchedKeywords;
+  }
+  if (presentFiles.length > 0) {
+    result.reason = `Project contains ${presentFiles.join(', ')}`;
+  }
+  return result;
+}
+
+/**
+ * Read and validate a declarative matcher file.
+ * @param {string} matcherPath - Path to a `*.rio.matcher.json` file
+ * @returns {{ok: boolean, value?: DeclarativeMatcher, error?: string}}
+ */
+function readDeclarativeSpec(matcherPath) {
+  const readRes = wrapSync(() => fs.readFileSync(matcherPath, 'utf8'));
+  if (!readRes.ok) {
+    return err(`Cannot read declarative matcher: ${readRes.error}`);
+  }
+
+  const parseRes = wrapSync(() => JSON.parse(readRes.value));
+  if (!parseRes.ok) {
+    return err(`Declarative matcher is not valid JSON: ${parseRes.error}`);
+  }
+
+  return validateDeclarativeMatcher(parseRes.value);
+}
+
+/**
+ * Read and validate the `rio:` frontmatter block of an entity `.md` file.
+ * @param {string} entityPath - Path to SKILL.md or an agent/command `.md` file
+ * @returns {{ok: boolean, value?: DeclarativeMatcher|null, error?: string}} null when the
+ *   file has no `rio:` key in its frontmatter (it is not a matcher)
+ */
+function readFrontmatterSpec(entityPath) {
+  const readRes = wrapSync(() => fs.readFileSync(entityPath, 'utf8'));
+  if (!readRes.ok) {
+    return err(`Cannot read frontmatter matcher: ${readRes.error}`);
+  }
+
+  const blockRes = readRioBlock(readRes.value);
+  if (!blockRes.ok) {
+    return err(`Invalid "rio" frontmatter block: ${blockRes.error}`);
+  }
+  if (!blockRes.value) {
+    return ok(null);
+  }
+
+  const validation = validateDeclarativeMatcher(blockRes.value);
+  if (!validation.ok) {
+    return err(`Invalid "rio" frontmatter block: ${validation.error}`);
+  }
+  return validation;
+}
+
+/**
+ * Read the definition of a declarative or frontmatter matcher, based on its path.
+ * @param {string} matcherPath - Path to a `*.rio.matcher.json` or entity `.md` file
+ * @returns {{ok: boolean, value?: DeclarativeMatcher|null, error?: string}} null for an
+ *   entity file without a `rio:` frontmatter key
+ */
+function readMatcherSpec(matcherPath) {
+  return isFrontmatterMatcherPath(matcherPath)
+    ? readFrontmatterSpec(matcherPath)
+    : readDeclarativeSpec(matcherPath);
+}
+
+/**
+ * Check whether a declarative matcher runs user-supplied regular expressions.
+ * A pattern with catastrophic backtracking blocks the thread it runs on, so the
+ * handler evaluates these matchers in a worker thread like JavaScript matchers.
+ * @param {DeclarativeMatcher|null} spec
+ * @returns {boolean}
+ */
+function hasRegexes(spec) {
+  return Boolean(spec && spec.regexes && spec.regexes.length > 0);
+}
+
+/**
+ * Turn a matcher definition into a matcher function. An entity file without a `rio:`
+ * key (e.g. edited since discovery) is not a matcher and never matches.
+ * @param {DeclarativeMatcher|null} spec
+ * @returns {function(MatcherArguments): MatcherResult}
+ */
+function createSpecMatcher(spec) {
+  if (!spec) {
+    return () => ({ version: '3.0', matchCount: 0 });
+  }
+  return (context) => evaluateDeclarativeMatcher(spec, context);
+}
+
+/**
+ * Load a declarative matcher file and turn it into a matcher function.
+ * @param {string} matcherPath - Path to a `*.rio.matcher.json` file
+ * @returns {{ok: boolean, value?: function(MatcherArguments): MatcherResult, error?: string}}
+ */
+function loadDeclarativeMatcher(matcherPath) {
+  const specRes = readDeclarativeSpec(matcherPath);
+  if (!specRes.ok) {
+    return specRes;
+  }
+  return ok(createSpecMatcher(specRes.value));
+}
+
+/**
+ * Check whether a matcher path points to a declarative matcher.
+ * @param {string} matcherPath
+ * @returns {boolean}
+ */
+function isDeclarativeMatcherPath(matcherPath) {
+  return matcherPath.endsWith('.json');
+}
+
+/**
+ * Check whether a matcher path points to an entity `.md` file with a `rio:` frontmatter block.
+ * @param {string} matcherPath
+ * @returns {boolean}
+ */
+function isFrontmatterMatcherPath(matcherPath) {
+  return matcherPath.endsWith('.md');
+}
+
+module.exports = {
+  validateDeclarativeMatcher,
+  evaluateDeclarativeMatcher,
+  readMatcherSpec,
+  hasRegexes,
+  createSpecMatcher,
+  loadDeclarativeMatcher,
+  isDeclarativeMatcherPath,
+  isFrontmatterMatcherPath,
+};
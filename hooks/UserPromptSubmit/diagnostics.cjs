@@ -0,0 +1,96 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * User-visible diagnostics for broken matchers.
+ *
+ * Matcher failures are always logged; in addition each failure is summarised to the
+ * user once per session, so regressions are noticed without reading the log files.
+ */
+
+const { ok, err } = require('../utils/result.cjs');
+const store = require('../utils/store.cjs');
+
+/**
+ * @typedef {import('./types').MatcherFailure} MatcherFailure
+ */
+
+/** Longest error text shown per matcher (the full error is in the logs). */
+const MAX_ERROR_LENGTH = 160;
+
+/**
+ * Build the key that identifies a failure within a session.
+ * @param {MatcherFailure} failure
+ * @returns {string}
+ */
+function getFailureKey(failure) {
+  return `${failure.event}:${failure.matcherPath}`;
+}
+
+/**
+ * Format a summary of broken matchers.
+ * Example:
+ *   claude-rio: 1 matcher failed (details in /home/me/project/.claude/hooks/rio/logs)
+ *   - helm (matcher-execution-failed): boom
+ *
+ * @param {MatcherFailure[]} failures
+ * @param {string} logDir - Resolved log directory (see resolveLogDir)
+ * @returns {string}
+ */
+function formatDiagnostics(failures, logDir) {
+  const noun = failures.length === 1 ? 'matcher' : 'matchers';
+  const lines = failures.map((failure) => {
+    const error = failure.error.replace(/\s+/g, ' ').trim();
+    const shortError =
+      error.length > MAX_ERROR_LENGTH ? `${error.slice(0, MAX_ERROR_LENGTH - 3)}...` : error;
+    return `- ${failure.name} (${failure.event}): ${shortError}`;
+  });
+  return [`claude-rio: ${failures.length} ${noun} failed (details in ${logDir})`, ...lines].join(
+    '\n'
+  );
+}
+
+/**
+ * Select the failures not reported yet in this session and remember them.
+ * Without a session id every failure is reported.
+ *
+ * @param {string} sessionId
+ * @param {MatcherFailure[]} failures
+ * @returns {Promise<{ok: boolean, value?: MatcherFailure[], error?: string}>}
+ */
+async function selectUnreportedFailures(sessionId, failures) {
+  if (failures.length === 0 || !sessionId) {
+    return ok(failures);
+  }
+
+  const sessionRes = await store.readSessionState(sessionId);
+  if (!sessionRes.ok) {
+    return err(`Cannot read session state: ${sessionRes.error}`);
+  }
+  const session = sessionRes.value;
+  const reported = new Set(session.reportedFailures || []);
+
+  const unreported = failures.filter((failure) => !reported.has(getFailureKey(failure)));
+  if (unreported.length === 0) {
+    return ok([]);
+  }
+
+  session.reportedFailures = [...reported, ...unreported.map(getFailureKey)];
+  const writeRes = await store.writeSessionState(sessionId, session);
+  if (!writeRes.ok) {
+    return writeRes;
+  }
+  return ok(unreported);
+}
+
+module.exports = {
+  formatDiagnostics,
+  selectUnreportedFailures,
+};
@@ -0,0 +1,314 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractFrontmatter } = require('../utils/frontmatter.cjs');
+
+/**
+ * @typedef {import('./types').MatcherFile} MatcherFile
+ */
+
+/** Matcher file suffix for JavaScript and declarative matchers. */
+const MATCHER_SUFFIX = /\.rio\.matcher\.(cjs|json)$/;
+
+/** Entity definition suffix for matchers declared in a `rio:` frontmatter block. */
+const FRONTMATTER_SUFFIX = /\.md$/;
+
+/** Path of a skill matcher, anywhere below a skills directory. */
+const SKILL_MATCHER_PATH = /[/\\]rio[/\\]UserPromptSubmit\.rio\.matcher\.(cjs|json)$/;
+
+/** Entity definition file matched by the `*.md` globs of hook.sh (hidden files excluded). */
+const ENTITY_FILE_NAME = /^[^.].*\.md$/;
+
+/** Top-level `rio:` key, looked for in the leading frontmatter block only (like hook.sh). */
+const FRONTMATTER_BLOCK = /^rio:/m;
+
+/**
+ * Find matcher paths the way hook.sh does (without its discovery index) and in the same
+ * order: skill matchers, agent matchers, command matchers, then entity files declaring a
+ * `rio:` frontmatter block. Project roots come before user roots and symlinks are followed.
+ *
+ * @param {{projectDir: string, homeDir?: string}} options
+ * @returns {string[]}
+ */
+function findMatcherPaths(options) {
+  const roots = [
+    path.join(options.projectDir, '.claude'),
+    path.join(options.homeDir || os.homedir(), '.claude'),
+  ];
+  const dirs = (name) => roots.map((root) => path.join(root, name));
+
+  const skillMatchers = dirs('skills').flatMap((dir) =>
+    findFilesRecursive(dir, (filePath) => SKILL_MATCHER_PATH.test(filePath))
+  );
+  const agentMatchers = dirs('agents').flatMap((dir) => listFiles(dir, MATCHER_SUFFIX));
+  const commandMatchers = dirs('commands').flatMap((dir) => listFiles(dir, MATCHER_SUFFIX));
+
+  const entityFiles = [
+    ...dirs('skills').flatMap((dir) =>
+      listDirs(dir)
+        .map((skillDir) => path.join(skillDir, 'SKILL.md'))
+        .filter(isFile)
+    ),
+    ...dirs('agents').flatMap((dir) => listFiles(dir, ENTITY_FILE_NAME)),
+    ...dirs('commands').flatMap((dir) => listFiles(dir, ENTITY_FILE_NAME)),
+  ];
+  const frontmatterMatchers = entityFiles.filter((filePath) => {
+    try {
+      const frontmatter = extractFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      return frontmatter !== null && FRONTMATTER_BLOCK.test(frontmatter);
+    } catch {
+      return false;
+    }
+  });
+
+  return [...skillMatchers, ...agentMatchers, ...commandMatchers, ...frontmatterMatchers];
+}
+
+/**
+ * Check whether a path is a file (following symlinks).
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the sorted entry names of a directory.
+ * @param {string} dir
+ * @returns {string[]} Empty when the directory is missing or unreadable
+ */
+function readNames(dir) {
+  try {
+    return fs.readdirSync(dir).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * List the non-hidden subdirectories of a directory (following symlinks), like the `*` globs of hook.sh.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listDirs(dir) {
+  return readNames(dir)
+    .filter((name) => !name.startsWith('.'))
+    .map((name) => path.join(dir, name))
+    .filter((entryPath) => {
+      try {
+        return fs.statSync(entryPath).isDirectory();
+      } catch {
+        return false;
+      }
+    });
+}
+
+/**
+ * List the files of a directory whose name matches a pattern (following symlinks).
+ * @param {string} dir
+ * @param {RegExp} pattern
+ * @returns {string[]}
+ */
+function listFiles(dir, pattern) {
+  return readNames(dir)
+    .filter((name) => pattern.test(name))
+    .map((name) => path.join(dir, name))
+    .filter(isFile);
+}
+
+/**
+ * Find the files below a directory accepted by a predicate (following symlinks).
+ * Directories already visited through another link are skipped, so symlink loops end.
+ * @param {string} dir
+ * @param {function(string): boolean} accept
+ * @param {Set<string>} [visited] - Real paths of the visited directories
+ * @returns {string[]}
+ */
+function findFilesRecursive(dir, accept, visited = new Set()) {
+  let realDir;
+  try {
+    realDir = fs.realpathSync(dir);
+  } catch {
+    return [];
+  }
+  if (visited.has(realDir)) {
+    return [];
+  }
+  visited.add(realDir);
+
+  const files = [];
+  for (const name of readNames(dir)) {
+    const entryPath = path.join(dir, name);
+    let stat;
+    try {
+      stat = fs.statSync(entryPath);
+    } catch {
+      continue;
+    }
+    if (stat.isDirectory()) {
+      files.push(...findFilesRecursive(entryPath, accept, visited));
+    } else if (stat.isFile() && accept(entryPath)) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Build matcher file info from a matcher path.
+ *
+ * Skills, agents, and commands have different path structures:
+ * - Skills: .../skills/<name>/rio/UserPromptSubmit.rio.matcher.cjs (name from grandparent dir)
+ * - Agents: .../agents/<name>.rio.matcher.cjs (name from filename, without .rio.matcher.cjs)
+ * - Commands: .../commands/<name>.rio.matcher.cjs (name from filename, without .rio.matcher.cjs)
+ * Declarative matchers use the same layout with a .rio.matcher.json extension.
+ *
+ * Frontmatter matchers are the entity files themselves:
+ * - Skills: .../skills/<name>/SKILL.md (name from parent dir)
+ * - Agents and commands: .../<name>.md (name from filename)
+ *
+ * The level is "project" for matchers under <projectDir>/.claude and "user" otherwise.
+ *
+ * @param {string} matcherPath
+ * @param {{projectDir: string, homeDir?: string}} options
+ * @returns {MatcherFile}
+ */
+function describeMatcherPath(matcherPath, options) {
+  const isAgent =
+    matcherPath.includes('/.claude/agents/') || matcherPath.includes('\\.claude\\agents\\');
+  const isCommand =
+    matcherPath.includes('/.claude/commands/') || matcherPath.includes('\\.claude\\commands\\');
+
+  const source = FRONTMATTER_SUFFIX.test(matcherPath) ? 'frontmatter' : 'file';
+
+  let name;
+  let detectedType;
+
+  if (isAgent) {
+    // Agent matcher: extract name from filename (e.g., "my-agent.rio.matcher.cjs" -> "my-agent")
+    const filename = path.basename(matcherPath);
+    name = filename.replace(MATCHER_SUFFIX, '').replace(FRONTMATTER_SUFFIX, '');
+    detectedType = 'agent';
+  } else if (isCommand) {
+    // Command matcher: extract name from filename (e.g., "my-command.rio.matcher.cjs" -> "my-command")
+    const filename = path.basename(matcherPath);
+    name = filename.replace(MATCHER_SUFFIX, '').replace(FRONTMATTER_SUFFIX, '');
+    detectedType = 'command';
+  } else if (source === 'frontmatter') {
+    // Skill frontmatter: extract name from parent directory (.../name/SKILL.md)
+    name = path.basename(path.dirname(matcherPath));
+    detectedType = 'skill';
+  } else {
+    // Skill matcher: extract name from grandparent directory
+    const rioDir = path.dirname(matcherPath); // .../name/rio
+    const itemDir = path.dirname(rioDir); // .../name
+    name = path.basename(itemDir); // name
+    detectedType = 'skill';
+  }
+
+  return {
+    name: name,
+    matcherPath: matcherPath,
+    detectedType: detectedType,
+    level: detectLevel(matcherPath, options),
+    source: source,
+  };
+}
+
+/**
+ * Detect whether a matcher belongs to the project or the user level.
+ * When the project directory is the home directory, everything is project level.
+ *
+ * @param {string} matcherPath
+ * @param {{projectDir: string, homeDir?: string}} options
+ * @returns {'project' | 'user'}
+ */
+function detectLevel(matcherPath, options) {
+  const projectClaudeDir = path.join(path.resolve(options.projectDir), '.claude') + path.sep;
+  const homeClaudeDir = path.join(options.homeDir || os.homedir(), '.claude') + path.sep;
+
+  if (path.resolve(matcherPath).startsWith(projectClaudeDir)) {
+    return 'project';
+  }
+  return projectClaudeDir === homeClaudeDir ? 'project' : 'user';
+}
+
+/**
+ * Resolve collisions between same-named entities of the same type.
+ * The winner is picked deterministically by level ("project" shadows "user" by default),
+ * then by a dedicated matcher file over a frontmatter block, then by discovery order.
+ * Identical paths (e.g. project dir == home dir) are collapsed.
+ *
+ * @param {MatcherFile[]} matcherFiles
+ * @param {'project' | 'user'} precedence - Level that wins a collision
+ * @returns {{kept: MatcherFile[], shadowed: Array<{matcher: MatcherFile, shadowedBy: MatcherFile}>}}
+ */
+function resolveCollisions(matcherFiles, precedence) {
+  /** @type {Map<string, MatcherFile>} */
+  const winners = new Map();
+  const shadowed = [];
+  const seenPaths = new Set();
+
+  for (const matcher of matcherFiles) {
+    if (seenPaths.has(matcher.matcherPath)) {
+      continue;
+    }
+    seenPaths.add(matcher.matcherPath);
+
+    const key = `${matcher.detectedType}:${matcher.name}`;
+    const current = winners.get(key);
+
+    if (!current) {
+      winners.set(key, matcher);
+    } else if (beats(matcher, current, precedence)) {
+      winners.set(key, matcher);
+      shadowed.push({ matcher: current, shadowedBy: matcher });
+    } else {
+      shadowed.push({ matcher, shadowedBy: current });
+    }
+  }
+
+  // Keep discovery order for the winners
+  const kept = matcherFiles.filter((matcher) => {
+    const winner = winners.get(`${matcher.detectedType}:${matcher.name}`);
+    return winner === matcher;
+  });
+
+  return { kept, shadowed };
+}
+
+/**
+ * Check whether a matcher wins a collision against the current winner.
+ * @param {MatcherFile} matcher
+ * @param {MatcherFile} current
+ * @param {'project' | 'user'} precedence
+ * @returns {boolean}
+ */
+function beats(matcher, current, precedence) {
+  if (matcher.level !== current.level) {
+    return matcher.level === precedence;
+  }
+  return matcher.source === 'file' && current.source === 'frontmatter';
+}
+
+module.exports = {
+  findMatcherPaths,
+  describeMatcherPath,
+  detectLevel,
+  resolveCollisions,
+};
@@ -28,6 +28,71 @@ function getToolInstruction(item) {
   }
 }
 
+/**
+ * Maximum length of a matcher-supplied reason and keyword in the output.
+ */
+const MAX_REASON_LENGTH = 200;
+const MAX_KEYWORD_LENGTH = 60;
+
+/**
+ * Collapse whitespace and newlines of a matcher-supplied string and cap its length,
+ * so it cannot add lines of its own to Claude's context.
+ *
+ * @param {string} text - Text to sanitize
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Single-line text
+ */
+function toSingleLine(text, maxLength) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+}
+
+/**
+ * Get the explanation line for an item (v3.0 matcher results), if any.
+ * Example: "   Why: Dockerfile changes (matched: docker, compose; confidence: 80%)"
+ *
+ * @param {ActiveSkill} item - The item to explain
+ * @returns {string} Explanation line including trailing newline, or empty string
+ */
+function getExplanation(item) {
+  const details = [];
+  const keywords = (item.matchedKeywords || [])
+    .map((keyword) => toSingleLine(keyword, MAX_KEYWORD_LENGTH))
+    .filter(Boolean);
+  if (keywords.length > 0) {
+    details.push(`matched: ${keywords.join(', ')}`);
+  }
+  if (typeof item.confidence === 'number') {
+    details.push(`confidence: ${Math.round(item.confidence * 100)}%`);
+  }
+
+  const reason = item.reason ? toSingleLine(item.reason, MAX_REASON_LENGTH) : '';
+  if (!reason && details.length === 0) {
+    return '';
+  }
+
+  const detailText = details.join('; ');
+  if (!reason) {
+    return `   Why: ${detailText}\n`;
+  }
+  return detailText ? `   Why: ${reason} (${detailText})\n` : `   Why: ${reason}\n`;
+}
+
+/**
+ * Get the note line for an item that was invoked recently, if any.
+ * Example: "   Note: already used 1 turn ago"
+ *
+ * @param {ActiveSkill} item - The item to annotate
+ * @returns {string} Note line including trailing newline, or empty string
+ */
+function getRecentUseNote(item) {
+  if (item.usedTurnsAgo === undefined) {
+    return '';
+  }
+  const turns = item.usedTurnsAgo === 1 ? 'turn' : 'turns';
+  return `   Note: already used ${item.usedTurnsAgo} ${turns} ago\n`;
+}
+
 /**
  * Format active skills, agents, and commands with tiered relevance display.
  * Items are already sorted by score (highest first).
@@ -58,16 +123,24 @@ function formatActiveSkillsAsDirective(items) {
     items.forEach((item) => {
       const toolInstruction = getToolInstruction(item);
       output += `${itemIndex}. ${item.name} (${item.matchCount} matches): ${toolInstruction}\n`;
+      output += getExplanation(item);
+      output += getRecentUseNote(item);
       itemIndex++;
     });
   } else {
     // Tiered display: BEST MATCH section + Other matches section
     if (topItems.length > 0) {
-      const matchLabel = topItems.length === 1 ? 'keywords matched' : 'keywords matched each';
-      output += `>>> BEST MATCH (${topItems[0].matchCount} ${matchLabel}):\n`;
+      // Tied items share a weighted score, not necessarily a raw match count
+      const tied = topItems.length > 1;
+      output += tied
+        ? `>>> BEST MATCH (${topItems.length} tied on weighted score):\n`
+        : `>>> BEST MATCH (${topItems[0].matchCount} keywords matched):\n`;
       topItems.forEach((item) => {
         const toolInstruction = getToolInstruction(item);
-        output += `${itemIndex}. ${item.name}: ${toolInstruction}\n`;
+        const matchNote = tied ? ` (${item.matchCount} matches)` : '';
+        output += `${itemIndex}. ${item.name}${matchNote}: ${toolInstruction}\n`;
+        output += getExplanation(item);
+        output += getRecentUseNote(item);
         itemIndex++;
       });
     }
@@ -77,6 +150,8 @@ function formatActiveSkillsAsDirective(items) {
       otherItems.forEach((item) => {
         const toolInstruction = getToolInstruction(item);
         output += `${itemIndex}. ${item.name} (${item.matchCount} matches): ${toolInstruction}\n`;
+        output += getExplanation(item);
+        output += getRecentUseNote(item);
         itemIndex++;
       });
     }
@@ -9,7 +9,6 @@
  * See: .claude/docs/CREATING_SKILLS.md
  */
 
-const path = require('path');
 const utils = require('../utils/index.cjs');
 const {
   validatePayload,
@@ -17,22 +16,90 @@ const {
   validateMatcherResult,
 } = require('./validations.cjs');
 const { formatActiveSkillsAsDirective } = require('./formatter.cjs');
+const {
+  applyKeywordWeights,
+  calculateScores,
+  applyMinMatchCount,
+  applyRecentUse,
+  applySuggestionLimits,
+} = require('./ranking.cjs');
+const { describeMatcherPath, resolveCollisions } = require('./discovery.cjs');
+const { findRecentUses } = require('./recent-use.cjs');
+const {
+  loadLearnedVocabulary,
+  saveLearnedVocabulary,
+  learnKeywords,
+  buildVocabulary,
+} = require('./vocabulary.cjs');
+const { trackSuggestions } = require('./acceptance.cjs');
+const { createMatcherContext } = require('./context.cjs');
+const { runInWorker } = require('./isolation.cjs');
+const { formatDiagnostics, selectUnreportedFailures } = require('./diagnostics.cjs');
+const {
+  readMatcherSpec,
+  hasRegexes,
+  createSpecMatcher,
+  isDeclarativeMatcherPath,
+  isFrontmatterMatcherPath,
+} = require('./declarative.cjs');
 
 /**
  * @typedef {import('./types').UserPromptSubmitPayload} UserPromptSubmitPayload
  * @typedef {import('./types').MatcherArguments} MatcherArguments
  * @typedef {import('./types').ActiveSkill} ActiveSkill
+ * @typedef {import('./types').MatcherFile} MatcherFile
+ * @typedef {import('./types').MatcherContextData} MatcherContextData
+ * @typedef {import('./types').DeclarativeMatcher} DeclarativeMatcher
+ * @typedef {import('./types').LearnedVocabulary} LearnedVocabulary
+ * @typedef {import('./isolation.cjs').WorkerOutcome} WorkerOutcome
+ * @typedef {import('./types').MatcherFailure} MatcherFailure
+ * @typedef {import('../utils/config.cjs').RioConfig} RioConfig
+ */
+
+/**
+ * Receives the log entries of a matcher run (the hook logger, or a recorder for dry runs).
+ *
+ * @typedef {Object} MatcherLogger
+ * @property {function(Record<string, unknown>): Promise<void>} log
+ */
+
+/**
+ * Per-matcher execution options.
+ *
+ * @typedef {Object} MatcherRunOptions
+ * @property {MatcherContextData} contextData - Plain context data sent to matcher workers
+ * @property {RioConfig} config - Effective configuration
+ * @property {{terminate: (function(): void)|null, settled: boolean}} lifecycle - terminate is set
+ *   while a worker runs the matcher; settled once it finished or timed out
+ * @property {MatcherFailure[]} failures - Collects the failure of this matcher, if any
+ * @property {MatcherLogger} logger - Receives the log entries of the matcher
+ * @property {Map<string, DeclarativeMatcher>} declaredSpecs - Collects the definition of
+ *   declarative and frontmatter matchers (their keywords feed the keyword vocabulary)
  */
 
+/**
+ * Fail-open mode: the default applies until the configuration is loaded.
+ */
+let failOpen = utils.config.DEFAULT_CONFIG.failOpen;
+
+/**
+ * Logger with the default settings until the configuration is loaded.
+ */
 const logger = utils.logger.createLogger('hook-UserPromptSubmit-handler');
 
 /**
- * Log an error then exit with code 1.
+ * Log an error then exit.
+ * In fail-open mode the hook exits with code 0 (the prompt is never blocked) and
+ * leaves a notice on stderr; otherwise it exits with code 1 (reported as a hook error).
  * @param {string} message
  * @returns {Promise<never>}
  */
 async function fail(message) {
-  await logger.log({ level: 'error', message });
+  await logger.log({ level: 'error', event: 'hook-failed', message, failOpen });
+  if (failOpen) {
+    process.stderr.write(`claude-rio: ${message}\n`);
+    process.exit(0);
+  }
   process.exit(1);
 }
 
@@ -41,8 +108,33 @@ async function main() {
   if (!inputResult.ok) {
     await fail(inputResult.error);
   }
+  const input = inputResult.value;
+  if (input && typeof input.session_id === 'string') {
+    logger.setFields({ sessionId: input.session_id });
+  }
+
+  // Load rio configuration (user level, then project level) before validating the payload,
+  // so `failOpen` also applies to invalid payloads
+  const projectDir =
+    process.env.CLAUDE_PROJECT_DIR || (typeof input.cwd === 'string' && input.cwd) || process.cwd();
+  const configResult = await loadEffectiveConfig(projectDir);
+  const config = configResult.config;
+  failOpen = config.failOpen;
+  logger.configure({
+    ...config.logging,
+    dir: utils.logger.resolveLogDir(config.logging.dir, projectDir),
+  });
+  for (const error of configResult.errors) {
+    await logger.log({ level: 'error', event: 'config-invalid', error });
+  }
+  await logger.log({
+    level: 'info',
+    event: 'config-loaded',
+    sources: configResult.sources,
+    config,
+  });
 
-  const payloadResult = validatePayload(inputResult.value);
+  const payloadResult = validatePayload(input);
   if (!payloadResult.ok) {
     await fail(payloadResult.error);
   }
@@ -57,44 +149,27 @@ async function main() {
     .map((p) => p.trim())
     .filter((p) => p.length > 0);
 
-  // Build matcher file info from paths
-  // Skills, agents, and commands have different path structures:
-  // - Skills: .../skills/<name>/rio/UserPromptSubmit.matcher.cjs (name from grandparent dir)
-  // - Agents: .../agents/<name>.rio.matcher.cjs (name from filename, without .rio.matcher.cjs)
-  // - Commands: .../commands/<name>.rio.matcher.cjs (name from filename, without .rio.matcher.cjs)
-  const matcherFiles = matcherPaths.map((matcherPath) => {
-    const isAgent =
-      matcherPath.includes('/.claude/agents/') || matcherPath.includes('\\.claude\\agents\\');
-    const isCommand =
-      matcherPath.includes('/.claude/commands/') || matcherPath.includes('\\.claude\\commands\\');
-
-    let name;
-    let detectedType;
-
-    if (isAgent) {
-      // Agent matcher: extract name from filename (e.g., "my-agent.rio.matcher.cjs" -> "my-agent")
-      const filename = path.basename(matcherPath);
-      name = filename.replace(/\.rio\.matcher\.cjs$/, '');
-      detectedType = 'agent';
-    } else if (isCommand) {
-      // Command matcher: extract name from filename (e.g., "my-command.rio.matcher.cjs" -> "my-command")
-      const filename = path.basename(matcherPath);
-      name = filename.replace(/\.rio\.matcher\.cjs$/, '');
-      detectedType = 'command';
-    } else {
-      // Skill matcher: extract name from grandparent directory
-      const rioDir = path.dirname(matcherPath); // .../name/rio
-      const itemDir = path.dirname(rioDir); // .../name
-      name = path.basename(itemDir); // name
-      detectedType = 'skill';
-    }
+  // Build matcher file info from paths (name, type and level are derived from the path)
+  const discoveredFiles = matcherPaths.map((matcherPath) =>
+    describeMatcherPath(matcherPath, { projectDir })
+  );
 
-    return {
-      name: name,
-      matcherPath: matcherPath,
-      detectedType: detectedType,
-    };
-  });
+  // Resolve same-named entities found at both levels (project shadows user by default)
+  const collisions = resolveCollisions(discoveredFiles, config.precedence);
+  for (const { matcher, shadowedBy } of collisions.shadowed) {
+    await logger.log({
+      level: 'info',
+      event: 'matcher-shadowed',
+      name: matcher.name,
+      type: matcher.detectedType,
+      matcherPath: matcher.matcherPath,
+      matcherLevel: matcher.level,
+      shadowedBy: shadowedBy.matcherPath,
+      shadowedByLevel: shadowedBy.level,
+      precedence: config.precedence,
+    });
+  }
+  const matcherFiles = collisions.kept;
 
   await logger.log({
     level: 'info',
@@ -103,54 +178,104 @@ async function main() {
     matchers: matcherFiles,
   });
 
-  /** @type {MatcherArguments} */
-  const context = {
-    // Payload data
-    prompt: payload.prompt,
-    cwd: payload.cwd,
-    transcriptPath: payload.transcriptPath,
-    permissionMode: payload.permissionMode,
-    sessionId: payload.sessionId,
-
-    // Meta information
-    meta: {
-      schemaVersion: '2.0',
-    },
+  const contextData = createContextData(payload, projectDir);
 
-    // Transcript utilities namespace (cached)
-    transcript: utils.transcript,
-  };
+  // Keywords learned from JavaScript matchers on earlier prompts (for keyword weighting)
+  const vocabularyRes = await loadLearnedVocabulary(projectDir);
+  if (!vocabularyRes.ok) {
+    await logger.log({
+      level: 'error',
+      event: 'vocabulary-load-failed',
+      error: vocabularyRes.error,
+    });
+  }
+  const vocabulary = vocabularyRes.ok ? vocabularyRes.value : { projectDir, matchers: {} };
 
   // Run matchers with our validation functions
-  const matchResult = await runMatchers(matcherFiles, context);
+  const matchResult = await runMatchers(matcherFiles, contextData, config, { vocabulary });
   if (!matchResult.ok) {
     await fail(matchResult.error);
   }
 
-  const activeItems = matchResult.value || [];
+  const { items: activeItems, failures, vocabularyChanged } = matchResult.value;
+  if (vocabularyChanged) {
+    const saveRes = await saveLearnedVocabulary(vocabulary);
+    if (!saveRes.ok) {
+      await logger.log({ level: 'error', event: 'vocabulary-save-failed', error: saveRes.error });
+    }
+  }
   await logger.log({
     level: 'info',
     event: 'items-evaluated',
     activeItems,
   });
 
+  // Correlate the previous suggestions with Claude's tool uses and record the new ones
+  const trackingRes = await utils.result.wrapAsync(() =>
+    trackSuggestions({
+      projectDir,
+      sessionId: payload.sessionId,
+      transcriptPath: payload.transcriptPath,
+      transcript: utils.transcript,
+      items: activeItems,
+    })
+  );
+  // wrapAsync catches unexpected throws; expected failures come back as an err() result
+  const tracking = trackingRes.ok ? trackingRes.value : trackingRes;
+  if (!tracking.ok) {
+    await logger.log({
+      level: 'error',
+      event: 'acceptance-tracking-failed',
+      error: tracking.error,
+    });
+  } else if (tracking.value && (tracking.value.accepted.length || tracking.value.ignored.length)) {
+    await logger.log({
+      level: 'info',
+      event: 'suggestions-correlated',
+      accepted: tracking.value.accepted.map((i) => i.name),
+      ignored: tracking.value.ignored.map((i) => i.name),
+    });
+  } else if (tracking.value && tracking.value.uncorrelated.length) {
+    await logger.log({
+      level: 'warn',
+      event: 'suggestions-uncorrelated',
+      transcriptPath: payload.transcriptPath,
+      items: tracking.value.uncorrelated.map((i) => i.name),
+    });
+  }
+
+  const output = {};
+
   if (activeItems.length > 0) {
     const directiveMessage = formatActiveSkillsAsDirective(activeItems);
 
     // Output JSON with additionalContext for better Claude integration
-    const output = {
-      hookSpecificOutput: {
-        hookEventName: 'UserPromptSubmit',
-        additionalContext: directiveMessage,
-      },
+    output.hookSpecificOutput = {
+      hookEventName: 'UserPromptSubmit',
+      additionalContext: directiveMessage,
     };
+  }
 
+  // Summarise broken matchers to the user, once per session
+  const diagnostics = await reportDiagnostics(payload.sessionId, failures, config);
+  if (diagnostics && config.diagnostics === 'systemMessage') {
+    output.systemMessage = diagnostics;
+  } else if (diagnostics) {
+    process.stderr.write(`${diagnostics}\n`);
+  }
+
+  if (Object.keys(output).length > 0) {
     // Log final output before sending
     await logger.log({
       level: 'info',
       event: 'output-generated',
       itemCount: activeItems.length,
-      items: activeItems.map((i) => ({ name: i.name, type: i.type, score: i.score })),
+      items: activeItems.map((i) => ({
+        name: i.name,
+        type: i.type,
+        level: i.level,
+        score: i.score,
+      })),
       output,
     });
 
@@ -161,115 +286,475 @@ async function main() {
 }
 
 /**
- * Run matchers (supports both sync and async matchers).
- * Logs errors for failed matchers but continues processing.
- * @param {Array<{name: string, matcherPath: string, detectedType: string}>} matcherFiles
- * @param {MatcherArguments} context
- * @returns {Promise<{ok: boolean, value?: ActiveSkill[], error?: string}>}
+ * Load the rio configuration (user level, then project level) with the per-invocation
+ * overrides from environment variables: time budgets and logging.
+ * @param {string} projectDir
+ * @returns {Promise<{config: RioConfig, sources: string[], errors: string[]}>}
  */
-async function runMatchers(matcherFiles, context) {
-  /** @type {ActiveSkill[]} */
-  const active = [];
+async function loadEffectiveConfig(projectDir) {
+  const configResult = await utils.config.loadConfig({ projectDir });
+  const loaded = configResult.config;
+
+  return {
+    ...configResult,
+    config: {
+      ...loaded,
+      matcherTimeoutMs: readPositiveIntEnv('RIO_MATCHER_TIMEOUT_MS', loaded.matcherTimeoutMs),
+      hookBudgetMs: readPositiveIntEnv('RIO_HOOK_BUDGET_MS', loaded.hookBudgetMs),
+      logging: {
+        ...loaded.logging,
+        level: utils.config.LOG_LEVELS.includes(process.env.RIO_LOG_LEVEL)
+          ? process.env.RIO_LOG_LEVEL
+          : loaded.logging.level,
+        dir: process.env.RIO_LOG_DIR || loaded.logging.dir,
+      },
+    },
+  };
+}
 
-  for (const matcherInfo of matcherFiles) {
-    const moduleRes = utils.result.wrapSync(() => require(matcherInfo.matcherPath));
-    if (!moduleRes.ok) {
-      await logger.log({
-        level: 'error',
-        event: 'matcher-load-failed',
-        name: matcherInfo.name,
-        matcherPath: matcherInfo.matcherPath,
-        error: moduleRes.error,
-      });
-      continue;
-    }
+/**
+ * Build the plain context data of a prompt (also sent to matcher workers).
+ * @param {UserPromptSubmitPayload} payload
+ * @param {string} projectDir
+ * @returns {MatcherContextData}
+ */
+function createContextData(payload, projectDir) {
+  return {
+    prompt: payload.prompt,
+    cwd: payload.cwd,
+    transcriptPath: payload.transcriptPath,
+    permissionMode: payload.permissionMode,
+    sessionId: payload.sessionId,
+    project: utils.project.detectProjectProfile(projectDir),
+    mentionedFiles: utils.mentions.findMentionedFiles(payload.prompt, payload.cwd),
+  };
+}
 
-    const validation = validateMatcherModule(moduleRes.value);
-    if (!validation.ok) {
-      await logger.log({
-        level: 'error',
-        event: 'matcher-invalid',
-        name: matcherInfo.name,
-        matcherPath: matcherInfo.matcherPath,
-        error: validation.error,
-      });
-      continue;
-    }
+/**
+ * Build the user-visible summary of matcher failures not reported yet in this session.
+ * @param {string} sessionId
+ * @param {MatcherFailure[]} failures
+ * @param {RioConfig} config
+ * @returns {Promise<string|null>} Summary, or null when there is nothing (new) to report
+ */
+async function reportDiagnostics(sessionId, failures, config) {
+  if (config.diagnostics === 'off' || failures.length === 0) {
+    return null;
+  }
 
-    const matcherFn = validation.value;
-    // Support both sync and async matchers
-    const execRes = await utils.result.wrapAsync(async () => await matcherFn(context));
-    if (!execRes.ok) {
-      await logger.log({
-        level: 'error',
-        event: 'matcher-execution-failed',
-        name: matcherInfo.name,
-        matcherPath: matcherInfo.matcherPath,
-        error: execRes.error,
-      });
-      continue;
-    }
+  const selectRes = await selectUnreportedFailures(sessionId, failures);
+  if (!selectRes.ok) {
+    await logger.log({ level: 'error', event: 'diagnostics-failed', error: selectRes.error });
+    return null;
+  }
+  if (selectRes.value.length === 0) {
+    return null;
+  }
 
-    const resultValidation = validateMatcherResult(execRes.value);
-    if (!resultValidation.ok) {
-      await logger.log({
-        level: 'error',
-        event: 'matcher-result-invalid',
-        name: matcherInfo.name,
-        matcherPath: matcherInfo.matcherPath,
-        error: resultValidation.error,
-        returnedValue: execRes.value,
-      });
-      continue;
-    }
+  await logger.log({
+    level: 'info',
+    event: 'diagnostics-reported',
+    channel: config.diagnostics,
+    failures: selectRes.value,
+  });
+  return formatDiagnostics(selectRes.value, logger.dir);
+}
 
-    const matcherResult = resultValidation.value;
+/**
+ * Read a positive integer from an environment variable, falling back to a default.
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readPositiveIntEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name] || '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
 
-    // Log successful matcher execution
-    await logger.log({
+/**
+ * Create a cancellable timer that resolves with the given value after `ms`.
+ * @template T
+ * @param {number} ms
+ * @param {T} value
+ * @returns {{promise: Promise<T>, cancel: () => void}}
+ */
+function createTimer(ms, value) {
+  let timeoutId;
+  const promise = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(value), ms);
+  });
+  return { promise, cancel: () => clearTimeout(timeoutId) };
+}
+
+/**
+ * Run matchers concurrently (supports both sync and async matchers).
+ * Each matcher gets its own deadline, and all of them share the overall hook budget.
+ * Logs errors and timeouts for failed matchers but continues processing.
+ * Timed-out matchers running in a worker thread are terminated.
+ * Scores the results and applies the configured thresholds and suggestion limits.
+ * @param {MatcherFile[]} matcherFiles
+ * @param {MatcherContextData} contextData - Plain context data (also sent to matcher workers)
+ * @param {RioConfig} config
+ * @param {{logger?: MatcherLogger, vocabulary?: LearnedVocabulary}} [options] - logger defaults
+ *   to the hook logger; keywords reported by JavaScript matchers are learned into vocabulary
+ * @returns {Promise<{ok: boolean, value?: {items: ActiveSkill[], failures: MatcherFailure[], vocabularyChanged: boolean}, error?: string}>}
+ */
+async function runMatchers(matcherFiles, contextData, config, options = {}) {
+  const runLogger = options.logger || logger;
+  const learnedVocabulary = options.vocabulary || { projectDir: contextData.cwd, matchers: {} };
+  /** @type {Map<string, DeclarativeMatcher>} */
+  const declaredSpecs = new Map();
+  const { matcherTimeoutMs, hookBudgetMs } = config;
+  const context = createMatcherContext(contextData, {
+    git: utils.git.createGitContext(contextData.cwd),
+    transcript: utils.transcript,
+  });
+  /** @type {MatcherFailure[]} */
+  const failures = [];
+
+  const budgetTimer = createTimer(hookBudgetMs, { timedOut: 'hook-budget' });
+  const matcherTimers = [];
+
+  const outcomes = await Promise.all(
+    matcherFiles.map(async (matcherInfo) => {
+      const matcherTimer = createTimer(matcherTimeoutMs, { timedOut: 'matcher-deadline' });
+      matcherTimers.push(matcherTimer);
+      const lifecycle = { terminate: null, settled: false };
+      // In-process matchers cannot be stopped: whatever a matcher reports after its
+      // timeout is dropped, so it only reaches the shared results when it won the race
+      /** @type {MatcherFailure[]} */
+      const matcherFailures = [];
+      /** @type {Map<string, DeclarativeMatcher>} */
+      const matcherSpecs = new Map();
+      const matcherLogger = {
+        log: async (entry) => {
+          if (!lifecycle.settled) await runLogger.log(entry);
+        },
+      };
+
+      const outcome = await Promise.race([
+        runMatcher(matcherInfo, context, {
+          contextData,
+          config,
+          lifecycle,
+          failures: matcherFailures,
+          logger: matcherLogger,
+          declaredSpecs: matcherSpecs,
+        }).then((item) => ({ item })),
+        matcherTimer.promise,
+        budgetTimer.promise,
+      ]);
+      lifecycle.settled = true;
+
+      if (outcome.timedOut) {
+        if (lifecycle.terminate) {
+          lifecycle.terminate();
+        }
+        const timeoutMs = outcome.timedOut === 'hook-budget' ? hookBudgetMs : matcherTimeoutMs;
+        await runLogger.log({
+          level: 'error',
+          event: 'matcher-timeout',
+          name: matcherInfo.name,
+          matcherPath: matcherInfo.matcherPath,
+          reason: outcome.timedOut,
+          timeoutMs,
+        });
+        failures.push({
+          name: matcherInfo.name,
+          matcherPath: matcherInfo.matcherPath,
+          event: 'matcher-timeout',
+          error: `Timed out after ${timeoutMs}ms (${outcome.timedOut})`,
+        });
+        return null;
+      }
+
+      failures.push(...matcherFailures);
+      matcherSpecs.forEach((spec, matcherPath) => declaredSpecs.set(matcherPath, spec));
+      return outcome.item;
+    })
+  );
+
+  budgetTimer.cancel();
+  matcherTimers.forEach((timer) => timer.cancel());
+
+  /** @type {ActiveSkill[]} */
+  const matched = outcomes.filter((item) => item !== null);
+
+  // Drop items below the absolute relevance threshold before normalising scores
+  const threshold = applyMinMatchCount(matched, config);
+  if (threshold.dropped.length > 0) {
+    await runLogger.log({
       level: 'info',
-      event: 'matcher-executed',
-      name: matcherInfo.name,
-      result: {
-        version: matcherResult.version,
-        matchCount: matcherResult.matchCount,
-        type: matcherResult.type,
-      },
+      event: 'below-threshold',
+      minMatchCount: config.minMatchCount,
+      items: threshold.dropped.map((i) => ({
+        name: i.name,
+        type: i.type,
+        matchCount: i.matchCount,
+      })),
     });
+  }
 
-    if (matcherResult.matchCount > 0) {
-      // Use explicit type from matcher result, fallback to detected type from path
-      const itemType = matcherResult.type || matcherInfo.detectedType;
+  // Demote or hide entities that were already invoked in the last few turns
+  // (the transcript is only read when something matched)
+  const recentUsesRes =
+    threshold.kept.length > 0
+      ? await utils.result.wrapAsync(() =>
+          findRecentUses(utils.transcript, context.transcriptPath, config.recentUseTurns)
+        )
+      : utils.result.ok(new Map());
+  if (!recentUsesRes.ok) {
+    await runLogger.log({
+      level: 'error',
+      event: 'recent-use-failed',
+      transcriptPath: context.transcriptPath,
+      error: recentUsesRes.error,
+    });
+  }
+  const recent = applyRecentUse(
+    threshold.kept,
+    recentUsesRes.ok ? recentUsesRes.value : new Map(),
+    config
+  );
+  if (recent.hidden.length > 0 || recent.demoted.length > 0) {
+    await runLogger.log({
+      level: 'info',
+      event: 'recently-used',
+      action: config.recentUseAction,
+      recentUseTurns: config.recentUseTurns,
+      items: [...recent.hidden, ...recent.demoted].map((i) => ({ name: i.name, type: i.type })),
+    });
+  }
 
-      active.push({
-        name: matcherInfo.name,
-        matchCount: matcherResult.matchCount,
-        type: itemType,
+  // Weight keywords known to many matchers lower than rare ones
+  let vocabularyChanged = false;
+  if (config.weighting === 'idf') {
+    // JavaScript matchers only reveal their keywords through matchedKeywords
+    const reports = matcherFiles
+      .map((matcherInfo, index) => ({ matcherInfo, item: outcomes[index] }))
+      .filter(({ matcherInfo, item }) => item && !declaredSpecs.has(matcherInfo.matcherPath))
+      .map(({ matcherInfo, item }) => ({
+        matcherPath: matcherInfo.matcherPath,
+        matchedKeywords: item.matchedKeywords,
+      }));
+    vocabularyChanged = learnKeywords(learnedVocabulary, reports);
+
+    if (recent.kept.length > 0) {
+      const vocabulary = buildVocabulary(matcherFiles, declaredSpecs, learnedVocabulary);
+      const weights = applyKeywordWeights(recent.kept, vocabulary);
+      await runLogger.log({
+        level: 'info',
+        event: 'keywords-weighted',
+        vocabularySize: vocabulary.length,
+        weights,
       });
     }
   }
 
   // Calculate scores and sort
-  if (active.length > 0) {
-    const maxMatchCount = Math.max(...active.map((item) => Math.min(item.matchCount, 10)));
-
-    active.forEach((item) => {
-      const cappedCount = Math.min(item.matchCount, 10);
-      item.score = maxMatchCount > 0 ? cappedCount / maxMatchCount : 0;
-    });
-
-    active.sort((a, b) => b.score - a.score);
-
+  const { items: scored, maxMatchCount } = calculateScores(recent.kept);
+  if (scored.length > 0) {
     // Log score calculation
-    await logger.log({
+    await runLogger.log({
       level: 'info',
       event: 'scores-calculated',
       maxMatchCount,
-      items: active.map((i) => ({ name: i.name, matchCount: i.matchCount, score: i.score })),
+      items: scored.map((i) => ({
+        name: i.name,
+        type: i.type,
+        matchCount: i.matchCount,
+        weightedCount: i.weightedCount,
+        score: i.score,
+      })),
+    });
+  }
+
+  // Apply per-type caps and the overall suggestion limit
+  const limited = applySuggestionLimits(scored, config);
+  if (limited.dropped.length > 0) {
+    await runLogger.log({
+      level: 'info',
+      event: 'suggestions-limited',
+      maxSuggestions: config.maxSuggestions,
+      maxPerType: config.maxPerType,
+      items: limited.dropped.map((i) => ({ name: i.name, type: i.type, score: i.score })),
+    });
+  }
+
+  return utils.result.ok({ items: limited.kept, failures, vocabularyChanged });
+}
+
+/** Log event for each way a matcher can fail before returning a result. */
+const FAILURE_EVENTS = {
+  'load-failed': 'matcher-load-failed',
+  invalid: 'matcher-invalid',
+  'execution-failed': 'matcher-execution-failed',
+};
+
+/**
+ * Load, validate and execute a matcher, without logging.
+ *
+ * - Declarative JSON and frontmatter matchers run in-process (no user code), except
+ *   those with `regexes`: a backtracking pattern would block the hook, so they run
+ *   in a worker thread like JavaScript matchers
+ * - JavaScript matchers run in a worker thread (config.isolation "worker")
+ *   or are required in-process (config.isolation "none")
+ *
+ * @param {MatcherFile} matcherInfo
+ * @param {MatcherArguments} context
+ * @param {MatcherRunOptions} options
+ * @returns {Promise<WorkerOutcome>}
+ */
+async function executeMatcher(matcherInfo, context, options) {
+  const { matcherPath } = matcherInfo;
+  const runIsolated = () => {
+    const worker = runInWorker(
+      matcherPath,
+      options.contextData,
+      { memoryMb: options.config.matcherMemoryMb },
+      { git: context.git, transcript: context.transcript }
+    );
+    options.lifecycle.terminate = worker.terminate;
+    return worker.promise;
+  };
+
+  let loadRes;
+  if (isDeclarativeMatcherPath(matcherPath) || isFrontmatterMatcherPath(matcherPath)) {
+    // Declarative matchers (*.rio.matcher.json) and `rio:` frontmatter blocks in
+    // SKILL.md / agent / command files run through the built-in evaluator
+    const specRes = readMatcherSpec(matcherPath);
+    if (!specRes.ok) {
+      return { stage: 'invalid', error: specRes.error };
+    }
+    const spec = specRes.value;
+    if (spec) {
+      options.declaredSpecs.set(matcherPath, spec);
+    }
+    if (hasRegexes(spec) && options.config.isolation === 'worker') {
+      return runIsolated();
+    }
+    loadRes = utils.result.ok(createSpecMatcher(spec));
+  } else if (options.config.isolation === 'worker') {
+    return runIsolated();
+  } else {
+    const moduleRes = utils.result.wrapSync(() => require(matcherPath));
+    if (!moduleRes.ok) {
+      return { stage: 'load-failed', error: moduleRes.error };
+    }
+    loadRes = validateMatcherModule(moduleRes.value);
+  }
+
+  if (!loadRes.ok) {
+    return { stage: 'invalid', error: loadRes.error };
+  }
+
+  const matcherFn = loadRes.value;
+  // Support both sync and async matchers
+  const execRes = await utils.result.wrapAsync(async () => await matcherFn(context));
+  if (!execRes.ok) {
+    return { stage: 'execution-failed', error: execRes.error };
+  }
+  return { stage: 'done', value: execRes.value };
+}
+
+/**
+ * Load, validate and execute a single matcher (JavaScript, declarative JSON or frontmatter).
+ * Logs errors for a failed matcher and resolves to null instead of throwing.
+ * @param {MatcherFile} matcherInfo
+ * @param {MatcherArguments} context
+ * @param {MatcherRunOptions} options
+ * @returns {Promise<ActiveSkill|null>}
+ */
+async function runMatcher(matcherInfo, context, options) {
+  const startedAt = Date.now();
+  const outcome = await executeMatcher(matcherInfo, context, options);
+  const durationMs = Date.now() - startedAt;
+  if (outcome.stage !== 'done') {
+    const failure = {
+      name: matcherInfo.name,
+      matcherPath: matcherInfo.matcherPath,
+      event: FAILURE_EVENTS[outcome.stage],
+      error: outcome.error,
+    };
+    await options.logger.log({ level: 'error', ...failure, durationMs });
+    options.failures.push(failure);
+    return null;
+  }
+
+  const resultValidation = validateMatcherResult(outcome.value);
+  if (!resultValidation.ok) {
+    await options.logger.log({
+      level: 'error',
+      event: 'matcher-result-invalid',
+      name: matcherInfo.name,
+      matcherPath: matcherInfo.matcherPath,
+      error: resultValidation.error,
+      returnedValue: outcome.value,
+      durationMs,
+    });
+    options.failures.push({
+      name: matcherInfo.name,
+      matcherPath: matcherInfo.matcherPath,
+      event: 'matcher-result-invalid',
+      error: resultValidation.error,
     });
+    return null;
+  }
+
+  const matcherResult = resultValidation.value;
+
+  // Log successful matcher execution
+  await options.logger.log({
+    level: 'info',
+    event: 'matcher-executed',
+    name: matcherInfo.name,
+    matcherPath: matcherInfo.matcherPath,
+    durationMs,
+    result: {
+      version: matcherResult.version,
+      matchCount: matcherResult.matchCount,
+      type: matcherResult.type,
+      matchedKeywords: matcherResult.matchedKeywords,
+      reason: matcherResult.reason,
+      confidence: matcherResult.confidence,
+    },
+  });
+
+  if (matcherResult.matchCount === 0) {
+    return null;
   }
 
-  return utils.result.ok(active);
+  // Use explicit type from matcher result, fallback to detected type from path
+  /** @type {ActiveSkill} */
+  const item = {
+    name: matcherInfo.name,
+    matchCount: matcherResult.matchCount,
+    type: matcherResult.type || matcherInfo.detectedType,
+    level: matcherInfo.level,
+  };
+
+  // Explanation fields are only part of the v3.0 schema
+  if (matcherResult.version !== '2.0') {
+    if (matcherResult.matchedKeywords && matcherResult.matchedKeywords.length > 0) {
+      item.matchedKeywords = matcherResult.matchedKeywords;
+    }
+    if (matcherResult.reason) {
+      item.reason = matcherResult.reason.trim();
+    }
+    if (typeof matcherResult.confidence === 'number') {
+      item.confidence = matcherResult.confidence;
+    }
+  }
+
+  return item;
+}
+
+if (require.main === module) {
+  main().catch((error) => fail(`Unexpected error: ${error && error.stack ? error.stack : error}`));
 }
 
-main();
+module.exports = {
+  loadEffectiveConfig,
+  createContextData,
+  runMatchers,
+};
@@ -27,45 +27,167 @@ $USER_SKILLS = Join-Path $env:USERPROFILE ".claude\skills"
 $USER_AGENTS = Join-Path $env:USERPROFILE ".claude\agents"
 $USER_COMMANDS = Join-Path $env:USERPROFILE ".claude\commands"
 
-# Find all matcher files in skills, agents, and commands directories
-# Get-ChildItem with -ErrorAction SilentlyContinue to suppress errors for non-existent directories
-$MATCHERS = @()
+# Discovery index: matcher paths are cached per project next to the installed hook,
+# together with the mtimes of the watched directories and entity files. The index is
+# reused while none of them changed and rebuilt with Get-ChildItem otherwise.
+# Same format as the bash version (see hook.sh).
+$INDEX_VERSION = "# claude-rio discovery index v4"
+$INDEX_DIR = Join-Path $HOOK_DIR "cache"
+$PROJECT_ROOT = if ($env:CLAUDE_PROJECT_DIR) { $env:CLAUDE_PROJECT_DIR } else { (Get-Location).Path }
+$INDEX_KEY = $PROJECT_ROOT -replace '[^A-Za-z0-9]', '_'
+$INDEX_FILE = Join-Path $INDEX_DIR "discovery-$INDEX_KEY.index"
 
-# Skills: search recursively for UserPromptSubmit.rio.matcher.cjs in rio subdirectories
-if (Test-Path $PROJECT_SKILLS) {
-    $MATCHERS += Get-ChildItem -Path $PROJECT_SKILLS -Recurse -Filter "UserPromptSubmit.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+# Watched directories: the six roots plus every skill directory and its rio subdirectory
+# (adding a skill or a matcher inside it only updates the mtime of its parent directory)
+$WATCHED_DIRS = @()
+foreach ($dir in @($PROJECT_SKILLS, $USER_SKILLS, $PROJECT_AGENTS, $USER_AGENTS, $PROJECT_COMMANDS, $USER_COMMANDS)) {
+    if (Test-Path $dir -PathType Container) {
+        $WATCHED_DIRS += (Get-Item $dir)
+    }
+}
+foreach ($skillsRoot in @($PROJECT_SKILLS, $USER_SKILLS)) {
+    if (Test-Path $skillsRoot -PathType Container) {
+        $skillDirs = @(Get-ChildItem -Path $skillsRoot -Directory -ErrorAction SilentlyContinue)
+        $WATCHED_DIRS += $skillDirs
+        foreach ($skillDir in $skillDirs) {
+            $rioDir = Join-Path $skillDir.FullName "rio"
+            if (Test-Path $rioDir -PathType Container) {
+                $WATCHED_DIRS += (Get-Item $rioDir)
+            }
+        }
+    }
 }
 
-if (Test-Path $USER_SKILLS) {
-    $MATCHERS += Get-ChildItem -Path $USER_SKILLS -Recurse -Filter "UserPromptSubmit.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+# True when the leading `---` frontmatter block of a file has a top-level `rio:` key
+# (same rule as the awk filter of hook.sh)
+function Test-RioFrontmatter {
+    param([string]$Path)
+    $reader = $null
+    try {
+        # StreamReader detects and skips a byte order mark
+        $reader = [System.IO.StreamReader]::new($Path)
+        if ($reader.ReadLine() -notmatch '^---[ \t]*$') {
+            return $false
+        }
+        $hasRio = $false
+        while ($null -ne ($line = $reader.ReadLine())) {
+            if ($line -match '^---[ \t]*$') {
+                return $hasRio
+            }
+            if ($line -cmatch '^rio:') {
+                $hasRio = $true
+            }
+        }
+        # Without a closing `---` there is no frontmatter block
+        return $false
+    } catch {
+        return $false
+    } finally {
+        if ($reader) {
+            $reader.Dispose()
+        }
+    }
 }
 
-# Agents: search directly in agents directory for *.rio.matcher.cjs
-if (Test-Path $PROJECT_AGENTS) {
-    $MATCHERS += Get-ChildItem -Path $PROJECT_AGENTS -Filter "*.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+# Entity files may declare an implicit matcher in a `rio:` frontmatter block. Editing a file
+# does not update its directory mtime, so the entity files are watched as well.
+$ENTITY_FILES = @()
+foreach ($skillsRoot in @($PROJECT_SKILLS, $USER_SKILLS)) {
+    if (Test-Path $skillsRoot -PathType Container) {
+        foreach ($skillDir in @(Get-ChildItem -Path $skillsRoot -Directory -ErrorAction SilentlyContinue)) {
+            $skillFile = Join-Path $skillDir.FullName "SKILL.md"
+            if (Test-Path $skillFile -PathType Leaf) {
+                $ENTITY_FILES += (Get-Item $skillFile)
+            }
+        }
+    }
+}
+foreach ($entityRoot in @($PROJECT_AGENTS, $USER_AGENTS, $PROJECT_COMMANDS, $USER_COMMANDS)) {
+    if (Test-Path $entityRoot -PathType Container) {
+        $ENTITY_FILES += @(Get-ChildItem -Path $entityRoot -Filter "*.md" -File -ErrorAction SilentlyContinue)
+    }
 }
 
-if (Test-Path $USER_AGENTS) {
-    $MATCHERS += Get-ChildItem -Path $USER_AGENTS -Filter "*.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+# Early exit if none of the directories exist - nothing to discover
+if ($WATCHED_DIRS.Count -eq 0) {
+    exit 0
 }
 
-# Commands: search directly in commands directory for *.rio.matcher.cjs
-if (Test-Path $PROJECT_COMMANDS) {
-    $MATCHERS += Get-ChildItem -Path $PROJECT_COMMANDS -Filter "*.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+# Current "<mtime> <path>" signature (mtime in Unix seconds)
+$SIGNATURE = @(@($WATCHED_DIRS) + @($ENTITY_FILES) | ForEach-Object {
+    "$([DateTimeOffset]::new($_.LastWriteTimeUtc).ToUnixTimeSeconds()) $($_.FullName)"
+})
+
+# Reuse the index when its recorded signature matches the current one
+$MATCHER_PATHS = @()
+$INDEX_HIT = $false
+if (Test-Path $INDEX_FILE -PathType Leaf) {
+    $indexLines = @(Get-Content -Path $INDEX_FILE -ErrorAction SilentlyContinue)
+    $indexSignature = @($indexLines | Where-Object { $_.StartsWith("watch ") } | ForEach-Object { $_.Substring(6) })
+    $indexMatchers = @($indexLines | Where-Object { $_.StartsWith("matcher ") } | ForEach-Object { $_.Substring(8) })
+
+    if ($indexLines.Count -gt 0 -and $indexLines[0] -eq $INDEX_VERSION -and
+        ($indexSignature -join "`n") -eq ($SIGNATURE -join "`n")) {
+        $MATCHER_PATHS = $indexMatchers
+        $INDEX_HIT = $true
+    }
 }
 
-if (Test-Path $USER_COMMANDS) {
-    $MATCHERS += Get-ChildItem -Path $USER_COMMANDS -Filter "*.rio.matcher.cjs" -File -ErrorAction SilentlyContinue
+if (-not $INDEX_HIT) {
+    # Find all matcher files in skills, agents, and commands directories
+    # Get-ChildItem with -ErrorAction SilentlyContinue to suppress errors for non-existent directories
+    $MATCHERS = @()
+
+    # Declarative matchers use the same layout with a .rio.matcher.json extension
+    foreach ($ext in @("cjs", "json")) {
+        # Skills: search recursively for UserPromptSubmit.rio.matcher.<ext> in rio subdirectories
+        foreach ($skillsRoot in @($PROJECT_SKILLS, $USER_SKILLS)) {
+            if (Test-Path $skillsRoot) {
+                $MATCHERS += Get-ChildItem -Path $skillsRoot -Recurse -Filter "UserPromptSubmit.rio.matcher.$ext" -File -ErrorAction SilentlyContinue
+            }
+        }
+
+        # Agents and commands: search directly in their directories for *.rio.matcher.<ext>
+        foreach ($entityRoot in @($PROJECT_AGENTS, $USER_AGENTS, $PROJECT_COMMANDS, $USER_COMMANDS)) {
+            if (Test-Path $entityRoot) {
+                $MATCHERS += Get-ChildItem -Path $entityRoot -Filter "*.rio.matcher.$ext" -File -ErrorAction SilentlyContinue
+            }
+        }
+    }
+
+    # Entity files with a `rio:` key in their leading `---` frontmatter block
+    # (implicit matchers); a `rio:` line in the document body does not count
+    $MATCHERS += @($ENTITY_FILES | Where-Object { Test-RioFrontmatter $_.FullName })
+
+    $MATCHER_PATHS = @($MATCHERS | ForEach-Object { $_.FullName })
+
+    # Persist the index, unless a watched path changed within the current second
+    # (mtimes have one-second resolution, so a later change in the same second would go unnoticed)
+    $now = [DateTimeOffset]::UtcNow.ToUnixTimeSeconds()
+    $recentChange = @($SIGNATURE | Where-Object { [long]($_.Split(' ')[0]) -ge $now }).Count -gt 0
+
+    if (-not $recentChange) {
+        try {
+            New-Item -ItemType Directory -Path $INDEX_DIR -Force | Out-Null
+            $indexContent = @($INDEX_VERSION) + @($SIGNATURE | ForEach-Object { "watch $_" }) + @($MATCHER_PATHS | ForEach-Object { "matcher $_" })
+            $tmpFile = "$INDEX_FILE.$PID"
+            Set-Content -Path $tmpFile -Value $indexContent -Encoding UTF8
+            Move-Item -Path $tmpFile -Destination $INDEX_FILE -Force
+        } catch {
+            # Index is an optimization only - ignore write failures
+            Remove-Item -Path "$INDEX_FILE.$PID" -Force -ErrorAction SilentlyContinue
+        }
+    }
 }
 
 # Early exit if no matchers found - no need to launch Node.js
-if ($MATCHERS.Count -eq 0) {
+if ($MATCHER_PATHS.Count -eq 0) {
     exit 0
 }
 
 # Pass matcher paths via environment variable to Node.js handler
 # Join paths with newline separator (same format as bash version)
-$env:MATCHER_PATHS = ($MATCHERS | ForEach-Object { $_.FullName }) -join "`n"
+$env:MATCHER_PATHS = $MATCHER_PATHS -join "`n"
 
 # Execute Node.js handler
 # Node.js will read JSON payload from stdin as before
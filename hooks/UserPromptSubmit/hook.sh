@@ -20,32 +20,143 @@ USER_AGENTS="${HOME}/.claude/agents"
 PROJECT_COMMANDS="${CLAUDE_PROJECT_DIR:-$(pwd)}/.claude/commands"
 USER_COMMANDS="${HOME}/.claude/commands"
 
-# Find all matcher files
-# Using -L to follow symlinks (user skills/agents/commands may be symlinked from dotfiles)
-#
-# Skills, agents, and commands have different structures:
-# - Skills (subdirectories): .claude/skills/<skill>/rio/UserPromptSubmit.rio.matcher.cjs
-# - Agents (.md files): .claude/agents/<agent>.rio.matcher.cjs (sibling to .md file)
-# - Commands (.md files): .claude/commands/<command>.rio.matcher.cjs (sibling to .md file)
+# Discovery index: matcher paths are cached per project next to the installed hook,
+# together with the mtimes of the watched directories and entity files. The index is
+# reused while none of them changed and rebuilt with `find` otherwise.
+INDEX_VERSION="# claude-rio discovery index v4"
+INDEX_DIR="$HOOK_DIR/cache"
+INDEX_KEY=$(printf '%s' "${CLAUDE_PROJECT_DIR:-$(pwd)}" | tr -c 'A-Za-z0-9' '_')
+INDEX_FILE="$INDEX_DIR/discovery-${INDEX_KEY}.index"
+
+# Watched directories: the six roots plus every skill directory and its rio subdirectory
+# (adding a skill or a matcher inside it only updates the mtime of its parent directory)
+shopt -s nullglob
+WATCHED_DIRS=()
+for dir in "$PROJECT_SKILLS" "$USER_SKILLS" "$PROJECT_AGENTS" "$USER_AGENTS" \
+  "$PROJECT_COMMANDS" "$USER_COMMANDS" \
+  "$PROJECT_SKILLS"/*/ "$PROJECT_SKILLS"/*/rio/ "$USER_SKILLS"/*/ "$USER_SKILLS"/*/rio/; do
+  if [ -d "$dir" ]; then
+    WATCHED_DIRS+=("$dir")
+  fi
+done
+
+# Entity files may declare an implicit matcher in a `rio:` frontmatter block. Editing a file
+# does not update its directory mtime, so the entity files are watched as well.
+ENTITY_FILES=("$PROJECT_SKILLS"/*/SKILL.md "$USER_SKILLS"/*/SKILL.md \
+  "$PROJECT_AGENTS"/*.md "$USER_AGENTS"/*.md "$PROJECT_COMMANDS"/*.md "$USER_COMMANDS"/*.md)
+shopt -u nullglob
+
+# Early exit if none of the directories exist - nothing to discover
+if [ ${#WATCHED_DIRS[@]} -eq 0 ]; then
+  exit 0
+fi
+
+# Current "<mtime> <path>" signature. GNU and BSD/macOS stat take different format flags, so
+# the flavour is detected once: a path stat cannot read (e.g. a dangling symlink) is then
+# left out instead of switching formats halfway through.
+# (the ${arr[@]+...} form keeps an empty array safe under `set -u` in bash 3.2)
+if stat --version >/dev/null 2>&1; then
+  STAT_FORMAT=(-c '%Y %n')
+else
+  STAT_FORMAT=(-f '%m %N')
+fi
+WATCHED_PATHS=("${WATCHED_DIRS[@]}" ${ENTITY_FILES[@]+"${ENTITY_FILES[@]}"})
+SIGNATURE=$(stat -L "${STAT_FORMAT[@]}" "${WATCHED_PATHS[@]}" 2>/dev/null || true)
 
-# Find skill matchers (in rio subdirectories)
-SKILL_MATCHERS=$(find -L "$PROJECT_SKILLS" "$USER_SKILLS" \
-  -type f -path "*/rio/UserPromptSubmit.rio.matcher.cjs" -print 2>/dev/null || true)
+# Reuse the index when its recorded signature matches the current one
+MATCHERS=""
+INDEX_HIT=false
+if [ -n "$SIGNATURE" ] && [ -f "$INDEX_FILE" ]; then
+  INDEX_HEADER=""
+  INDEX_SIGNATURE=""
+  INDEX_MATCHERS=""
+  while IFS= read -r line; do
+    case "$line" in
+      "# "*) INDEX_HEADER="$line" ;;
+      "watch "*) INDEX_SIGNATURE+="${line#watch }"$'\n' ;;
+      "matcher "*) INDEX_MATCHERS+="${line#matcher }"$'\n' ;;
+    esac
+  done <"$INDEX_FILE"
 
-# Find agent matchers (directly in agents directory, named *.rio.matcher.cjs)
-AGENT_MATCHERS=$(find -L "$PROJECT_AGENTS" "$USER_AGENTS" \
-  -maxdepth 1 -type f -name "*.rio.matcher.cjs" -print 2>/dev/null || true)
+  if [ "$INDEX_HEADER" = "$INDEX_VERSION" ] && [ "${INDEX_SIGNATURE%$'\n'}" = "$SIGNATURE" ]; then
+    MATCHERS="${INDEX_MATCHERS%$'\n'}"
+    INDEX_HIT=true
+  fi
+fi
+
+if [ "$INDEX_HIT" = false ]; then
+  # Find all matcher files
+  # Using -L to follow symlinks (user skills/agents/commands may be symlinked from dotfiles)
+  #
+  # Skills, agents, and commands have different structures:
+  # - Skills (subdirectories): .claude/skills/<skill>/rio/UserPromptSubmit.rio.matcher.cjs
+  # - Agents (.md files): .claude/agents/<agent>.rio.matcher.cjs (sibling to .md file)
+  # - Commands (.md files): .claude/commands/<command>.rio.matcher.cjs (sibling to .md file)
+  # Declarative matchers use the same layout with a .rio.matcher.json extension.
+
+  # Find skill matchers (in rio subdirectories)
+  SKILL_MATCHERS=$(find -L "$PROJECT_SKILLS" "$USER_SKILLS" \
+    -type f \( -path "*/rio/UserPromptSubmit.rio.matcher.cjs" \
+    -o -path "*/rio/UserPromptSubmit.rio.matcher.json" \) -print 2>/dev/null || true)
+
+  # Find agent matchers (directly in agents directory, named *.rio.matcher.cjs/json)
+  AGENT_MATCHERS=$(find -L "$PROJECT_AGENTS" "$USER_AGENTS" \
+    -maxdepth 1 -type f \( -name "*.rio.matcher.cjs" -o -name "*.rio.matcher.json" \) \
+    -print 2>/dev/null || true)
 
-# Find command matchers (directly in commands directory, named *.rio.matcher.cjs)
-COMMAND_MATCHERS=$(find -L "$PROJECT_COMMANDS" "$USER_COMMANDS" \
-  -maxdepth 1 -type f -name "*.rio.matcher.cjs" -print 2>/dev/null || true)
+  # Find command matchers (directly in commands directory, named *.rio.matcher.cjs/json)
+  COMMAND_MATCHERS=$(find -L "$PROJECT_COMMANDS" "$USER_COMMANDS" \
+    -maxdepth 1 -type f \( -name "*.rio.matcher.cjs" -o -name "*.rio.matcher.json" \) \
+    -print 2>/dev/null || true)
 
-# Combine all sets of matchers
-MATCHERS="${SKILL_MATCHERS}
+  # Find entity files with a `rio:` key in their leading `---` frontmatter block
+  # (implicit matchers); a `rio:` line in the document body does not count
+  FRONTMATTER_MATCHERS=""
+  if [ ${#ENTITY_FILES[@]} -gt 0 ]; then
+    FRONTMATTER_MATCHERS=$(awk '
+      FNR == 1 { sub(/^\357\273\277/, ""); in_block = /^---[ \t\r]*$/; has_rio = 0; next }
+      !in_block { nextfile }
+      /^---[ \t\r]*$/ { if (has_rio) print FILENAME; in_block = 0; nextfile }
+      /^rio:/ { has_rio = 1 }
+    ' ${ENTITY_FILES[@]+"${ENTITY_FILES[@]}"} 2>/dev/null || true)
+  fi
+
+  # Combine all sets of matchers
+  MATCHERS="${SKILL_MATCHERS}
 ${AGENT_MATCHERS}
-${COMMAND_MATCHERS}"
-# Remove empty lines
-MATCHERS=$(echo "$MATCHERS" | grep -v '^$' || true)
+${COMMAND_MATCHERS}
+${FRONTMATTER_MATCHERS}"
+  # Remove empty lines
+  MATCHERS=$(echo "$MATCHERS" | grep -v '^$' || true)
+
+  # Persist the index, unless a watched path changed within the current second
+  # (mtimes have one-second resolution, so a later change in the same second would go unnoticed)
+  NOW=$(date +%s)
+  RECENT_CHANGE=false
+  while read -r mtime _; do
+    if [ -n "$mtime" ] && [ "$mtime" -ge "$NOW" ]; then
+      RECENT_CHANGE=true
+    fi
+  done <<<"$SIGNATURE"
+
+  if [ -n "$SIGNATURE" ] && [ "$RECENT_CHANGE" = false ]; then
+    {
+      mkdir -p "$INDEX_DIR" &&
+        {
+          echo "$INDEX_VERSION"
+          while IFS= read -r line; do
+            echo "watch $line"
+          done <<<"$SIGNATURE"
+          if [ -n "$MATCHERS" ]; then
+            while IFS= read -r matcher; do
+              echo "matcher $matcher"
+            done <<<"$MATCHERS"
+          fi
+        } >"$INDEX_FILE.$$" &&
+        mv -f "$INDEX_FILE.$$" "$INDEX_FILE"
+    } 2>/dev/null || rm -f "$INDEX_FILE.$$"
+  fi
+fi
 
 # Early exit if no matchers found - no need to launch Node.js
 if [ -z "$MATCHERS" ]; then
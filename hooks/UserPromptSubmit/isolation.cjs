@@ -0,0 +1,137 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Runs JavaScript matchers in worker threads, so a matcher that calls
+ * `process.exit`, throws from a timer, leaks memory or blocks the event loop
+ * only takes down its own worker instead of the whole hook.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { GIT_METHODS } = require('../utils/git.cjs');
+const { TRANSCRIPT_METHODS } = require('../utils/transcript.cjs');
+const { wrapAsync } = require('../utils/result.cjs');
+
+/**
+ * @typedef {import('./types').MatcherContextData} MatcherContextData
+ * @typedef {import('./types').GitContext} GitContext
+ * @typedef {import('./types').TranscriptUtils} TranscriptUtils
+ */
+
+/**
+ * Message posted by a matcher worker (or synthesized when the worker dies).
+ *
+ * @typedef {Object} WorkerOutcome
+ * @property {'done' | 'load-failed' | 'invalid' | 'execution-failed'} stage - How far the matcher got
+ * @property {any} [value] - Raw matcher result (stage "done")
+ * @property {string} [error] - Error message (all other stages)
+ */
+
+const WORKER_PATH = path.join(__dirname, 'worker.cjs');
+
+/** Methods of the shared services that workers may call. */
+const SERVICE_METHODS = {
+  git: GIT_METHODS,
+  transcript: TRANSCRIPT_METHODS,
+};
+
+/**
+ * Answer a call forwarded by a worker with the handler's shared service.
+ * @param {Worker} worker
+ * @param {{git: GitContext, transcript: TranscriptUtils}} services
+ * @param {{id: number, service: string, method: string, args: any[]}} request
+ * @returns {void}
+ */
+function answerServiceRequest(worker, services, request) {
+  const methods = SERVICE_METHODS[request.service] || [];
+  const method = methods.includes(request.method) ? request.method : null;
+  wrapAsync(async () =>
+    method ? services[request.service][method](...(request.args || [])) : null
+  ).then((res) => {
+    // The worker may already be gone (finished or timed out)
+    try {
+      worker.postMessage({
+        serviceResponse: res.ok
+          ? { id: request.id, value: res.value }
+          : { id: request.id, error: res.error },
+      });
+    } catch {
+      // Ignore - nobody is waiting for the answer anymore
+    }
+  });
+}
+
+/**
+ * Run a JavaScript matcher in its own worker thread.
+ *
+ * The returned promise always resolves with a WorkerOutcome. Call `terminate()`
+ * to stop a matcher that exceeded its deadline.
+ *
+ * @param {string} matcherPath - Absolute path to the matcher file
+ * @param {MatcherContextData} contextData - Plain context data, rebuilt inside the worker
+ * @param {{memoryMb: number}} limits - Resource limits for the worker
+ * @param {{git: GitContext, transcript: TranscriptUtils}} services - Shared services the worker may call into
+ * @returns {{promise: Promise<WorkerOutcome>, terminate: function(): void}}
+ */
+function runInWorker(matcherPath, contextData, limits, services) {
+  let worker;
+  let settled = false;
+
+  const promise = new Promise((resolve) => {
+    const settle = (outcome) => {
+      if (settled) return;
+      settled = true;
+      resolve(outcome);
+      // The matcher may still have timers or handles running - stop them
+      worker.terminate();
+    };
+
+    worker = new Worker(WORKER_PATH, {
+      workerData: { matcherPath, contextData },
+      resourceLimits: { maxOldGenerationSizeMb: limits.memoryMb },
+      stdout: true,
+      stderr: true,
+    });
+
+    // Matcher output must never reach the hook's stdout (it carries the JSON response)
+    worker.stdout.resume();
+    worker.stderr.resume();
+
+    worker.on('message', (message) => {
+      if (message && message.serviceRequest) {
+        answerServiceRequest(worker, services, message.serviceRequest);
+        return;
+      }
+      settle(message);
+    });
+    worker.on('error', (error) => {
+      settle({ stage: 'execution-failed', error: `Matcher crashed: ${error.message}` });
+    });
+    worker.on('exit', (code) => {
+      settle({
+        stage: 'execution-failed',
+        error: `Matcher exited before returning a result (exit code ${code})`,
+      });
+    });
+  });
+
+  return {
+    promise,
+    terminate: () => {
+      settled = true;
+      worker.terminate();
+    },
+  };
+}
+
+module.exports = {
+  runInWorker,
+};
@@ -0,0 +1,187 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+const { getTermKey } = require('./vocabulary.cjs');
+
+/**
+ * @typedef {import('./types').ActiveSkill} ActiveSkill
+ * @typedef {import('../utils/config.cjs').RioConfig} RioConfig
+ */
+
+/**
+ * Matches above this count do not increase the score (prevents keyword inflation).
+ */
+const MATCH_COUNT_CAP = 10;
+
+/**
+ * Score multiplier for entities that were invoked recently (recentUseAction "demote").
+ */
+const RECENT_USE_DEMOTION = 0.5;
+
+/**
+ * Weight matched keywords by how many matchers know them (IDF-style), so generic
+ * words such as "build" or "test" count less than rare, specific keywords.
+ *
+ * weight = ln(1 + N / df) / ln(1 + N), where N is the number of matchers with a known
+ * vocabulary (see vocabulary.cjs) and df the number of them whose vocabulary contains
+ * the keyword, whether they matched this prompt or not. A keyword known to a single
+ * matcher keeps the weight 1. Matches that are not explained by `matchedKeywords`
+ * (v2.0 results, indicator files, regexes, ...) also count 1 each; keywords that
+ * normalise to the same term ("build", "builds") count once.
+ *
+ * Sets `weightedCount` on every item (mutated in place).
+ *
+ * @param {ActiveSkill[]} items - Matched items
+ * @param {Set<string>[]} vocabulary - Keyword terms of each matcher that exposes its keywords
+ * @returns {Record<string, number>} Weight per matched keyword term
+ */
+function applyKeywordWeights(items, vocabulary) {
+  /** @type {Record<string, number>} */
+  const weights = {};
+  const getWeight = (term) => {
+    if (weights[term] === undefined) {
+      const df = Math.max(1, vocabulary.filter((terms) => terms.has(term)).length);
+      const documentCount = Math.max(vocabulary.length, df);
+      const weight =
+        documentCount > 1 ? Math.log(1 + documentCount / df) / Math.log(1 + documentCount) : 1;
+      weights[term] = Math.round(weight * 1000) / 1000;
+    }
+    return weights[term];
+  };
+
+  for (const item of items) {
+    const keywords = (item.matchedKeywords || []).filter((keyword) => getTermKey(keyword));
+    const terms = new Set(keywords.map(getTermKey));
+    const unexplained = Math.max(0, item.matchCount - keywords.length);
+    let weighted = unexplained;
+    terms.forEach((term) => (weighted += getWeight(term)));
+    item.weightedCount = Math.round(weighted * 1000) / 1000;
+  }
+
+  return weights;
+}
+
+/**
+ * Calculate relative scores and sort items (highest score first).
+ * score = min(count, 10) / maxCount, where count is `weightedCount` when keyword
+ * weighting ran and `matchCount` otherwise.
+ * Recently used items (with `usedTurnsAgo`) get their score multiplied by 0.5.
+ *
+ * @param {ActiveSkill[]} items - Items to score (mutated in place)
+ * @returns {{items: ActiveSkill[], maxMatchCount: number}}
+ */
+function calculateScores(items) {
+  if (items.length === 0) {
+    return { items, maxMatchCount: 0 };
+  }
+
+  const getCount = (item) =>
+    item.weightedCount !== undefined ? item.weightedCount : item.matchCount;
+  const maxMatchCount = Math.max(...items.map((item) => Math.min(getCount(item), MATCH_COUNT_CAP)));
+
+  items.forEach((item) => {
+    const cappedCount = Math.min(getCount(item), MATCH_COUNT_CAP);
+    const demotion = item.usedTurnsAgo !== undefined ? RECENT_USE_DEMOTION : 1;
+    item.score = maxMatchCount > 0 ? (cappedCount / maxMatchCount) * demotion : 0;
+  });
+
+  items.sort((a, b) => b.score - a.score);
+
+  return { items, maxMatchCount };
+}
+
+/**
+ * Drop items below the absolute relevance threshold.
+ *
+ * @param {ActiveSkill[]} items
+ * @param {RioConfig} config
+ * @returns {{kept: ActiveSkill[], dropped: ActiveSkill[]}}
+ */
+function applyMinMatchCount(items, config) {
+  const kept = [];
+  const dropped = [];
+  for (const item of items) {
+    (item.matchCount >= config.minMatchCount ? kept : dropped).push(item);
+  }
+  return { kept, dropped };
+}
+
+/**
+ * Handle entities that were invoked within the last `recentUseTurns` turns.
+ * With "hide" they are dropped; with "demote" they are kept and marked with
+ * `usedTurnsAgo`, which lowers their score in calculateScores.
+ *
+ * @param {ActiveSkill[]} items
+ * @param {Map<string, number>} recentUses - "<type>:<name>" -> turns since last use
+ * @param {RioConfig} config
+ * @returns {{kept: ActiveSkill[], hidden: ActiveSkill[], demoted: ActiveSkill[]}}
+ */
+function applyRecentUse(items, recentUses, config) {
+  const kept = [];
+  const hidden = [];
+  const demoted = [];
+
+  for (const item of items) {
+    const turnsAgo = recentUses.get(`${item.type}:${item.name}`);
+    if (turnsAgo === undefined) {
+      kept.push(item);
+    } else if (config.recentUseAction === 'hide') {
+      hidden.push(item);
+    } else {
+      item.usedTurnsAgo = turnsAgo;
+      demoted.push(item);
+      kept.push(item);
+    }
+  }
+
+  return { kept, hidden, demoted };
+}
+
+/**
+ * Apply per-type caps and the overall suggestion limit to sorted items.
+ * Items are expected to be sorted by score, so the best ones are kept.
+ *
+ * @param {ActiveSkill[]} items - Items sorted by score (highest first)
+ * @param {RioConfig} config
+ * @returns {{kept: ActiveSkill[], dropped: ActiveSkill[]}}
+ */
+function applySuggestionLimits(items, config) {
+  const kept = [];
+  const dropped = [];
+  /** @type {Record<string, number>} */
+  const perTypeCount = {};
+
+  for (const item of items) {
+    const typeLimit = config.maxPerType[item.type];
+    const typeCount = perTypeCount[item.type] || 0;
+    const overTypeLimit = typeLimit !== null && typeLimit !== undefined && typeCount >= typeLimit;
+    const overTotalLimit = config.maxSuggestions !== null && kept.length >= config.maxSuggestions;
+
+    if (overTypeLimit || overTotalLimit) {
+      dropped.push(item);
+      continue;
+    }
+
+    perTypeCount[item.type] = typeCount + 1;
+    kept.push(item);
+  }
+
+  return { kept, dropped };
+}
+
+module.exports = {
+  MATCH_COUNT_CAP,
+  RECENT_USE_DEMOTION,
+  applyKeywordWeights,
+  calculateScores,
+  applyMinMatchCount,
+  applyRecentUse,
+  applySuggestionLimits,
+};
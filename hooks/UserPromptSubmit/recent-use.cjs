@@ -0,0 +1,89 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Detects skills, agents, and commands that were already invoked in the session,
+ * so they are not suggested again right after being used.
+ */
+
+/**
+ * @typedef {typeof import('../utils/transcript.cjs')} TranscriptModule
+ */
+
+/**
+ * Map a tool use to the entity it invoked, if any.
+ * - Skill tool: input.skill
+ * - Task tool: input.subagent_type
+ * - SlashCommand tool: input.command ("/deploy staging" -> "deploy")
+ *
+ * @param {{tool: string, input: object}} toolUse
+ * @returns {{type: 'skill' | 'agent' | 'command', name: string}|null}
+ */
+function getInvokedEntity(toolUse) {
+  const input = toolUse.input || {};
+
+  if (toolUse.tool === 'Skill' && typeof input.skill === 'string') {
+    return { type: 'skill', name: input.skill };
+  }
+  if (toolUse.tool === 'Task' && typeof input.subagent_type === 'string') {
+    return { type: 'agent', name: input.subagent_type };
+  }
+  if (toolUse.tool === 'SlashCommand' && typeof input.command === 'string') {
+    const name = input.command.trim().split(/\s+/)[0].replace(/^\//, '');
+    return name ? { type: 'command', name } : null;
+  }
+  return null;
+}
+
+/**
+ * Find entities invoked within the last `turns` turns.
+ *
+ * A turn is one user prompt. The prompt being submitted is not in the transcript yet,
+ * so a tool use answering the previous prompt was 1 turn ago.
+ *
+ * @param {TranscriptModule} transcript - Transcript module (its digest holds the tool uses)
+ * @param {string} transcriptPath - Path to transcript file
+ * @param {number} turns - Look-back window in turns (0 disables the lookup)
+ * @returns {Promise<Map<string, number>>} "<type>:<name>" -> turns since the most recent use
+ */
+async function findRecentUses(transcript, transcriptPath, turns) {
+  /** @type {Map<string, number>} */
+  const recentUses = new Map();
+  if (!transcriptPath || turns <= 0) {
+    return recentUses;
+  }
+
+  const digest = await transcript.loadDigest(transcriptPath);
+  if (!digest || digest.toolUsage.length === 0) {
+    return recentUses;
+  }
+
+  const promptTimes = digest.promptTimestamps.map((timestamp) => Date.parse(timestamp));
+
+  for (const toolUse of digest.toolUsage) {
+    const entity = getInvokedEntity(toolUse);
+    const usedAt = Date.parse(toolUse.timestamp);
+    if (!entity || Number.isNaN(usedAt)) continue;
+
+    // Prompts submitted after the use, plus the one being submitted now
+    const turnsAgo = promptTimes.filter((time) => time > usedAt).length + 1;
+    if (turnsAgo > turns) continue;
+
+    const key = `${entity.type}:${entity.name}`;
+    recentUses.set(key, Math.min(turnsAgo, recentUses.get(key) ?? Infinity));
+  }
+
+  return recentUses;
+}
+
+module.exports = {
+  getInvokedEntity,
+  findRecentUses,
+};
@@ -28,18 +28,149 @@
  * Meta information provided to matchers.
  *
  * @typedef {Object} MatcherMeta
- * @property {string} schemaVersion - Schema version (e.g., "1.0")
+ * @property {string} schemaVersion - Latest result schema version supported by the handler (e.g., "3.0")
+ */
+
+/**
+ * Content block of a normalized transcript message, discriminated by `type`:
+ * - `text`: `text`
+ * - `thinking`: `text` (empty for redacted thinking)
+ * - `tool_use`: `id`, `name`, `input`
+ * - `tool_result`: `toolUseId`, `isError`, `text` and `stderr` (end of the output, up to 2000 characters)
+ * - `image`: `mediaType`
+ * - `other`: `rawType` for block types not modelled here
+ *
+ * @typedef {Object} TranscriptBlock
+ * @property {'text'|'thinking'|'tool_use'|'tool_result'|'image'|'other'} type - Block type
+ * @property {string} [text] - Text of text, thinking and tool_result blocks
+ * @property {string|null} [id] - Tool use id
+ * @property {string|null} [name] - Tool name
+ * @property {Object|null} [input] - Tool input
+ * @property {string|null} [toolUseId] - Id of the tool use a result belongs to
+ * @property {boolean} [isError] - Whether the tool result is an error
+ * @property {string|null} [stderr] - Error output reported separately by the tool (Bash)
+ * @property {string|null} [mediaType] - Image media type
+ * @property {string} [rawType] - Original type of an unknown block
+ */
+
+/**
+ * Normalized transcript message.
+ *
+ * @typedef {Object} TranscriptMessage
+ * @property {string|null} uuid - Message id
+ * @property {'user'|'assistant'|'system'} role - Author (summaries are system messages)
+ * @property {string|null} timestamp - ISO timestamp
+ * @property {boolean} isSidechain - Message of a subagent conversation
+ * @property {boolean} isMeta - Message injected by Claude Code rather than typed by the user
+ * @property {boolean} isSummary - Compaction summary of earlier conversation
+ * @property {TranscriptBlock[]} blocks - Content blocks (string content becomes one text block)
+ */
+
+/**
+ * File touched by a Read, Edit, MultiEdit, NotebookEdit or Write tool use.
+ *
+ * @typedef {Object} FileOperation
+ * @property {'read'|'edit'|'write'} operation - What the tool did with the file
+ * @property {string} path - File path as passed to the tool
+ * @property {string} tool - Tool name
+ * @property {string} timestamp - Timestamp of the tool use
+ */
+
+/**
+ * Bash command whose tool result was an error.
+ *
+ * @typedef {Object} FailedCommand
+ * @property {string} command - Command as passed to the Bash tool
+ * @property {number|null} exitCode - Exit code, or null when unknown (e.g. timeouts)
+ * @property {string} stderr - Last characters (up to 500) of the error output
+ * @property {string} timestamp - Timestamp of the tool result
  */
 
 /**
  * Transcript utilities namespace with automatic caching.
  * Each function parses on first call, then returns cached result.
+ * All views except getMessages and getAllMessages cover the main conversation only
+ * (no sidechain, meta or summary messages).
  *
  * @typedef {Object} TranscriptUtils
- * @property {function(string): Promise<Array<{role: string, content: string}>>} getConversationHistory - Get conversation history
+ * @property {function(string): Promise<Array<{role: string, content: string, timestamp: string}>>} getConversationHistory - Get conversation history
  * @property {function(string): Promise<Array<{tool: string, input: object, timestamp: string}>>} getToolUsage - Get tool usage
  * @property {function(string): Promise<string|null>} getInitialMessage - Get first user message
- * @property {function(string): Promise<Array<object>>} getAllMessages - Get all raw messages
+ * @property {function(string): Promise<TranscriptMessage[]>} getMessages - Get all normalized messages
+ * @property {function(string): Promise<Array<object>>} getAllMessages - Get all raw messages (full parse)
+ * @property {function(string): Promise<FileOperation[]>} getFileOperations - Get files read, edited or written in the session
+ * @property {function(string): Promise<FailedCommand[]>} getFailedCommands - Get Bash commands that failed
+ * @property {function(string): Promise<string|null>} getLastAssistantMessage - Get the text of the last assistant message
+ * @property {function(string, number=): Promise<string[]>} getRecentUserPrompts - Get the last n user prompts (default 5), oldest first
+ * @property {function(string): Promise<string[]>} getPromptTimestamps - Get the timestamps of the user prompts, oldest first
+ */
+
+/**
+ * Text matching helpers (see utils/helpers.cjs).
+ * Words are compared whole and lightly stemmed (build/builds/building match each other).
+ * The optional `text` argument defaults to the prompt.
+ *
+ * @typedef {Object} MatcherHelpers
+ * @property {function(string=): string[]} tokenize - Split text into lowercase word tokens
+ * @property {function(string): string} stem - Reduce a word to its light stem
+ * @property {function(string, string=): boolean} hasKeyword - Whole-word keyword match (multi-word keywords match as phrases)
+ * @property {function(string, string=): boolean} hasPhrase - Consecutive whole-word phrase match
+ * @property {function(string[], string=): string[]} matchedKeywords - Keywords found in the text
+ * @property {function(string[], string=): number} countMatches - Number of keywords found in the text
+ * @property {function(string, string=): boolean} hasFuzzyKeyword - Like hasKeyword, tolerating typos (length-aware edit distance)
+ * @property {function(string[], string=): string[]} fuzzyMatchedKeywords - Keywords found in the text, tolerating typos
+ * @property {function(string[], string=): number} countFuzzyMatches - Number of keywords found in the text, tolerating typos
+ * @property {function(string, string): number} editDistance - Case-insensitive edit distance (adjacent transpositions cost one edit)
+ */
+
+/**
+ * Lazy git information (see utils/git.cjs). Each getter runs git at most once per
+ * hook invocation; outside a repository they resolve to null or an empty list.
+ * Paths are relative to the repository root.
+ *
+ * @typedef {Object} GitContext
+ * @property {function(): Promise<string|null>} getBranch - Current branch (null when detached or not a repository)
+ * @property {function(): Promise<string[]>} getDirtyFiles - Files with staged, unstaged or untracked changes
+ * @property {function(): Promise<string[]>} getStagedFiles - Files with staged changes
+ * @property {function(): Promise<string[]>} getChangedExtensions - Unique lowercase extensions of dirty files (e.g. ".sql")
+ * @property {function(): Promise<string|null>} getLastCommitSubject - Subject line of the last commit
+ */
+
+/**
+ * Project fingerprint detected from the files in the project root (see utils/project.cjs).
+ * All values are lowercase identifiers such as "typescript", "pnpm", "django" or "github-actions".
+ *
+ * @typedef {Object} ProjectProfile
+ * @property {string} root - Project root directory
+ * @property {string[]} languages - Detected languages
+ * @property {string[]} packageManagers - Detected package managers and build tools
+ * @property {string[]} frameworks - Frameworks and test runners found in the manifests
+ * @property {boolean} docker - A Dockerfile or compose file exists
+ * @property {string[]} ci - Detected CI systems
+ */
+
+/**
+ * File or directory referenced in the prompt (see utils/mentions.cjs).
+ *
+ * @typedef {Object} MentionedFile
+ * @property {string} raw - Path as written in the prompt (without `@` and `:line` suffix)
+ * @property {string} path - Absolute path, resolved against cwd (`~` against the home directory)
+ * @property {string} extension - Lowercase extension including the dot (e.g. ".prisma"), or ""
+ * @property {boolean} exists - Whether the path exists
+ */
+
+/**
+ * Plain (structured-clone safe) matcher context data. The handler and matcher
+ * workers turn it into MatcherArguments with createMatcherContext (context.cjs).
+ *
+ * @typedef {Object} MatcherContextData
+ * @property {string} prompt - The user's prompt text
+ * @property {string} cwd - Current working directory
+ * @property {string} transcriptPath - Path to conversation transcript
+ * @property {string} permissionMode - Current permission mode
+ * @property {string} sessionId - Session ID
+ * @property {ProjectProfile} project - Project fingerprint, detected once per prompt
+ * @property {MentionedFile[]} mentionedFiles - Files referenced in the prompt
  */
 
 /**
@@ -54,19 +185,26 @@
  * @property {string} sessionId - Session ID
  * @property {MatcherMeta} meta - Meta information (schema version, etc.)
  * @property {TranscriptUtils} transcript - Transcript utilities (cached)
+ * @property {MatcherHelpers} helpers - Word-level text matching helpers
+ * @property {GitContext} git - Lazy git information (cached per hook invocation)
+ * @property {ProjectProfile} project - Project fingerprint (languages, package managers, frameworks, Docker, CI)
+ * @property {MentionedFile[]} mentionedFiles - Files referenced in the prompt (`@path` mentions and path-like tokens)
  */
 
 /**
  * Result object returned by matcher functions.
  *
  * @typedef {Object} MatcherResult
- * @property {string} version - Schema version (must be "2.0")
+ * @property {'2.0' | '3.0'} version - Schema version ("2.0" or "3.0")
  * @property {number} matchCount - Number of matching keywords (0+)
  * @property {'skill' | 'agent' | 'command'} [type] - Optional: type of item (defaults to path-based detection)
+ * @property {string[]} [matchedKeywords] - v3.0 optional: keywords that matched the prompt
+ * @property {string} [reason] - v3.0 optional: short human-readable reason (max 200 chars)
+ * @property {number} [confidence] - v3.0 optional: matcher confidence between 0 and 1
  *
  * Scoring:
  * - Handler calculates score = min(matchCount, 10) / maxMatchCount
- * - Matchers with matchCount > 0 are considered relevant
+ * - Matchers with matchCount >= minMatchCount (rio.json, default 1) are considered relevant
  * - Higher matchCount = higher rank in output
  *
  * Type field:
@@ -74,6 +212,39 @@
  * - 'agent': Suggests delegating via Task tool
  * - 'command': Suggests invoking via SlashCommand tool
  * - If omitted, type is auto-detected from matcher file location
+ *
+ * Explanation fields (v3.0 only, ignored for v2.0):
+ * - matchedKeywords, reason and confidence are logged and shown to Claude
+ *   so it can see why something was suggested
+ */
+
+/**
+ * Declarative matcher definition (`*.rio.matcher.json`), evaluated by the handler.
+ * The same fields may be used in the `rio:` frontmatter block of an entity `.md` file.
+ * At least one of keywords, phrases or regexes is required.
+ *
+ * @typedef {Object} DeclarativeMatcher
+ * @property {string} [description] - Free-form description for humans
+ * @property {'skill' | 'agent' | 'command'} [type] - Optional: type of item (defaults to path-based detection)
+ * @property {string[]} [keywords] - Keywords counted when found in the prompt (whole words, stemmed)
+ * @property {string[]} [phrases] - Multi-word phrases, matched as consecutive words
+ * @property {string[]} [regexes] - Regular expression sources, tested case-insensitively
+ * @property {string[]} [negativeKeywords] - Any of these in the prompt disables the matcher
+ * @property {string[]} [indicatorFiles] - Files relative to cwd; each existing one adds a match when the prompt matched
+ * @property {boolean} [fuzzy] - Tolerate typos in keywords and phrases (negative keywords stay exact)
+ * @property {{languages?: string[], packageManagers?: string[], frameworks?: string[], ci?: string[], docker?: boolean}} [project]
+ *   - Project conditions; each listed field needs one of its values in the project profile, otherwise matchCount is 0
+ */
+
+/**
+ * Matcher file discovered by the shell wrapper.
+ *
+ * @typedef {Object} MatcherFile
+ * @property {string} name - Skill, agent, or command name derived from the path
+ * @property {string} matcherPath - Absolute path to the matcher file
+ * @property {'skill' | 'agent' | 'command'} detectedType - Type derived from the path
+ * @property {'project' | 'user'} level - Origin level (project .claude or ~/.claude)
+ * @property {'file' | 'frontmatter'} source - Dedicated matcher file or `rio:` frontmatter block
  */
 
 /**
@@ -81,8 +252,65 @@
  *
  * @typedef {Object} ActiveSkill
  * @property {string} name - Skill, agent, or command name
+ * @property {number} matchCount - Number of matches reported by the matcher
  * @property {number} score - Relative score (0.0-1.0)
  * @property {'skill' | 'agent' | 'command'} type - Type (skill, agent, or command)
+ * @property {'project' | 'user'} level - Origin level of the matcher that produced this item
+ * @property {string[]} [matchedKeywords] - Keywords that matched (v3.0 results)
+ * @property {string} [reason] - Why the item was suggested (v3.0 results)
+ * @property {number} [confidence] - Matcher confidence between 0 and 1 (v3.0 results)
+ * @property {number} [usedTurnsAgo] - Set when the entity was invoked recently (demoted)
+ * @property {number} [weightedCount] - matchCount with keywords weighted by rarity across matchers (weighting "idf")
+ */
+
+/**
+ * Matcher that failed to produce a result, reported to the user once per session.
+ *
+ * @typedef {Object} MatcherFailure
+ * @property {string} name - Skill, agent, or command name
+ * @property {string} matcherPath - Path to the matcher file
+ * @property {string} event - Log event of the failure (e.g. "matcher-execution-failed", "matcher-timeout")
+ * @property {string} error - Error message
+ */
+
+/**
+ * Suggestion set shown to Claude for one prompt, stored in the session state
+ * and correlated with tool uses on the next prompt.
+ *
+ * @typedef {Object} SuggestionSet
+ * @property {string} at - ISO timestamp of the prompt the suggestions were made for
+ * @property {Array<{name: string, type: 'skill' | 'agent' | 'command', level: 'project' | 'user'}>} items
+ */
+
+/**
+ * Accumulated suggestion statistics of one entity.
+ *
+ * @typedef {Object} EntityStats
+ * @property {string} name - Skill, agent, or command name
+ * @property {'skill' | 'agent' | 'command'} type - Entity type
+ * @property {'project' | 'user'} level - Level of the matcher that suggested it most recently
+ * @property {number} suggested - How many times it was suggested
+ * @property {number} accepted - How many suggestions were followed by invoking it
+ * @property {number} ignored - How many suggestions were not followed
+ * @property {string} [lastSuggestedAt] - ISO timestamp of the latest suggestion
+ * @property {string} [lastAcceptedAt] - ISO timestamp of the latest accepted suggestion
+ */
+
+/**
+ * Per-project statistics file (`state/stats/<projectKey>.json`).
+ *
+ * @typedef {Object} ProjectStats
+ * @property {string} projectDir - Project directory the statistics belong to
+ * @property {string} updatedAt - ISO timestamp of the last update
+ * @property {Record<string, EntityStats>} entities - Keyed by "<type>:<name>"
+ */
+
+/**
+ * Keywords learned from JavaScript matchers (`state/vocabulary/<projectKey>.json`).
+ *
+ * @typedef {Object} LearnedVocabulary
+ * @property {string} projectDir - Project directory the vocabulary belongs to
+ * @property {Record<string, string[]>} matchers - Matcher path -> normalised keyword terms it reported
  */
 
 module.exports = {};
@@ -103,16 +103,31 @@ function validateMatcherModule(mod) {
   return ok(fn);
 }
 
+/**
+ * Supported matcher result schema versions.
+ */
+const SUPPORTED_VERSIONS = ['2.0', '3.0'];
+
+/**
+ * Maximum length of the human-readable "reason" field (schema v3.0).
+ */
+const MAX_REASON_LENGTH = 200;
+
 /**
  * Validate matcher result.
  *
- * IMPORTANT: All fields are MANDATORY and must not be undefined/null.
+ * IMPORTANT: All mandatory fields must not be undefined/null.
  *
- * Required schema v2.0:
+ * Schema v2.0:
  * - version: string "2.0" (non-empty, trimmed)
  * - matchCount: non-negative integer
  * - type: "skill" | "agent" | "command" (optional, defaults to path-based detection)
  *
+ * Schema v3.0 (same as v2.0, plus optional explanation fields):
+ * - matchedKeywords: array of non-empty strings (optional)
+ * - reason: short human-readable string, max 200 characters (optional)
+ * - confidence: number between 0 and 1 (optional)
+ *
  * @param {any} result - The matcher result to validate
  * @returns {{ok: boolean, value?: MatcherResult, error?: string}}
  */
@@ -132,8 +147,10 @@ function validateMatcherResult(result) {
   if (!result.version.trim()) {
     return err('Matcher result "version" must be a non-empty string');
   }
-  if (result.version !== '2.0') {
-    return err(`Matcher result "version" must be "2.0" (got: ${result.version}). v1.0 matchers need migration - see CHANGELOG.md`);
+  if (!SUPPORTED_VERSIONS.includes(result.version)) {
+    return err(
+      `Matcher result "version" must be one of: ${SUPPORTED_VERSIONS.join(', ')} (got: ${result.version}). v1.0 matchers need migration - see CHANGELOG.md`
+    );
   }
 
   // Validate matchCount field (MANDATORY - no undefined/null)
@@ -160,6 +177,52 @@ function validateMatcherResult(result) {
     }
   }
 
+  // v2.0 results are accepted unchanged
+  if (result.version === '2.0') {
+    return ok(result);
+  }
+
+  // Validate matchedKeywords field (OPTIONAL, v3.0)
+  if (result.matchedKeywords !== undefined && result.matchedKeywords !== null) {
+    if (!Array.isArray(result.matchedKeywords)) {
+      return err(
+        `Matcher result "matchedKeywords" must be an array (got type: ${typeof result.matchedKeywords})`
+      );
+    }
+    const invalid = result.matchedKeywords.find((kw) => typeof kw !== 'string' || !kw.trim());
+    if (invalid !== undefined) {
+      return err(
+        `Matcher result "matchedKeywords" must contain non-empty strings (got: ${JSON.stringify(invalid)})`
+      );
+    }
+  }
+
+  // Validate reason field (OPTIONAL, v3.0)
+  if (result.reason !== undefined && result.reason !== null) {
+    if (typeof result.reason !== 'string' || !result.reason.trim()) {
+      return err('Matcher result "reason" must be a non-empty string');
+    }
+    if (result.reason.length > MAX_REASON_LENGTH) {
+      return err(
+        `Matcher result "reason" must be at most ${MAX_REASON_LENGTH} characters (got: ${result.reason.length})`
+      );
+    }
+  }
+
+  // Validate confidence field (OPTIONAL, v3.0)
+  if (result.confidence !== undefined && result.confidence !== null) {
+    if (
+      typeof result.confidence !== 'number' ||
+      Number.isNaN(result.confidence) ||
+      result.confidence < 0 ||
+      result.confidence > 1
+    ) {
+      return err(
+        `Matcher result "confidence" must be a number between 0 and 1 (got: ${result.confidence})`
+      );
+    }
+  }
+
   return ok(result);
 }
 
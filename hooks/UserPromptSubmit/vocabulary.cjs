@@ -0,0 +1,126 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Keyword vocabulary of the installed matchers, used to weight matched keywords by
+ * how many matchers know them (see applyKeywordWeights in ranking.cjs).
+ *
+ * Declarative and frontmatter matchers declare their keywords and phrases. JavaScript
+ * matchers only reveal theirs through the v3.0 `matchedKeywords` they report, so those
+ * are learned across prompts and kept per project in the state store.
+ */
+
+const { ok } = require('../utils/result.cjs');
+const store = require('../utils/store.cjs');
+const { tokenize, stem } = require('../utils/helpers.cjs');
+
+/**
+ * @typedef {import('./types').MatcherFile} MatcherFile
+ * @typedef {import('./types').DeclarativeMatcher} DeclarativeMatcher
+ * @typedef {import('./types').LearnedVocabulary} LearnedVocabulary
+ */
+
+/**
+ * Maximum number of terms learned per JavaScript matcher (the oldest ones are dropped).
+ */
+const MAX_LEARNED_TERMS = 200;
+
+/**
+ * Normalise a keyword so the same term reported by different matchers
+ * ("Build", "builds") is counted as one term.
+ * @param {string} keyword
+ * @returns {string}
+ */
+function getTermKey(keyword) {
+  return tokenize(keyword).map(stem).join(' ');
+}
+
+/**
+ * Load the vocabulary learned from the JavaScript matchers of a project.
+ * @param {string} projectDir
+ * @param {string} [stateDir]
+ * @returns {Promise<{ok: boolean, value?: LearnedVocabulary, error?: string}>}
+ */
+async function loadLearnedVocabulary(projectDir, stateDir) {
+  const res = await store.readJsonFile(store.getVocabularyPath(projectDir, stateDir));
+  if (!res.ok) {
+    return res;
+  }
+  const matchers = res.value && res.value.matchers;
+  if (!matchers || typeof matchers !== 'object' || Array.isArray(matchers)) {
+    return ok({ projectDir, matchers: {} });
+  }
+  return ok({ projectDir, matchers });
+}
+
+/**
+ * Save the learned vocabulary of a project.
+ * @param {LearnedVocabulary} learned
+ * @param {string} [stateDir]
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function saveLearnedVocabulary(learned, stateDir) {
+  return store.writeJsonFile(store.getVocabularyPath(learned.projectDir, stateDir), learned);
+}
+
+/**
+ * Add the keywords reported by JavaScript matchers to the learned vocabulary.
+ *
+ * @param {LearnedVocabulary} learned - Mutated in place
+ * @param {Array<{matcherPath: string, matchedKeywords?: string[]}>} reports
+ * @returns {boolean} Whether a new term was learned
+ */
+function learnKeywords(learned, reports) {
+  let changed = false;
+  for (const { matcherPath, matchedKeywords } of reports) {
+    const known = Array.isArray(learned.matchers[matcherPath]) ? learned.matchers[matcherPath] : [];
+    const added = [...new Set((matchedKeywords || []).map(getTermKey).filter(Boolean))].filter(
+      (term) => !known.includes(term)
+    );
+    if (added.length > 0) {
+      learned.matchers[matcherPath] = [...known, ...added].slice(-MAX_LEARNED_TERMS);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Build the vocabulary of the matchers that ran: one set of terms per matcher that
+ * exposes its keywords. Matchers without known keywords (v2.0 results, JavaScript
+ * matchers that never reported any) are left out.
+ *
+ * @param {MatcherFile[]} matcherFiles
+ * @param {Map<string, DeclarativeMatcher>} declaredSpecs - Matcher path -> declarative/frontmatter definition
+ * @param {LearnedVocabulary} learned
+ * @returns {Set<string>[]}
+ */
+function buildVocabulary(matcherFiles, declaredSpecs, learned) {
+  return matcherFiles
+    .map(({ matcherPath }) => {
+      const spec = declaredSpecs.get(matcherPath);
+      if (!spec) {
+        // Learned terms are stored normalised
+        const learnedTerms = learned.matchers[matcherPath];
+        return new Set(Array.isArray(learnedTerms) ? learnedTerms : []);
+      }
+      const keywords = [...(spec.keywords || []), ...(spec.phrases || [])];
+      return new Set(keywords.map(getTermKey).filter(Boolean));
+    })
+    .filter((terms) => terms.size > 0);
+}
+
+module.exports = {
+  getTermKey,
+  loadLearnedVocabulary,
+  saveLearnedVocabulary,
+  learnKeywords,
+  buildVocabulary,
+};
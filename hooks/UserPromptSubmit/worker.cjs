@@ -0,0 +1,132 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Worker thread entry point: loads one JavaScript matcher (or a declarative matcher
+ * with regexes), runs it and posts a single WorkerOutcome message back to the
+ * handler (see isolation.cjs).
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { wrapSync, wrapAsync } = require('../utils/result.cjs');
+const { validateMatcherModule } = require('./validations.cjs');
+const { createMatcherContext } = require('./context.cjs');
+const {
+  readMatcherSpec,
+  createSpecMatcher,
+  isDeclarativeMatcherPath,
+  isFrontmatterMatcherPath,
+} = require('./declarative.cjs');
+const { GIT_METHODS } = require('../utils/git.cjs');
+const { TRANSCRIPT_METHODS } = require('../utils/transcript.cjs');
+
+/**
+ * @typedef {import('./isolation.cjs').WorkerOutcome} WorkerOutcome
+ * @typedef {import('./types').GitContext} GitContext
+ * @typedef {import('./types').TranscriptUtils} TranscriptUtils
+ */
+
+/** Calls forwarded to the handler that wait for an answer, by request id. */
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+parentPort.on('message', (message) => {
+  const response = message && message.serviceResponse;
+  if (response && pendingCalls.has(response.id)) {
+    const { resolve, reject } = pendingCalls.get(response.id);
+    pendingCalls.delete(response.id);
+    if (response.error) {
+      reject(new Error(response.error));
+    } else {
+      resolve(response.value);
+    }
+  }
+});
+
+/**
+ * Service that forwards every call to the handler's instance, so git runs and the
+ * transcript is parsed at most once per hook invocation no matter how many matchers ask.
+ * @param {'git' | 'transcript'} service
+ * @param {string[]} methods
+ * @returns {Object<string, function(...any): Promise<any>>}
+ */
+function createRemoteService(service, methods) {
+  const call = (method, args) =>
+    new Promise((resolve, reject) => {
+      const id = nextCallId++;
+      pendingCalls.set(id, { resolve, reject });
+      parentPort.postMessage({ serviceRequest: { id, service, method, args } });
+    });
+
+  return Object.fromEntries(methods.map((method) => [method, (...args) => call(method, args)]));
+}
+
+/**
+ * Load and validate the matcher function.
+ * @param {string} matcherPath
+ * @returns {{stage?: WorkerOutcome['stage'], error?: string, fn?: Function}}
+ */
+function loadMatcher(matcherPath) {
+  if (isDeclarativeMatcherPath(matcherPath) || isFrontmatterMatcherPath(matcherPath)) {
+    const specRes = readMatcherSpec(matcherPath);
+    if (!specRes.ok) {
+      return { stage: 'invalid', error: specRes.error };
+    }
+    return { fn: createSpecMatcher(specRes.value) };
+  }
+
+  const moduleRes = wrapSync(() => require(matcherPath));
+  if (!moduleRes.ok) {
+    return { stage: 'load-failed', error: moduleRes.error };
+  }
+
+  const validation = validateMatcherModule(moduleRes.value);
+  if (!validation.ok) {
+    return { stage: 'invalid', error: validation.error };
+  }
+  return { fn: validation.value };
+}
+
+/**
+ * Load, validate and execute the matcher.
+ * @returns {Promise<WorkerOutcome>}
+ */
+async function run() {
+  const loaded = loadMatcher(workerData.matcherPath);
+  if (!loaded.fn) {
+    return { stage: loaded.stage, error: loaded.error };
+  }
+
+  const matcherFn = loaded.fn;
+  const context = createMatcherContext(workerData.contextData, {
+    git: /** @type {GitContext} */ (createRemoteService('git', GIT_METHODS)),
+    transcript: /** @type {TranscriptUtils} */ (
+      createRemoteService('transcript', TRANSCRIPT_METHODS)
+    ),
+  });
+  // Support both sync and async matchers
+  const execRes = await wrapAsync(async () => await matcherFn(context));
+  if (!execRes.ok) {
+    return { stage: 'execution-failed', error: execRes.error };
+  }
+
+  return { stage: 'done', value: execRes.value };
+}
+
+run().then((outcome) => {
+  // Results that cannot be cloned (e.g. containing functions) are reported as failures
+  const postRes = wrapSync(() => parentPort.postMessage(outcome));
+  if (!postRes.ok) {
+    parentPort.postMessage({
+      stage: 'execution-failed',
+      error: `Matcher result cannot be sent to the handler: ${postRes.error}`,
+    });
+  }
+});
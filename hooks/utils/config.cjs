@@ -0,0 +1,405 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ok, err, wrapAsync, wrapSync } = require('./result.cjs');
+
+/**
+ * rio configuration, read from `.claude/rio.json` at user level (~/.claude)
+ * and project level ($CLAUDE_PROJECT_DIR/.claude). Project values override user values.
+ *
+ * @typedef {Object} RioConfig
+ * @property {number|null} maxSuggestions - Maximum number of suggestions (null = unlimited)
+ * @property {number} minMatchCount - Minimum absolute matchCount for an item to be suggested
+ * @property {{skill: number|null, agent: number|null, command: number|null}} maxPerType - Per-type caps (null = unlimited)
+ * @property {number} matcherTimeoutMs - Per-matcher deadline in milliseconds
+ * @property {number} hookBudgetMs - Overall hook budget in milliseconds
+ * @property {'project' | 'user'} precedence - Level that wins when an entity exists at both levels
+ * @property {number} recentUseTurns - Entities invoked within this many turns are demoted or hidden (0 = off)
+ * @property {'demote' | 'hide'} recentUseAction - What to do with recently invoked entities
+ * @property {'worker' | 'none'} isolation - Run JavaScript matchers (and declarative ones with regexes) in worker threads or in-process
+ * @property {number} matcherMemoryMb - Heap limit of a matcher worker in megabytes
+ * @property {boolean} failOpen - Never block the prompt: hook failures exit with code 0
+ * @property {'systemMessage' | 'stderr' | 'off'} diagnostics - How broken matchers are reported (once per session)
+ * @property {'idf' | 'none'} weighting - Weight matched keywords by how many installed matchers know them
+ * @property {LoggingConfig} logging - Hook log level, location, retention and prompt redaction
+ */
+
+/**
+ * @typedef {Object} LoggingConfig
+ * @property {'debug' | 'info' | 'warn' | 'error' | 'off'} level - Minimum level written to the log
+ * @property {string|null} dir - Log directory (null = `.claude/hooks/rio/logs`; relative paths are resolved against the project)
+ * @property {'full' | 'redact' | 'hash'} prompts - How prompt text is written to the log
+ * @property {number} maxAgeDays - Log files older than this are deleted (0 = keep forever)
+ * @property {number} maxTotalMb - Oldest log files are deleted above this total size (0 = unlimited)
+ * @property {number} maxFileMb - A log file is rotated once it reaches this size (0 = never)
+ */
+
+const CONFIG_FILENAME = 'rio.json';
+
+/** @type {RioConfig} */
+const DEFAULT_CONFIG = {
+  maxSuggestions: null,
+  minMatchCount: 1,
+  maxPerType: {
+    skill: null,
+    agent: null,
+    command: null,
+  },
+  matcherTimeoutMs: 2000,
+  hookBudgetMs: 5000,
+  precedence: 'project',
+  recentUseTurns: 3,
+  recentUseAction: 'demote',
+  isolation: 'worker',
+  matcherMemoryMb: 128,
+  failOpen: true,
+  diagnostics: 'systemMessage',
+  weighting: 'idf',
+  logging: {
+    level: 'info',
+    dir: null,
+    prompts: 'full',
+    maxAgeDays: 14,
+    maxTotalMb: 50,
+    maxFileMb: 10,
+  },
+};
+
+/** Log levels accepted by `logging.level`, from most to least verbose. */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+
+/**
+ * Validate a non-negative integer or null (unlimited).
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function nullableLimit(value, field) {
+  if (value === null || (Number.isInteger(value) && value >= 0)) {
+    return ok(value);
+  }
+  return err(`"${field}" must be a non-negative integer or null (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate a non-negative integer.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function nonNegativeInt(value, field) {
+  if (Number.isInteger(value) && value >= 0) {
+    return ok(value);
+  }
+  return err(`"${field}" must be a non-negative integer (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate a positive integer.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function positiveInt(value, field) {
+  if (Number.isInteger(value) && value > 0) {
+    return ok(value);
+  }
+  return err(`"${field}" must be a positive integer (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate the per-type caps object.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function perTypeLimits(value, field) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return err(`"${field}" must be an object`);
+  }
+  for (const [type, limit] of Object.entries(value)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG.maxPerType, type)) {
+      return err(`"${field}" has unknown type "${type}" (expected: skill, agent, command)`);
+    }
+    const limitRes = nullableLimit(limit, `${field}.${type}`);
+    if (!limitRes.ok) {
+      return limitRes;
+    }
+  }
+  return ok(value);
+}
+
+/**
+ * Validate the collision precedence level.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function precedenceLevel(value, field) {
+  if (value === 'project' || value === 'user') {
+    return ok(value);
+  }
+  return err(`"${field}" must be "project" or "user" (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate the action applied to recently invoked entities.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function recentUseAction(value, field) {
+  if (value === 'demote' || value === 'hide') {
+    return ok(value);
+  }
+  return err(`"${field}" must be "demote" or "hide" (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate the matcher isolation mode.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function isolationMode(value, field) {
+  if (value === 'worker' || value === 'none') {
+    return ok(value);
+  }
+  return err(`"${field}" must be "worker" or "none" (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate a boolean flag.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function booleanFlag(value, field) {
+  if (typeof value === 'boolean') {
+    return ok(value);
+  }
+  return err(`"${field}" must be true or false (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate the diagnostics channel.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function diagnosticsChannel(value, field) {
+  if (value === 'systemMessage' || value === 'stderr' || value === 'off') {
+    return ok(value);
+  }
+  return err(
+    `"${field}" must be "systemMessage", "stderr" or "off" (got: ${JSON.stringify(value)})`
+  );
+}
+
+/**
+ * Validate the keyword weighting mode.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function weightingMode(value, field) {
+  if (value === 'idf' || value === 'none') {
+    return ok(value);
+  }
+  return err(`"${field}" must be "idf" or "none" (got: ${JSON.stringify(value)})`);
+}
+
+/**
+ * Validate the logging options object.
+ * @param {any} value
+ * @param {string} field
+ * @returns {ReturnType<typeof ok>}
+ */
+function loggingOptions(value, field) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return err(`"${field}" must be an object`);
+  }
+  for (const [key, option] of Object.entries(value)) {
+    const name = `${field}.${key}`;
+    let res;
+    switch (key) {
+      case 'level':
+        res = LOG_LEVELS.includes(option)
+          ? ok(option)
+          : err(
+              `"${name}" must be one of ${LOG_LEVELS.join(', ')} (got: ${JSON.stringify(option)})`
+            );
+        break;
+      case 'dir':
+        res =
+          option === null || (typeof option === 'string' && option.trim())
+            ? ok(option)
+            : err(`"${name}" must be a non-empty string or null (got: ${JSON.stringify(option)})`);
+        break;
+      case 'prompts':
+        res = ['full', 'redact', 'hash'].includes(option)
+          ? ok(option)
+          : err(`"${name}" must be "full", "redact" or "hash" (got: ${JSON.stringify(option)})`);
+        break;
+      case 'maxAgeDays':
+      case 'maxTotalMb':
+      case 'maxFileMb':
+        res = nonNegativeInt(option, name);
+        break;
+      default:
+        res = err(
+          `"${field}" has unknown option "${key}" (expected: level, dir, prompts, maxAgeDays, maxTotalMb, maxFileMb)`
+        );
+    }
+    if (!res.ok) {
+      return res;
+    }
+  }
+  return ok(value);
+}
+
+/** Validators for every supported option. */
+const OPTION_VALIDATORS = {
+  maxSuggestions: nullableLimit,
+  minMatchCount: positiveInt,
+  maxPerType: perTypeLimits,
+  matcherTimeoutMs: positiveInt,
+  hookBudgetMs: positiveInt,
+  precedence: precedenceLevel,
+  recentUseTurns: nonNegativeInt,
+  recentUseAction: recentUseAction,
+  isolation: isolationMode,
+  matcherMemoryMb: positiveInt,
+  failOpen: booleanFlag,
+  diagnostics: diagnosticsChannel,
+  weighting: weightingMode,
+  logging: loggingOptions,
+};
+
+/**
+ * Validate a raw configuration object read from disk.
+ * @param {any} raw
+ * @returns {{ok: boolean, value?: Partial<RioConfig>, error?: string}}
+ */
+function validateConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return err('configuration must be a JSON object');
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const validator = OPTION_VALIDATORS[key];
+    if (!validator) {
+      return err(`unknown option "${key}"`);
+    }
+    const res = validator(value, key);
+    if (!res.ok) {
+      return res;
+    }
+  }
+
+  return ok(raw);
+}
+
+/**
+ * Merge a partial configuration over a base one (nested objects are merged key by key).
+ * @param {RioConfig} base
+ * @param {Partial<RioConfig>} override
+ * @returns {RioConfig}
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const baseValue = base[key];
+    const isNested =
+      value && typeof value === 'object' && !Array.isArray(value) && baseValue !== null;
+    merged[key] = isNested ? { ...baseValue, ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Read and validate a single configuration file.
+ * Missing files are not an error and resolve to null.
+ * @param {string} configPath
+ * @returns {Promise<{ok: boolean, value?: Partial<RioConfig>|null, error?: string}>}
+ */
+async function readConfigFile(configPath) {
+  const readRes = await wrapAsync(() => fs.readFile(configPath, 'utf8'));
+  if (!readRes.ok) {
+    return readRes.error.includes('ENOENT') ? ok(null) : err(`${configPath}: ${readRes.error}`);
+  }
+
+  const parseRes = wrapSync(() => JSON.parse(readRes.value));
+  if (!parseRes.ok) {
+    return err(`${configPath}: invalid JSON: ${parseRes.error}`);
+  }
+
+  const validation = validateConfig(parseRes.value);
+  if (!validation.ok) {
+    return err(`${configPath}: ${validation.error}`);
+  }
+  return ok(validation.value);
+}
+
+/**
+ * Get the configuration file paths in precedence order (lowest first).
+ * @param {{projectDir: string, homeDir?: string}} options
+ * @returns {{user: string, project: string}}
+ */
+function getConfigPaths(options) {
+  const homeDir = options.homeDir || os.homedir();
+  return {
+    user: path.join(homeDir, '.claude', CONFIG_FILENAME),
+    project: path.join(options.projectDir, '.claude', CONFIG_FILENAME),
+  };
+}
+
+/**
+ * Load the effective configuration: defaults, then user level, then project level.
+ * Invalid files are skipped and reported in `errors`, so a broken config never
+ * prevents the hook from running.
+ *
+ * @param {{projectDir: string, homeDir?: string}} options
+ * @returns {Promise<{config: RioConfig, sources: string[], errors: string[]}>}
+ */
+async function loadConfig(options) {
+  const paths = getConfigPaths(options);
+  let config = mergeConfig(DEFAULT_CONFIG, {});
+  const sources = [];
+  const errors = [];
+
+  // When the project is the home directory both paths are the same file
+  const configPaths = paths.user === paths.project ? [paths.user] : [paths.user, paths.project];
+
+  for (const configPath of configPaths) {
+    const res = await readConfigFile(configPath);
+    if (!res.ok) {
+      errors.push(res.error);
+    } else if (res.value) {
+      config = mergeConfig(config, res.value);
+      sources.push(configPath);
+    }
+  }
+
+  return { config, sources, errors };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_FILENAME,
+  LOG_LEVELS,
+  validateConfig,
+  mergeConfig,
+  getConfigPaths,
+  loadConfig,
+};
@@ -0,0 +1,254 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Minimal frontmatter reader for SKILL.md and agent/command `.md` files.
+ *
+ * Hooks must stay dependency-free, so this is not a YAML parser: it only understands
+ * the subset needed for an `rio:` block - a mapping of scalars, booleans
+ * (`true`/`false`), flow lists (`[a, "b c"]`), block lists (`- a`) and one level
+ * of nested mapping:
+ *
+ *   ---
+ *   name: terraform
+ *   rio:
+ *     keywords: [terraform, tfstate]
+ *     negativeKeywords:
+ *       - pulumi
+ *     type: skill
+ *     fuzzy: true
+ *     project:
+ *       languages: [hcl, terraform]
+ *   ---
+ */
+
+const { ok, err } = require('./result.cjs');
+
+/**
+ * @typedef {string|boolean|string[]} RioValue
+ */
+
+/** Frontmatter key holding the rio matcher definition. */
+const RIO_KEY = 'rio';
+
+/**
+ * Extract the raw frontmatter (between the leading `---` lines) from a markdown document.
+ * @param {string} content
+ * @returns {string|null} Frontmatter text, or null when the document has none
+ */
+function extractFrontmatter(content) {
+  const match = content.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Remove a trailing ` # comment` that is not inside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text;
+}
+
+/**
+ * Parse a scalar value, removing surrounding quotes.
+ * Double-quoted strings support `\"` and `\\` escapes; single-quoted strings support `''`.
+ * @param {string} text
+ * @returns {string}
+ */
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+/**
+ * Parse a mapping value: unquoted `true` and `false` become booleans, anything else a scalar.
+ * @param {string} text
+ * @returns {string|boolean}
+ */
+function parseMappingValue(text) {
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  return parseScalar(text);
+}
+
+/**
+ * Parse a flow list such as `[a, "b, c", 'd']`.
+ * @param {string} text - Text including the surrounding brackets
+ * @returns {{ok: boolean, value?: string[], error?: string}}
+ */
+function parseFlowList(text) {
+  const inner = text.trim().slice(1, -1);
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (quote) {
+    return err(`unterminated quote in list ${text.trim()}`);
+  }
+  items.push(current);
+
+  // Allow a trailing comma and an empty list
+  const values = items.map(parseScalar);
+  if (values.length > 0 && values[values.length - 1] === '') {
+    values.pop();
+  }
+  return ok(values);
+}
+
+/**
+ * Parse the value of a `key: value` line (flow list, boolean or scalar).
+ * @param {string} value - Trimmed, non-empty value text
+ * @returns {{ok: boolean, value?: string|boolean|string[], error?: string}}
+ */
+function parseValue(value) {
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return parseFlowList(value);
+  }
+  return ok(parseMappingValue(value));
+}
+
+/**
+ * Parse the `rio:` block of a frontmatter document.
+ * Keys may hold one level of nested mapping (e.g. `project:` conditions), whose
+ * values must be scalars, booleans or flow lists.
+ *
+ * @param {string} frontmatter - Raw frontmatter text
+ * @returns {{ok: boolean, value?: Record<string, RioValue|Record<string, RioValue>>|null, error?: string}}
+ *   The parsed block, or null when there is no `rio:` key
+ */
+function parseRioBlock(frontmatter) {
+  const lines = frontmatter.split(/\r?\n/);
+  const start = lines.findIndex((line) => new RegExp(`^${RIO_KEY}:`).test(line));
+  if (start === -1) {
+    return ok(null);
+  }
+
+  if (stripComment(lines[start].slice(RIO_KEY.length + 1)).trim() !== '') {
+    return err(`"${RIO_KEY}" must be an indented block of keys`);
+  }
+
+  /** @type {Record<string, any>} */
+  const block = {};
+  // Key without inline value: followed by list items or a nested mapping
+  let openKey = null;
+  let openIndent = 0;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    const text = stripComment(line).trim();
+    if (text === '') continue;
+    // The block ends at the next top-level key
+    if (!/^\s/.test(line)) break;
+    const indent = line.length - line.trimStart().length;
+
+    if (text.startsWith('- ') || text === '-') {
+      if (!openKey || !Array.isArray(block[openKey])) {
+        return err(`line ${i + 1}: list item without a key`);
+      }
+      block[openKey].push(parseScalar(text.slice(1)));
+      continue;
+    }
+
+    const keyMatch = text.match(/^([A-Za-z][\w-]*):(?:\s+(.*))?$/);
+    if (!keyMatch) {
+      return err(`line ${i + 1}: expected "key: value" (got: ${text})`);
+    }
+    const [, key, rawValue = ''] = keyMatch;
+    const value = rawValue.trim();
+
+    // Entry of a nested mapping (indented below a key without value)
+    if (openKey && indent > openIndent) {
+      const current = block[openKey];
+      if (Array.isArray(current) && current.length > 0) {
+        return err(`line ${i + 1}: "${openKey}" cannot mix list items and keys`);
+      }
+      if (value === '') {
+        return err(`line ${i + 1}: nested "${key}" needs a value (use [a, b] for lists)`);
+      }
+      const valueRes = parseValue(value);
+      if (!valueRes.ok) {
+        return err(`line ${i + 1}: ${valueRes.error}`);
+      }
+      block[openKey] = Array.isArray(current) ? {} : current;
+      block[openKey][key] = valueRes.value;
+      continue;
+    }
+
+    if (value === '') {
+      block[key] = [];
+      openKey = key;
+      openIndent = indent;
+      continue;
+    }
+
+    const valueRes = parseValue(value);
+    if (!valueRes.ok) {
+      return err(`line ${i + 1}: ${valueRes.error}`);
+    }
+    block[key] = valueRes.value;
+    openKey = null;
+  }
+
+  return ok(block);
+}
+
+/**
+ * Read the `rio:` block from a markdown document.
+ * @param {string} content - Markdown document content
+ * @returns {{ok: boolean, value?: Record<string, RioValue|Record<string, RioValue>>|null, error?: string}}
+ *   The parsed block, or null when the document has no frontmatter or no `rio:` key
+ */
+function readRioBlock(content) {
+  const frontmatter = extractFrontmatter(content);
+  if (frontmatter === null) {
+    return ok(null);
+  }
+  return parseRioBlock(frontmatter);
+}
+
+module.exports = {
+  RIO_KEY,
+  extractFrontmatter,
+  parseRioBlock,
+  readRioBlock,
+};
@@ -0,0 +1,112 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Typo-tolerant keyword matching.
+ *
+ * Words are compared with the optimal string alignment variant of the
+ * Damerau-Levenshtein distance (insertions, deletions, substitutions and adjacent
+ * transpositions each cost one edit), so a single canonical keyword such as
+ * "typescript" also matches "typscript", "tpyescript" or "typescirpt".
+ *
+ * The number of tolerated edits grows with the word length: short words must match
+ * exactly, otherwise "test" would match "text" and "git" would match "get".
+ */
+
+/**
+ * Maximum number of edits tolerated for a word of the given length.
+ * @param {number} length
+ * @returns {number}
+ */
+function maxEditsFor(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+}
+
+/**
+ * Edit distance between two strings (optimal string alignment).
+ * Stops early and returns `limit + 1` once the distance is known to exceed `limit`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [limit=Infinity] - Largest distance of interest
+ * @returns {number}
+ */
+function editDistance(a, b, limit = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  // Three rolling rows: two rows back are needed for transpositions
+  let beforePrev = new Array(b.length + 1).fill(0);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = current[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) return limit + 1;
+    [beforePrev, prev, current] = [prev, current, beforePrev];
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Check whether two words are equal up to a length-aware number of typos.
+ * The shorter word decides the tolerance.
+ *
+ * @param {string} expected - Keyword word (lowercase)
+ * @param {string} actual - Word from the text (lowercase)
+ * @returns {boolean}
+ */
+function isFuzzyWordMatch(expected, actual) {
+  if (expected === actual) return true;
+  const limit = maxEditsFor(Math.min(expected.length, actual.length));
+  return limit > 0 && editDistance(expected, actual, limit) <= limit;
+}
+
+/**
+ * Check whether a word sequence occurs (contiguously) in the text words,
+ * tolerating typos in each word.
+ *
+ * @param {string[]} needle - Keyword words
+ * @param {string[]} haystack - Text words
+ * @returns {boolean}
+ */
+function containsFuzzySequence(needle, haystack) {
+  if (needle.length === 0 || needle.length > haystack.length) {
+    return false;
+  }
+  for (let start = 0; start <= haystack.length - needle.length; start++) {
+    if (needle.every((word, offset) => isFuzzyWordMatch(word, haystack[start + offset]))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  maxEditsFor,
+  editDistance,
+  isFuzzyWordMatch,
+  containsFuzzySequence,
+};
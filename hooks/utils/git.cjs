@@ -0,0 +1,132 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Lazy git information for matchers (exposed as `context.git`).
+ *
+ * Nothing runs until a matcher asks for it, and each git command runs at most once
+ * per hook invocation: matchers in worker threads forward their calls to the
+ * handler's instance (see isolation.cjs). Outside a git repository, or when git is
+ * not installed, the getters resolve to null or an empty list instead of failing.
+ */
+
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * @typedef {import('../UserPromptSubmit/types').GitContext} GitContext
+ */
+
+/** Deadline for a single git command. */
+const GIT_TIMEOUT_MS = 1000;
+
+/** Names of the GitContext getters (also the methods workers may call remotely). */
+const GIT_METHODS = [
+  'getBranch',
+  'getDirtyFiles',
+  'getStagedFiles',
+  'getChangedExtensions',
+  'getLastCommitSubject',
+];
+
+/**
+ * Run a git command.
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {Promise<string|null>} stdout, or null when git failed
+ */
+function runGit(cwd, args) {
+  return new Promise((resolve) => {
+    execFile(
+      'git',
+      args,
+      { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024, windowsHide: true },
+      (error, stdout) => resolve(error ? null : stdout)
+    );
+  });
+}
+
+/**
+ * Parse `git status --porcelain=v1 -z` output.
+ * Paths are relative to the repository root; renames report the new path.
+ *
+ * @param {string} output
+ * @returns {Array<{path: string, staged: boolean}>}
+ */
+function parseStatus(output) {
+  const entries = [];
+  const fields = output.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.length < 4) continue;
+
+    const indexStatus = field[0];
+    entries.push({
+      path: field.slice(3),
+      staged: indexStatus !== ' ' && indexStatus !== '?',
+    });
+    // Renames and copies are followed by the original path
+    if (indexStatus === 'R' || indexStatus === 'C') i++;
+  }
+  return entries;
+}
+
+/**
+ * Create the lazily evaluated git context for a working directory.
+ * @param {string} cwd
+ * @returns {GitContext}
+ */
+function createGitContext(cwd) {
+  /** @type {Record<string, Promise<any>>} */
+  const cache = {};
+  const once = (key, compute) => {
+    if (!cache[key]) cache[key] = compute();
+    return cache[key];
+  };
+
+  const getStatus = () =>
+    once('status', async () => {
+      const output = await runGit(cwd, ['status', '--porcelain=v1', '-z', '--untracked-files=all']);
+      return output === null ? [] : parseStatus(output);
+    });
+
+  return {
+    getBranch: () =>
+      once('branch', async () => {
+        const output = await runGit(cwd, ['rev-parse', '--abbrev-ref', 'HEAD']);
+        const branch = output ? output.trim() : '';
+        // Detached HEAD has no branch name
+        return branch && branch !== 'HEAD' ? branch : null;
+      }),
+
+    getDirtyFiles: async () => (await getStatus()).map((entry) => entry.path),
+
+    getStagedFiles: async () =>
+      (await getStatus()).filter((entry) => entry.staged).map((entry) => entry.path),
+
+    getChangedExtensions: async () => {
+      const extensions = (await getStatus())
+        .map((entry) => path.extname(entry.path).toLowerCase())
+        .filter(Boolean);
+      return [...new Set(extensions)];
+    },
+
+    getLastCommitSubject: () =>
+      once('lastCommitSubject', async () => {
+        const output = await runGit(cwd, ['log', '-1', '--format=%s']);
+        return output ? output.trim() || null : null;
+      }),
+  };
+}
+
+module.exports = {
+  GIT_METHODS,
+  createGitContext,
+};
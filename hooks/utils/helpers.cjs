@@ -0,0 +1,236 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Text matching helpers for matchers (exposed as `context.helpers`).
+ *
+ * Plain `prompt.includes(keyword)` matches inside words ("ts" fires on "tests",
+ * "image" on "imagine"). These helpers compare whole words instead, after a light
+ * stemming step so that "build", "builds" and "building" are treated as one word.
+ * The fuzzy variants additionally tolerate typos (see fuzzy.cjs).
+ */
+
+const { editDistance, containsFuzzySequence } = require('./fuzzy.cjs');
+
+/**
+ * Split text into lowercase word tokens (letters and digits, any script).
+ * Punctuation, dashes and slashes separate words: "docker-compose" → ["docker", "compose"].
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Drop a doubled final consonant left behind by a removed suffix (runn → run),
+ * keeping short words intact (add).
+ * @param {string} word
+ * @returns {string}
+ */
+function undouble(word) {
+  return word.length > 3 && /([bdfgmnprt])\1$/.test(word) ? word.slice(0, -1) : word;
+}
+
+/**
+ * Reduce a word to a light stem so common inflections compare equal.
+ * This is deliberately conservative (plural, -ing and -ed endings only), not a
+ * full Porter stemmer: build/builds/building → "build", cache/caches/caching → "cach".
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  let result = String(word).toLowerCase();
+
+  // Plurals
+  if (result.length > 4 && result.endsWith('ies')) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.length > 4 && /(ss|sh|ch|x|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.length > 3 && result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // Verb endings, undoubling the final consonant (running → run)
+  if (result.length > 5 && result.endsWith('ing')) {
+    result = undouble(result.slice(0, -3));
+  } else if (result.length > 4 && result.endsWith('ed') && !result.endsWith('eed')) {
+    result = undouble(result.slice(0, -2));
+  }
+
+  // Silent final "e" (create/creating → "creat")
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+/**
+ * Tokenize and stem text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toStems(text) {
+  return tokenize(text).map(stem);
+}
+
+/**
+ * Check whether a stem sequence occurs (contiguously) in the text stems.
+ * @param {string[]} needle
+ * @param {string[]} haystack
+ * @returns {boolean}
+ */
+function containsSequence(needle, haystack) {
+  if (needle.length === 0 || needle.length > haystack.length) {
+    return false;
+  }
+  for (let start = 0; start <= haystack.length - needle.length; start++) {
+    if (needle.every((word, offset) => haystack[start + offset] === word)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a phrase occurs in the text as consecutive whole words
+ * (stemmed, case-insensitive, ignoring spacing and punctuation between words).
+ *
+ * @param {string} phrase - e.g. "pull request"
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasPhrase(phrase, text) {
+  return containsSequence(toStems(phrase), toStems(text));
+}
+
+/**
+ * Check whether a keyword occurs in the text as a whole word (stemmed, case-insensitive).
+ * Keywords made of several words ("docker-compose", "type script") are matched as phrases.
+ *
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasKeyword(keyword, text) {
+  return hasPhrase(keyword, text);
+}
+
+/**
+ * Return the keywords that occur in the text (see hasKeyword).
+ * @param {string[]} keywords
+ * @param {string} text
+ * @returns {string[]}
+ */
+function matchedKeywords(keywords, text) {
+  const stems = toStems(text);
+  return keywords.filter((keyword) => containsSequence(toStems(keyword), stems));
+}
+
+/**
+ * Count how many keywords occur in the text (see hasKeyword).
+ * @param {string[]} keywords
+ * @param {string} text
+ * @returns {number}
+ */
+function countMatches(keywords, text) {
+  return matchedKeywords(keywords, text).length;
+}
+
+/**
+ * Check whether a keyword occurs in the text, tolerating typos
+ * ("typescript" matches "typscript" and "tpyescript"; short words must match exactly).
+ *
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasFuzzyKeyword(keyword, text) {
+  return containsFuzzySequence(toStems(keyword), toStems(text));
+}
+
+/**
+ * Return the keywords that occur in the text, tolerating typos (see hasFuzzyKeyword).
+ * @param {string[]} keywords
+ * @param {string} text
+ * @returns {string[]}
+ */
+function fuzzyMatchedKeywords(keywords, text) {
+  const stems = toStems(text);
+  return keywords.filter((keyword) => containsFuzzySequence(toStems(keyword), stems));
+}
+
+/**
+ * Count how many keywords occur in the text, tolerating typos (see hasFuzzyKeyword).
+ * @param {string[]} keywords
+ * @param {string} text
+ * @returns {number}
+ */
+function countFuzzyMatches(keywords, text) {
+  return fuzzyMatchedKeywords(keywords, text).length;
+}
+
+/**
+ * Create the `context.helpers` namespace for a prompt.
+ * Every helper takes an optional `text` argument that defaults to the prompt;
+ * the prompt is tokenized once and reused across calls.
+ *
+ * @param {string} prompt
+ * @returns {import('../UserPromptSubmit/types').MatcherHelpers}
+ */
+function createHelpers(prompt) {
+  let promptStems = null;
+  const stemsOf = (text) => {
+    if (text !== undefined) return toStems(text);
+    if (!promptStems) promptStems = toStems(prompt);
+    return promptStems;
+  };
+
+  const matched = (keywords, text) => {
+    const stems = stemsOf(text);
+    return keywords.filter((keyword) => containsSequence(toStems(keyword), stems));
+  };
+  const fuzzyMatched = (keywords, text) => {
+    const stems = stemsOf(text);
+    return keywords.filter((keyword) => containsFuzzySequence(toStems(keyword), stems));
+  };
+
+  return {
+    tokenize: (text) => tokenize(text === undefined ? prompt : text),
+    stem,
+    hasKeyword: (keyword, text) => containsSequence(toStems(keyword), stemsOf(text)),
+    hasPhrase: (phrase, text) => containsSequence(toStems(phrase), stemsOf(text)),
+    matchedKeywords: matched,
+    countMatches: (keywords, text) => matched(keywords, text).length,
+    hasFuzzyKeyword: (keyword, text) => containsFuzzySequence(toStems(keyword), stemsOf(text)),
+    fuzzyMatchedKeywords: fuzzyMatched,
+    countFuzzyMatches: (keywords, text) => fuzzyMatched(keywords, text).length,
+    editDistance: (a, b) => editDistance(String(a).toLowerCase(), String(b).toLowerCase()),
+  };
+}
+
+module.exports = {
+  tokenize,
+  stem,
+  hasKeyword,
+  hasPhrase,
+  matchedKeywords,
+  countMatches,
+  hasFuzzyKeyword,
+  fuzzyMatchedKeywords,
+  countFuzzyMatches,
+  createHelpers,
+};
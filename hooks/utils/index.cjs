@@ -19,6 +19,13 @@ const logger = require('./logger.cjs');
 const result = require('./result.cjs');
 const validations = require('./validations.cjs');
 const transcript = require('./transcript.cjs');
+const config = require('./config.cjs');
+const frontmatter = require('./frontmatter.cjs');
+const store = require('./store.cjs');
+const helpers = require('./helpers.cjs');
+const git = require('./git.cjs');
+const project = require('./project.cjs');
+const mentions = require('./mentions.cjs');
 
 module.exports = {
   io,
@@ -26,4 +33,11 @@ module.exports = {
   result,
   validations,
   transcript,
+  config,
+  frontmatter,
+  store,
+  helpers,
+  git,
+  project,
+  mentions,
 };
@@ -8,47 +8,234 @@
  * See: .claude/docs/CREATING_SKILLS.md
  */
 
+const fs = require('fs/promises');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const { ensureDir, appendFile } = require('./io.cjs');
+const { wrapAsync } = require('./result.cjs');
+const { DEFAULT_CONFIG, LOG_LEVELS } = require('./config.cjs');
+
+/**
+ * @typedef {import('./config.cjs').LoggingConfig} LoggingConfig
+ */
 
 const LOGS_DIR = path.join(__dirname, '..', 'logs');
 
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the configured log directory.
+ * @param {string|null|undefined} dir - Configured directory (null = default)
+ * @param {string} baseDir - Directory relative paths are resolved against (the project)
+ * @returns {string}
+ */
+function resolveLogDir(dir, baseDir) {
+  if (!dir) {
+    return LOGS_DIR;
+  }
+  if (dir === '~' || dir.startsWith('~/') || dir.startsWith('~\\')) {
+    return path.join(os.homedir(), dir.slice(1));
+  }
+  return path.resolve(baseDir, dir);
+}
+
+/**
+ * Replace the text of every `prompt` field according to the redaction mode.
+ * Hashing keeps equal prompts correlatable without storing their text.
+ * @param {unknown} value
+ * @param {'redact' | 'hash'} mode
+ * @returns {unknown}
+ */
+function redactPrompts(value, mode) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactPrompts(item, mode));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const redacted = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (key === 'prompt' && typeof field === 'string') {
+      redacted[key] =
+        mode === 'hash'
+          ? `sha256:${crypto.createHash('sha256').update(field).digest('hex').slice(0, 16)}`
+          : `[redacted ${field.length} chars]`;
+    } else {
+      redacted[key] = redactPrompts(field, mode);
+    }
+  }
+  return redacted;
+}
+
 /**
  * Logger instance for a specific hook.
+ * Logging never aborts the hook: write failures are reported once on stderr.
+ * Every entry carries the `invocationId` of the logger, so the entries of one hook
+ * run can be grouped (see `claude-rio logs`).
  */
 class Logger {
   /**
    * @param {string} hookName
+   * @param {Partial<LoggingConfig>} [settings] - Defaults to the `logging` defaults of the configuration
    */
-  constructor(hookName) {
+  constructor(hookName, settings = {}) {
     this.hookName = hookName;
+    this.invocationId = crypto.randomBytes(4).toString('hex');
+    /** @type {Record<string, unknown>} */
+    this.fields = {};
+    this.errorReported = false;
+    this.configure(settings);
+  }
+
+  /**
+   * Apply logging settings (e.g. once the configuration is loaded).
+   * `dir` must already be resolved (see resolveLogDir).
+   * @param {Partial<LoggingConfig>} settings
+   * @returns {void}
+   */
+  configure(settings) {
+    /** @type {LoggingConfig} */
+    this.settings = { ...DEFAULT_CONFIG.logging, ...settings };
+    this.dir = this.settings.dir || LOGS_DIR;
     const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    this.logPath = path.join(LOGS_DIR, `${hookName}-${today}.log`);
+    this.logPath = path.join(this.dir, `${this.hookName}-${today}.log`);
+    // Retention runs before the first write to a directory
+    this.retentionApplied = false;
+  }
+
+  /**
+   * Add fields to every following entry (e.g. the session id).
+   * @param {Record<string, unknown>} fields
+   * @returns {void}
+   */
+  setFields(fields) {
+    Object.assign(this.fields, fields);
+  }
+
+  /**
+   * Check whether entries of a level are written.
+   * Unknown levels count as "info".
+   * @param {string} [level]
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    if (this.settings.level === 'off') {
+      return false;
+    }
+    const rank = LOG_LEVELS.indexOf(LOG_LEVELS.includes(level) ? level : 'info');
+    return rank >= LOG_LEVELS.indexOf(this.settings.level);
   }
 
   /**
    * Append a JSON line to the hook-specific log file.
-   * Exits with code 1 on failure after writing to stderr.
+   * Never throws and never exits: failures are reported once on stderr.
    * @param {Record<string, unknown>} data
    * @returns {Promise<void>}
    */
   async log(data) {
-    const ensureRes = await ensureDir(LOGS_DIR);
-    if (!ensureRes.ok) {
-      process.stderr.write(`Cannot create logs dir: ${ensureRes.error}\n`);
-      process.exit(1);
+    if (!this.isEnabled(/** @type {string} */ (data.level))) {
+      return;
+    }
+
+    try {
+      const ensureRes = await ensureDir(this.dir);
+      if (!ensureRes.ok) {
+        this.handleError(`Cannot create logs dir: ${ensureRes.error}`);
+        return;
+      }
+
+      if (!this.retentionApplied) {
+        this.retentionApplied = true;
+        await this.applyRetention();
+      }
+
+      const entry = {
+        timestamp: new Date().toISOString(),
+        invocationId: this.invocationId,
+        ...this.fields,
+        ...(this.settings.prompts === 'full' ? data : redactPrompts(data, this.settings.prompts)),
+      };
+      const line = `${JSON.stringify(entry)}\n`;
+
+      const appendRes = await appendFile(this.logPath, line);
+      if (!appendRes.ok) {
+        this.handleError(`Cannot write log: ${appendRes.error}`);
+      }
+    } catch (error) {
+      this.handleError(`Cannot write log: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+
+  /**
+   * Rotate the current log file when it is too large, then delete this hook's
+   * log files that are too old or exceed the total size limit (oldest first).
+   * @returns {Promise<void>}
+   */
+  async applyRetention() {
+    const { maxAgeDays, maxTotalMb, maxFileMb } = this.settings;
+    const namesRes = await wrapAsync(() => fs.readdir(this.dir));
+    if (!namesRes.ok) {
+      return;
     }
 
-    const entry = {
-      timestamp: new Date().toISOString(),
-      ...data,
-    };
-    const line = `${JSON.stringify(entry)}\n`;
+    const names = namesRes.value.filter(
+      (name) => name.startsWith(`${this.hookName}-`) && name.endsWith('.log')
+    );
+    const files = [];
+    for (const name of names) {
+      const filePath = path.join(this.dir, name);
+      const statRes = await wrapAsync(() => fs.stat(filePath));
+      if (statRes.ok) {
+        files.push({ filePath, size: statRes.value.size, mtimeMs: statRes.value.mtimeMs });
+      }
+    }
 
-    const appendRes = await appendFile(this.logPath, line);
-    if (!appendRes.ok) {
-      process.stderr.write(`Cannot write log: ${appendRes.error}\n`);
-      process.exit(1);
+    const current = files.find((file) => file.filePath === this.logPath);
+    if (current && maxFileMb > 0 && current.size >= maxFileMb * MB) {
+      // YYYY-MM-DD.log -> YYYY-MM-DD.1.log, .2.log, ...
+      const base = this.logPath.slice(0, -'.log'.length);
+      let index = 1;
+      while (names.includes(path.basename(`${base}.${index}.log`))) index++;
+      const rotatedPath = `${base}.${index}.log`;
+      if ((await wrapAsync(() => fs.rename(this.logPath, rotatedPath))).ok) {
+        current.filePath = rotatedPath;
+      }
+    }
+
+    const now = Date.now();
+    const kept = [];
+    for (const file of files) {
+      const expired = maxAgeDays > 0 && now - file.mtimeMs > maxAgeDays * DAY_MS;
+      if (expired && file.filePath !== this.logPath) {
+        await wrapAsync(() => fs.rm(file.filePath, { force: true }));
+      } else {
+        kept.push(file);
+      }
+    }
+
+    if (maxTotalMb > 0) {
+      let total = kept.reduce((sum, file) => sum + file.size, 0);
+      for (const file of kept.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+        if (total <= maxTotalMb * MB) break;
+        if (file.filePath === this.logPath) continue;
+        if ((await wrapAsync(() => fs.rm(file.filePath, { force: true }))).ok) {
+          total -= file.size;
+        }
+      }
+    }
+  }
+
+  /**
+   * Report a write failure once on stderr.
+   * @param {string} message
+   * @returns {void}
+   */
+  handleError(message) {
+    if (!this.errorReported) {
+      this.errorReported = true;
+      process.stderr.write(`${message}\n`);
     }
   }
 }
@@ -56,10 +243,11 @@ class Logger {
 /**
  * Create a logger instance for a hook.
  * @param {string} hookName
+ * @param {Partial<LoggingConfig>} [settings]
  * @returns {Logger}
  */
-function createLogger(hookName) {
-  return new Logger(hookName);
+function createLogger(hookName, settings) {
+  return new Logger(hookName, settings);
 }
 
-module.exports = { createLogger, Logger };
+module.exports = { createLogger, resolveLogDir, redactPrompts, Logger, LOGS_DIR };
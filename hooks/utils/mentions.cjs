@@ -0,0 +1,126 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Files referenced in the prompt (exposed as `context.mentionedFiles`).
+ *
+ * Recognises `@path` mentions and path-like tokens ("src/db/schema.prisma",
+ * "./run.sh", "~/notes.md", "app.ts:42"). Apart from `@` mentions, a token is only
+ * reported when it exists or has both a directory and an extension, so prose like
+ * "Node.js", "e.g." or "and/or" is not mistaken for a file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @typedef {import('../UserPromptSubmit/types').MentionedFile} MentionedFile
+ */
+
+/** Upper bound of path candidates checked per prompt (each costs a stat call). */
+const MAX_MENTIONS = 50;
+
+/** Characters wrapping a path in prose: quotes, backticks and brackets. */
+const WRAPPING_CHARS = /^[`'"([{<]+|[`'")\]}>]+$/g;
+
+/** Punctuation ending a sentence after a path. */
+const TRAILING_PUNCTUATION = /[.,;:!?]+$/;
+
+/** `:line` or `:line:column` suffix, as in "app.ts:42". */
+const LINE_SUFFIX = /:\d+(:\d+)?$/;
+
+/** Characters allowed in a recognised path. */
+const PATH_CHARS = /^[\w@.~+\-/\\]+$/;
+
+/**
+ * Clean a token into a candidate path.
+ * @param {string} token
+ * @returns {string}
+ */
+function cleanToken(token) {
+  return token
+    .replace(WRAPPING_CHARS, '')
+    .replace(TRAILING_PUNCTUATION, '')
+    .replace(WRAPPING_CHARS, '')
+    .replace(LINE_SUFFIX, '');
+}
+
+/**
+ * Extract candidate paths from the prompt.
+ * @param {string} prompt
+ * @returns {Array<{raw: string, certain: boolean}>} `certain` when reported even if the path does not exist
+ */
+function extractCandidates(prompt) {
+  const candidates = [];
+  for (const token of prompt.split(/\s+/)) {
+    const mention = token.replace(/^[`'"([{<]+/, '').startsWith('@');
+    const raw = cleanToken(mention ? token.replace(/^[`'"([{<]*@/, '') : token);
+
+    if (!raw || raw.includes('://') || !PATH_CHARS.test(raw)) continue;
+    // Version numbers and plain numbers ("1.2.3") are not paths
+    if (/^v?\d+(\.\d+)*$/.test(raw)) continue;
+
+    const hasDirectory = /[/\\]/.test(raw) || raw.startsWith('~');
+    const hasExtension = /[^./\\]\.[A-Za-z0-9]{1,10}$/.test(raw);
+    if (mention || hasDirectory || hasExtension) {
+      candidates.push({ raw, certain: mention || (hasDirectory && hasExtension) });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Resolve a path as written in the prompt.
+ * @param {string} raw
+ * @param {string} cwd
+ * @returns {string}
+ */
+function resolveMention(raw, cwd) {
+  if (raw === '~' || raw.startsWith('~/') || raw.startsWith('~\\')) {
+    return path.join(os.homedir(), raw.slice(1));
+  }
+  return path.resolve(cwd, raw);
+}
+
+/**
+ * Find the files and directories referenced in a prompt.
+ *
+ * @param {string} prompt
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {MentionedFile[]}
+ */
+function findMentionedFiles(prompt, cwd) {
+  const seen = new Set();
+  /** @type {MentionedFile[]} */
+  const files = [];
+
+  for (const { raw, certain } of extractCandidates(prompt || '').slice(0, MAX_MENTIONS)) {
+    const resolved = resolveMention(raw, cwd);
+    if (seen.has(resolved)) continue;
+    seen.add(resolved);
+
+    const exists = fs.existsSync(resolved);
+    if (!certain && !exists) continue;
+
+    files.push({
+      raw,
+      path: resolved,
+      extension: path.extname(resolved).toLowerCase(),
+      exists,
+    });
+  }
+
+  return files;
+}
+
+module.exports = {
+  findMentionedFiles,
+};
@@ -0,0 +1,273 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Project fingerprint (exposed as `context.project`).
+ *
+ * Computed once per prompt from the files in the project root, so matchers can
+ * condition on the stack without probing indicator files themselves. Detection is
+ * deliberately shallow: only root-level manifests, lock files and CI configs are read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('../UserPromptSubmit/types').ProjectProfile} ProjectProfile
+ * @typedef {{languages: Set<string>, packageManagers: Set<string>, frameworks: Set<string>}} ProfileSets
+ */
+
+/** Manifests larger than this are not parsed (frameworks are then not detected). */
+const MAX_MANIFEST_BYTES = 512 * 1024;
+
+/** JavaScript dependencies that identify a framework or test runner. */
+const NODE_FRAMEWORKS = {
+  react: 'react',
+  next: 'next',
+  vue: 'vue',
+  nuxt: 'nuxt',
+  svelte: 'svelte',
+  '@sveltejs/kit': 'sveltekit',
+  '@angular/core': 'angular',
+  'solid-js': 'solid',
+  astro: 'astro',
+  '@remix-run/react': 'remix',
+  express: 'express',
+  fastify: 'fastify',
+  koa: 'koa',
+  '@nestjs/core': 'nestjs',
+  electron: 'electron',
+  'react-native': 'react-native',
+  vite: 'vite',
+  jest: 'jest',
+  vitest: 'vitest',
+  mocha: 'mocha',
+  '@playwright/test': 'playwright',
+  cypress: 'cypress',
+  prisma: 'prisma',
+  tailwindcss: 'tailwind',
+};
+
+/** Python packages that identify a framework or test runner. */
+const PYTHON_FRAMEWORKS = ['django', 'flask', 'fastapi', 'pytest', 'sqlalchemy', 'pandas', 'torch'];
+
+/** Go modules that identify a framework. */
+const GO_FRAMEWORKS = {
+  'github.com/gin-gonic/gin': 'gin',
+  'github.com/labstack/echo': 'echo',
+  'github.com/gofiber/fiber': 'fiber',
+  'github.com/go-chi/chi': 'chi',
+  'github.com/spf13/cobra': 'cobra',
+};
+
+/** Rust crates that identify a framework. */
+const RUST_FRAMEWORKS = ['actix-web', 'axum', 'rocket', 'tokio', 'tauri', 'bevy', 'clap'];
+
+/** Lock files and the package manager they belong to. */
+const LOCK_FILES = {
+  'package-lock.json': 'npm',
+  'yarn.lock': 'yarn',
+  'pnpm-lock.yaml': 'pnpm',
+  'bun.lockb': 'bun',
+  'bun.lock': 'bun',
+  'poetry.lock': 'poetry',
+  'uv.lock': 'uv',
+  'Pipfile.lock': 'pipenv',
+  'Cargo.lock': 'cargo',
+  'Gemfile.lock': 'bundler',
+  'composer.lock': 'composer',
+};
+
+/** CI configuration paths (relative to the project root) and the CI system they belong to. */
+const CI_CONFIGS = {
+  '.github/workflows': 'github-actions',
+  '.gitlab-ci.yml': 'gitlab-ci',
+  '.circleci': 'circleci',
+  Jenkinsfile: 'jenkins',
+  'azure-pipelines.yml': 'azure-pipelines',
+  '.travis.yml': 'travis',
+  'bitbucket-pipelines.yml': 'bitbucket-pipelines',
+};
+
+/** Files that indicate a Docker setup. */
+const DOCKER_FILE = /^(dockerfile(\..+)?|.+\.dockerfile|(docker-)?compose(\..+)?\.ya?ml)$/i;
+
+/**
+ * Read a manifest from the project root.
+ * @param {string} root
+ * @param {string} name
+ * @returns {string|null} File content, or null when missing, unreadable or too large
+ */
+function readManifest(root, name) {
+  try {
+    const filePath = path.join(root, name);
+    if (fs.statSync(filePath).size > MAX_MANIFEST_BYTES) return null;
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the JavaScript/TypeScript stack from package.json.
+ * @param {string} root
+ * @param {Set<string>} entries - File names in the project root
+ * @param {ProfileSets} profile - Detected values (mutated)
+ * @returns {void}
+ */
+function detectNode(root, entries, profile) {
+  let manifest = null;
+  try {
+    manifest = JSON.parse(readManifest(root, 'package.json') || 'null');
+  } catch {
+    // Invalid package.json - the language is still detected below
+  }
+
+  profile.languages.add('javascript');
+  const dependencies = {
+    ...((manifest && manifest.dependencies) || {}),
+    ...((manifest && manifest.devDependencies) || {}),
+  };
+  if (entries.has('tsconfig.json') || dependencies.typescript) {
+    profile.languages.add('typescript');
+  }
+
+  // The "packageManager" field (corepack) names the package manager explicitly
+  if (manifest && typeof manifest.packageManager === 'string') {
+    profile.packageManagers.add(manifest.packageManager.split('@')[0]);
+  }
+
+  for (const [dependency, framework] of Object.entries(NODE_FRAMEWORKS)) {
+    if (dependencies[dependency]) profile.frameworks.add(framework);
+  }
+}
+
+/**
+ * Detect Python frameworks from pyproject.toml and requirements.txt.
+ * @param {string} root
+ * @param {Set<string>} entries
+ * @param {ProfileSets} profile - Detected values (mutated)
+ * @returns {void}
+ */
+function detectPython(root, entries, profile) {
+  profile.languages.add('python');
+
+  const pyproject = entries.has('pyproject.toml') ? readManifest(root, 'pyproject.toml') : null;
+  if (pyproject && /^\[tool\.poetry\]/m.test(pyproject)) profile.packageManagers.add('poetry');
+  if (entries.has('Pipfile')) profile.packageManagers.add('pipenv');
+  if (entries.has('requirements.txt')) profile.packageManagers.add('pip');
+
+  const text = [pyproject, readManifest(root, 'requirements.txt')].filter(Boolean).join('\n');
+  for (const framework of PYTHON_FRAMEWORKS) {
+    if (new RegExp(`(^|[\\s"'\\[,])${framework}\\b`, 'im').test(text)) {
+      profile.frameworks.add(framework);
+    }
+  }
+}
+
+/**
+ * Detect the project profile of a directory.
+ * Never throws: an unreadable directory yields an empty profile.
+ *
+ * @param {string} root - Project root directory
+ * @returns {ProjectProfile}
+ */
+function detectProjectProfile(root) {
+  /** @type {ProfileSets} */
+  const profile = {
+    languages: new Set(),
+    packageManagers: new Set(),
+    frameworks: new Set(),
+  };
+
+  let entries;
+  try {
+    entries = new Set(fs.readdirSync(root));
+  } catch {
+    entries = new Set();
+  }
+
+  if (entries.has('package.json')) {
+    detectNode(root, entries, profile);
+  }
+
+  if (['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile'].some((f) => entries.has(f))) {
+    detectPython(root, entries, profile);
+  }
+
+  if (entries.has('go.mod')) {
+    profile.languages.add('go');
+    profile.packageManagers.add('go');
+    const goMod = readManifest(root, 'go.mod') || '';
+    for (const [module, framework] of Object.entries(GO_FRAMEWORKS)) {
+      if (goMod.includes(module)) profile.frameworks.add(framework);
+    }
+  }
+
+  if (entries.has('Cargo.toml')) {
+    profile.languages.add('rust');
+    profile.packageManagers.add('cargo');
+    const cargo = readManifest(root, 'Cargo.toml') || '';
+    for (const framework of RUST_FRAMEWORKS) {
+      if (new RegExp(`^${framework}\\s*=`, 'm').test(cargo)) profile.frameworks.add(framework);
+    }
+  }
+
+  if (entries.has('Gemfile')) {
+    profile.languages.add('ruby');
+    profile.packageManagers.add('bundler');
+    if (/^\s*gem\s+["']rails["']/m.test(readManifest(root, 'Gemfile') || '')) {
+      profile.frameworks.add('rails');
+    }
+  }
+
+  if (entries.has('pom.xml')) {
+    profile.languages.add('java');
+    profile.packageManagers.add('maven');
+  }
+  if (entries.has('build.gradle') || entries.has('build.gradle.kts')) {
+    profile.languages.add(entries.has('build.gradle.kts') ? 'kotlin' : 'java');
+    profile.packageManagers.add('gradle');
+  }
+
+  if (entries.has('composer.json')) {
+    profile.languages.add('php');
+  }
+
+  if ([...entries].some((entry) => entry.endsWith('.tf'))) {
+    profile.languages.add('terraform');
+  }
+
+  for (const [lockFile, manager] of Object.entries(LOCK_FILES)) {
+    if (entries.has(lockFile)) profile.packageManagers.add(manager);
+  }
+  // A package.json without lock file or "packageManager" field is managed with npm
+  const nodeManagers = ['npm', 'yarn', 'pnpm', 'bun'];
+  if (entries.has('package.json') && !nodeManagers.some((m) => profile.packageManagers.has(m))) {
+    profile.packageManagers.add('npm');
+  }
+
+  const ci = Object.entries(CI_CONFIGS)
+    .filter(([configPath]) => fs.existsSync(path.join(root, configPath)))
+    .map(([, system]) => system);
+
+  return {
+    root,
+    languages: [...profile.languages],
+    packageManagers: [...profile.packageManagers],
+    frameworks: [...profile.frameworks],
+    docker: [...entries].some((entry) => DOCKER_FILE.test(entry)),
+    ci,
+  };
+}
+
+module.exports = {
+  detectProjectProfile,
+};
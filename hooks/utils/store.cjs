@@ -0,0 +1,192 @@
+/**
+ * ⚠️  DO NOT EDIT - Managed by claude-rio
+ *
+ * This file is installed and maintained by claude-rio.
+ * Manual changes will be lost when claude-rio is updated.
+ *
+ * To customize behavior, create skills in .claude/skills/
+ * See: .claude/docs/CREATING_SKILLS.md
+ */
+
+/**
+ * Local JSON state store, kept next to the installed hook (`.claude/hooks/rio/state/`).
+ *
+ * Layout:
+ * - sessions/<sessionId>.json - per-session state (e.g. the last suggestion set)
+ * - stats/<projectKey>.json   - per-project suggestion statistics
+ * - vocabulary/<projectKey>.json - per-project keywords learned from JavaScript matchers
+ * - transcripts/<hash>.json    - per-transcript digest (parsed byte offset + extracted data)
+ *
+ * Writes are atomic (temp file + rename), so a concurrent reader never sees a partial file.
+ * Session state and transcript digests are removed once they go unused for two weeks.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { ok, err, wrapAsync, wrapSync } = require('./result.cjs');
+const { ensureDir, isNotFoundError } = require('./io.cjs');
+
+const STATE_DIR = path.join(__dirname, '..', 'state');
+
+/** Session state files older than this are removed whenever a new session is stored. */
+const SESSION_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build a filesystem-safe key from a project directory (same scheme as the discovery index).
+ * @param {string} projectDir
+ * @returns {string}
+ */
+function getProjectKey(projectDir) {
+  return projectDir.replace(/[^A-Za-z0-9]/g, '_');
+}
+
+/**
+ * Read a JSON file. A missing file resolves to null.
+ * @param {string} filePath
+ * @returns {Promise<{ok: boolean, value?: any, error?: string}>}
+ */
+async function readJsonFile(filePath) {
+  const readRes = await wrapAsync(() => fs.readFile(filePath, 'utf8'));
+  if (!readRes.ok) {
+    return isNotFoundError(readRes.error) ? ok(null) : err(readRes.error);
+  }
+
+  const parseRes = wrapSync(() => JSON.parse(readRes.value));
+  if (!parseRes.ok) {
+    return err(`${filePath}: invalid JSON: ${parseRes.error}`);
+  }
+  return ok(parseRes.value);
+}
+
+/**
+ * Write a JSON file atomically, creating parent directories as needed.
+ * @param {string} filePath
+ * @param {any} data
+ * @param {{compact?: boolean}} [options] - compact skips the indentation (large, machine-only files)
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function writeJsonFile(filePath, data, options = {}) {
+  const ensureRes = await ensureDir(path.dirname(filePath));
+  if (!ensureRes.ok) {
+    return ensureRes;
+  }
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const writeRes = await wrapAsync(async () => {
+    const json = options.compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+    await fs.writeFile(tmpPath, `${json}\n`, 'utf8');
+    await fs.rename(tmpPath, filePath);
+  });
+  if (!writeRes.ok) {
+    await wrapAsync(() => fs.rm(tmpPath, { force: true }));
+    return err(`Cannot write ${filePath}: ${writeRes.error}`);
+  }
+  return ok(true);
+}
+
+/**
+ * Remove the files of a directory that were not modified for `maxAgeMs`.
+ * Never fails: a missing directory or a file that cannot be removed is skipped.
+ * @param {string} dir
+ * @param {number} maxAgeMs
+ * @returns {Promise<void>}
+ */
+async function pruneStaleFiles(dir, maxAgeMs) {
+  const entriesRes = await wrapAsync(() => fs.readdir(dir));
+  if (!entriesRes.ok) return;
+
+  const now = Date.now();
+  for (const entry of entriesRes.value) {
+    const filePath = path.join(dir, entry);
+    const statRes = await wrapAsync(() => fs.stat(filePath));
+    if (statRes.ok && statRes.value.isFile() && now - statRes.value.mtimeMs > maxAgeMs) {
+      await wrapAsync(() => fs.rm(filePath, { force: true }));
+    }
+  }
+}
+
+/**
+ * Get the path of a session state file.
+ * @param {string} sessionId
+ * @param {string} [stateDir] - State directory (defaults to the installed hook's state dir)
+ * @returns {string}
+ */
+function getSessionStatePath(sessionId, stateDir = STATE_DIR) {
+  const safeId = String(sessionId).replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(stateDir, 'sessions', `${safeId}.json`);
+}
+
+/**
+ * Get the path of a project's statistics file.
+ * @param {string} projectDir
+ * @param {string} [stateDir] - State directory (defaults to the installed hook's state dir)
+ * @returns {string}
+ */
+function getStatsPath(projectDir, stateDir = STATE_DIR) {
+  return path.join(stateDir, 'stats', `${getProjectKey(projectDir)}.json`);
+}
+
+/**
+ * Get the path of a project's learned keyword vocabulary.
+ * @param {string} projectDir
+ * @param {string} [stateDir] - State directory (defaults to the installed hook's state dir)
+ * @returns {string}
+ */
+function getVocabularyPath(projectDir, stateDir = STATE_DIR) {
+  return path.join(stateDir, 'vocabulary', `${getProjectKey(projectDir)}.json`);
+}
+
+/**
+ * Get the path of a transcript digest file.
+ * Transcript paths can be long, so the file is named after a hash of the path.
+ * @param {string} transcriptPath
+ * @param {string} [stateDir] - State directory (defaults to the installed hook's state dir)
+ * @returns {string}
+ */
+function getTranscriptDigestPath(transcriptPath, stateDir = STATE_DIR) {
+  const hash = crypto.createHash('sha1').update(transcriptPath).digest('hex').slice(0, 16);
+  return path.join(stateDir, 'transcripts', `${hash}.json`);
+}
+
+/**
+ * Read the state of a session (empty object when there is none yet).
+ * @param {string} sessionId
+ * @param {string} [stateDir]
+ * @returns {Promise<{ok: boolean, value?: Record<string, any>, error?: string}>}
+ */
+async function readSessionState(sessionId, stateDir) {
+  const res = await readJsonFile(getSessionStatePath(sessionId, stateDir));
+  return res.ok ? ok(res.value || {}) : res;
+}
+
+/**
+ * Write the state of a session. Storing a new session first prunes the state of
+ * sessions not updated for SESSION_MAX_AGE_MS.
+ * @param {string} sessionId
+ * @param {Record<string, any>} state
+ * @param {string} [stateDir]
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function writeSessionState(sessionId, state, stateDir) {
+  const statePath = getSessionStatePath(sessionId, stateDir);
+  const existsRes = await wrapAsync(() => fs.access(statePath));
+  if (!existsRes.ok) {
+    await pruneStaleFiles(path.dirname(statePath), SESSION_MAX_AGE_MS);
+  }
+  return writeJsonFile(statePath, state);
+}
+
+module.exports = {
+  STATE_DIR,
+  getProjectKey,
+  readJsonFile,
+  writeJsonFile,
+  pruneStaleFiles,
+  getSessionStatePath,
+  getStatsPath,
+  getVocabularyPath,
+  getTranscriptDigestPath,
+  readSessionState,
+  writeSessionState,
+};
@@ -9,27 +9,154 @@
  */
 
 const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
 const readline = require('readline');
+const store = require('./store.cjs');
+const { wrapAsync } = require('./result.cjs');
 
 /**
- * Module-level cache for transcript data.
+ * @typedef {import('../UserPromptSubmit/types').FileOperation} FileOperation
+ * @typedef {import('../UserPromptSubmit/types').FailedCommand} FailedCommand
+ * @typedef {import('../UserPromptSubmit/types').TranscriptMessage} TranscriptMessage
+ * @typedef {import('../UserPromptSubmit/types').TranscriptBlock} TranscriptBlock
+ */
+
+/**
+ * Persisted per-transcript digest, used by the hook's own per-prompt checks (recent
+ * use and acceptance tracking). Transcripts are append-only JSONL files, so the digest
+ * remembers how many bytes were parsed; each invocation only parses the lines appended
+ * since. It only keeps what those checks need: the tool uses of the main conversation
+ * with the fields naming the invoked skill, agent or command, and the prompt
+ * timestamps, each limited to the most recent MAX_DIGEST_ENTRIES. Message text,
+ * thinking and file contents are never stored.
+ *
+ * @typedef {Object} TranscriptDigest
+ * @property {number} version - DIGEST_VERSION the digest was built with
+ * @property {string} transcriptPath - Transcript the digest belongs to
+ * @property {number} offset - Bytes parsed so far (always at a line boundary)
+ * @property {number} headLength - Number of leading bytes covered by headHash
+ * @property {string} headHash - Hash of the leading bytes (detects a replaced transcript)
+ * @property {Array<{tool: string, input: object, timestamp: string}>} toolUsage
+ * @property {string[]} promptTimestamps - Timestamps of the user prompts
+ */
+
+/**
+ * Views the transcript utilities return, derived from the normalized messages of the
+ * main conversation (sidechain, meta and summary messages are left out). They are
+ * complete and only kept in memory.
+ *
+ * @typedef {Object} TranscriptViews
+ * @property {Array<{role: string, content: string, timestamp: string}>} conversation
+ * @property {Array<{tool: string, input: object, timestamp: string}>} toolUsage
+ * @property {string|null} initialMessage
+ * @property {FileOperation[]} fileOperations
+ * @property {FailedCommand[]} failedCommands
+ * @property {string[]} promptTimestamps
+ */
+
+/** Digest format version; bump it when the extracted data changes so old digests are rebuilt. */
+const DIGEST_VERSION = 6;
+
+/** Bytes read at a time when parsing new transcript lines. */
+const CHUNK_SIZE = 1024 * 1024;
+
+/** Leading bytes hashed to detect a transcript that was rewritten instead of appended to. */
+const HEAD_SIZE = 1024;
+
+/** Digests older than this are removed whenever a new digest is created. */
+const DIGEST_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/** Entries kept per digest list (the most recent ones). */
+const MAX_DIGEST_ENTRIES = 500;
+
+/** Tool input fields kept in the digest: those naming the invoked skill, agent or command. */
+const DIGEST_INPUT_FIELDS = ['skill', 'subagent_type', 'command'];
+
+/** Tools whose input names a file, with the operation they perform and the input field. */
+const FILE_TOOLS = {
+  Read: { operation: 'read', field: 'file_path' },
+  Edit: { operation: 'edit', field: 'file_path' },
+  MultiEdit: { operation: 'edit', field: 'file_path' },
+  NotebookEdit: { operation: 'edit', field: 'notebook_path' },
+  Write: { operation: 'write', field: 'file_path' },
+};
+
+/** Characters of error output kept per failed command (the end, where errors usually are). */
+const STDERR_SNIPPET_CHARS = 500;
+
+/** Characters of tool result text kept in normalized messages (the end of the output). */
+const TOOL_RESULT_CHARS = 2000;
+
+/** Names of the transcript utilities (also the methods matcher workers may call remotely). */
+const TRANSCRIPT_METHODS = [
+  'getConversationHistory',
+  'getToolUsage',
+  'getInitialMessage',
+  'getAllMessages',
+  'getMessages',
+  'getFileOperations',
+  'getFailedCommands',
+  'getLastAssistantMessage',
+  'getRecentUserPrompts',
+  'getPromptTimestamps',
+];
+
+/**
+ * Whether the digest is persisted, see configure.
+ * @type {{persist: boolean}}
+ */
+const settings = { persist: true };
+
+/**
+ * Module-level cache for transcript data, keyed by transcript path.
  * Automatically scoped to this process execution - each hook invocation
  * is a separate Node.js process, so cache is fresh each time.
+ * Matchers in worker threads call into the handler's instance (see isolation.cjs),
+ * so the transcript is parsed at most once per invocation, and only when asked for.
+ *
+ * @type {Map<string, {digest?: Promise<TranscriptDigest>, views?: Promise<TranscriptViews>, messages?: Promise<TranscriptMessage[]>, allMessages?: Array<object>}>}
+ */
+const cache = new Map();
+
+/**
+ * Configure the digest. With `persist` false no digest is read or written: the whole
+ * transcript is parsed in memory (used by the CLI dry runs).
+ *
+ * @param {{persist?: boolean}} options
+ * @returns {void}
  */
-const cache = {};
+function configure(options) {
+  Object.assign(settings, options);
+}
+
+/**
+ * Get normalized messages from transcript (cached).
+ * Every message is returned, including sidechain (subagent), meta and summary messages.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<TranscriptMessage[]>}
+ */
+function getMessages(transcriptPath) {
+  const entry = getCacheEntry(transcriptPath);
+  if (!entry.messages) {
+    entry.messages = getAllMessages(transcriptPath).then((messages) =>
+      messages.map(normalizeMessage).filter(Boolean)
+    );
+  }
+  return entry.messages;
+}
 
 /**
  * Get conversation history from transcript (cached).
- * Returns array of {role: 'user'|'assistant', content: string} objects.
+ * Returns array of {role: 'user'|'assistant', content: string, timestamp: string} objects.
  *
  * @param {string} transcriptPath - Path to transcript file
- * @returns {Promise<Array<{role: string, content: string}>>}
+ * @returns {Promise<Array<{role: string, content: string, timestamp: string}>>}
  */
 async function getConversationHistory(transcriptPath) {
-  if (!cache.conversationHistory) {
-    cache.conversationHistory = await parseConversationHistory(transcriptPath);
-  }
-  return cache.conversationHistory;
+  return (await loadViews(transcriptPath)).conversation;
 }
 
 /**
@@ -40,24 +167,79 @@ async function getConversationHistory(transcriptPath) {
  * @returns {Promise<Array<{tool: string, input: object, timestamp: string}>>}
  */
 async function getToolUsage(transcriptPath) {
-  if (!cache.toolUsage) {
-    cache.toolUsage = await parseToolUsage(transcriptPath);
-  }
-  return cache.toolUsage;
+  return (await loadViews(transcriptPath)).toolUsage;
 }
 
 /**
  * Get the initial user message from transcript (cached).
- * Returns the content of the first user message, or null if not found.
+ * Returns the text of the first user message, or null if not found.
  *
  * @param {string} transcriptPath - Path to transcript file
  * @returns {Promise<string|null>}
  */
 async function getInitialMessage(transcriptPath) {
-  if (!cache.initialMessage) {
-    cache.initialMessage = await parseInitialMessage(transcriptPath);
+  return (await loadViews(transcriptPath)).initialMessage;
+}
+
+/**
+ * Get the files read, edited or written in the session (cached).
+ * Returns one entry per Read/Edit/MultiEdit/NotebookEdit/Write tool use, oldest first.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<FileOperation[]>}
+ */
+async function getFileOperations(transcriptPath) {
+  return (await loadViews(transcriptPath)).fileOperations;
+}
+
+/**
+ * Get the Bash commands that failed in the session (cached).
+ * Returns entries with the exit code (null when unknown, e.g. timeouts) and the
+ * last characters of the error output, oldest first.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<FailedCommand[]>}
+ */
+async function getFailedCommands(transcriptPath) {
+  return (await loadViews(transcriptPath)).failedCommands;
+}
+
+/**
+ * Get the text of the last assistant message (cached).
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<string|null>}
+ */
+async function getLastAssistantMessage(transcriptPath) {
+  const history = await getConversationHistory(transcriptPath);
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role === 'assistant') return history[i].content;
   }
-  return cache.initialMessage;
+  return null;
+}
+
+/**
+ * Get the most recent user prompts (cached), oldest first.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @param {number} [n=5] - Number of prompts to return
+ * @returns {Promise<string[]>}
+ */
+async function getRecentUserPrompts(transcriptPath, n = 5) {
+  const prompts = (await getConversationHistory(transcriptPath))
+    .filter((entry) => entry.role === 'user')
+    .map((entry) => entry.content);
+  return n > 0 ? prompts.slice(-n) : [];
+}
+
+/**
+ * Get the timestamps of the user prompts (cached), oldest first.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<string[]>}
+ */
+async function getPromptTimestamps(transcriptPath) {
+  return (await loadViews(transcriptPath)).promptTimestamps;
 }
 
 /**
@@ -68,10 +250,27 @@ async function getInitialMessage(transcriptPath) {
  * @returns {Promise<Array<object>>}
  */
 async function getAllMessages(transcriptPath) {
-  if (!cache.allMessages) {
-    cache.allMessages = await parseAllMessages(transcriptPath);
+  const entry = getCacheEntry(transcriptPath);
+  if (!entry.allMessages) {
+    entry.allMessages = await parseAllMessages(transcriptPath);
+  }
+  return entry.allMessages;
+}
+
+/**
+ * Load the transcript digest for the hook's own checks, parsing only the lines
+ * appended since the last invocation (cached). Without persistence the whole
+ * transcript is parsed. Not part of the matcher utilities.
+ *
+ * @param {string} transcriptPath - Path to transcript file
+ * @returns {Promise<TranscriptDigest|null>} null when the transcript cannot be read
+ */
+function loadDigest(transcriptPath) {
+  const entry = getCacheEntry(transcriptPath);
+  if (!entry.digest) {
+    entry.digest = settings.persist ? updateDigest(transcriptPath) : parseDigest(transcriptPath);
   }
-  return cache.allMessages;
+  return entry.digest;
 }
 
 // ============================================================================
@@ -79,105 +278,474 @@ async function getAllMessages(transcriptPath) {
 // ============================================================================
 
 /**
- * Parse conversation history from transcript.
+ * Get the cache entry of a transcript.
  * @private
  */
-async function parseConversationHistory(transcriptPath) {
-  const messages = await parseAllMessages(transcriptPath);
-  const conversation = [];
+function getCacheEntry(transcriptPath) {
+  if (!cache.has(transcriptPath)) {
+    cache.set(transcriptPath, {});
+  }
+  return cache.get(transcriptPath);
+}
 
-  for (const message of messages) {
-    if (message.type === 'summary') continue;
-
-    if (message.type === 'user' && message.message?.role === 'user') {
-      let content = '';
-
-      if (typeof message.message.content === 'string') {
-        content = message.message.content;
-      } else if (Array.isArray(message.message.content)) {
-        content = message.message.content
-          .filter((item) => item.type === 'text' && item.content)
-          .map((item) => item.content)
-          .join('\n');
-      }
+/**
+ * Load the views returned by the transcript utilities (cached).
+ * @private
+ * @returns {Promise<TranscriptViews>}
+ */
+function loadViews(transcriptPath) {
+  const entry = getCacheEntry(transcriptPath);
+  if (!entry.views) {
+    entry.views = getMessages(transcriptPath).then(deriveViews);
+  }
+  return entry.views;
+}
 
-      if (content) {
-        conversation.push({ role: 'user', content });
-      }
-    } else if (message.type === 'assistant') {
-      const textContent = message.message.content
-        .filter((item) => item.type === 'text' && item.text)
-        .map((item) => item.text)
-        .join('');
-
-      if (textContent) {
-        conversation.push({ role: 'assistant', content: textContent });
+/**
+ * Create an empty digest.
+ * @private
+ */
+function createEmptyDigest(transcriptPath) {
+  return {
+    version: DIGEST_VERSION,
+    transcriptPath,
+    offset: 0,
+    headLength: 0,
+    headHash: '',
+    toolUsage: [],
+    promptTimestamps: [],
+  };
+}
+
+/**
+ * Hash the first `length` bytes of a file.
+ * @private
+ */
+async function hashHead(filePath, length) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return crypto.createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that a stored digest still describes the transcript (same file, only appended to).
+ * @private
+ */
+async function isDigestCurrent(digest, transcriptPath, size) {
+  if (
+    !digest ||
+    digest.version !== DIGEST_VERSION ||
+    digest.transcriptPath !== transcriptPath ||
+    typeof digest.offset !== 'number' ||
+    digest.offset > size
+  ) {
+    return false;
+  }
+  const hashRes = await wrapAsync(() => hashHead(transcriptPath, digest.headLength));
+  return hashRes.ok && hashRes.value === digest.headHash;
+}
+
+/**
+ * Call `onLine` for every complete line starting at `offset`.
+ * A trailing line without newline (still being written) is left for the next call.
+ * @private
+ * @returns {Promise<number>} Offset right after the last complete line
+ */
+async function readCompleteLines(filePath, offset, onLine) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const chunk = Buffer.alloc(CHUNK_SIZE);
+    let position = offset;
+    let pending = Buffer.alloc(0);
+
+    for (;;) {
+      const { bytesRead } = await handle.read(chunk, 0, CHUNK_SIZE, position);
+      if (bytesRead === 0) break;
+      position += bytesRead;
+
+      const data = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+      let start = 0;
+      let newline = data.indexOf(10, start);
+      while (newline !== -1) {
+        onLine(data.toString('utf8', start, newline));
+        start = newline + 1;
+        newline = data.indexOf(10, start);
       }
+      pending = data.subarray(start);
+    }
+
+    return position - pending.length;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Add one transcript line to the digest.
+ * @private
+ */
+function addLine(digest, line) {
+  if (!line.trim()) return;
+
+  let raw;
+  try {
+    raw = JSON.parse(line);
+  } catch {
+    // Skip invalid JSON lines
+    return;
+  }
+
+  const message = normalizeMessage(raw);
+  if (message) {
+    addMessage(digest, message);
+  }
+}
+
+/**
+ * Add the tool uses and the prompt timestamp of a main conversation message to the digest.
+ * @private
+ */
+function addMessage(digest, message) {
+  if (!isConversationMessage(message)) return;
+
+  if (message.role === 'user' && message.timestamp && getMessageText(message)) {
+    digest.promptTimestamps.push(message.timestamp);
+  }
+  for (const block of message.blocks) {
+    if (block.type === 'tool_use' && block.name && block.input) {
+      digest.toolUsage.push({
+        tool: block.name,
+        input: pickDigestInput(block.input),
+        timestamp: message.timestamp,
+      });
     }
   }
+}
 
-  return conversation;
+/**
+ * Keep the tool input fields stored in the digest (DIGEST_INPUT_FIELDS).
+ * @private
+ * @returns {object}
+ */
+function pickDigestInput(input) {
+  return Object.fromEntries(
+    DIGEST_INPUT_FIELDS.filter((field) => typeof input[field] === 'string').map((field) => [
+      field,
+      input[field],
+    ])
+  );
 }
 
 /**
- * Parse tool usage from transcript.
+ * Whether a normalized message belongs to the main conversation (not a sidechain,
+ * meta or summary message).
  * @private
  */
-async function parseToolUsage(transcriptPath) {
-  const messages = await parseAllMessages(transcriptPath);
-  const toolUsage = [];
+function isConversationMessage(message) {
+  return (
+    !message.isSidechain &&
+    !message.isMeta &&
+    !message.isSummary &&
+    (message.role === 'user' || message.role === 'assistant')
+  );
+}
 
-  for (const message of messages) {
-    if (message.type === 'assistant') {
-      const toolUses = message.message.content.filter((item) => item.type === 'tool_use');
-
-      for (const toolUse of toolUses) {
-        if (toolUse.name && toolUse.input) {
-          toolUsage.push({
-            tool: toolUse.name,
-            input: toolUse.input,
-            timestamp: message.timestamp,
-          });
-        }
-      }
+/**
+ * Get the text blocks of a normalized message as one string.
+ * @private
+ */
+function getMessageText(message) {
+  return message.blocks
+    .filter((block) => block.type === 'text' && block.text)
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Keep the most recent entries of the digest lists.
+ * @private
+ */
+function trimDigest(digest) {
+  digest.toolUsage = digest.toolUsage.slice(-MAX_DIGEST_ENTRIES);
+  digest.promptTimestamps = digest.promptTimestamps.slice(-MAX_DIGEST_ENTRIES);
+}
+
+/**
+ * Parse the complete lines after the digest offset into the digest.
+ * @private
+ * @returns {Promise<boolean>} Whether the transcript could be read
+ */
+async function parseNewLines(transcriptPath, digest) {
+  const readRes = await wrapAsync(() =>
+    readCompleteLines(transcriptPath, digest.offset, (line) => addLine(digest, line))
+  );
+  if (!readRes.ok) {
+    return false;
+  }
+  digest.offset = readRes.value;
+  trimDigest(digest);
+  return true;
+}
+
+/**
+ * Build a digest of the whole transcript in memory, without storing it.
+ * Never throws: an unreadable transcript yields null.
+ * @private
+ */
+async function parseDigest(transcriptPath) {
+  const digest = createEmptyDigest(transcriptPath);
+  return (await parseNewLines(transcriptPath, digest)) ? digest : null;
+}
+
+/**
+ * Bring the persisted digest of a transcript up to date.
+ * Never throws: an unreadable transcript yields null, and a digest that cannot be
+ * stored is still returned (and rebuilt next time).
+ * @private
+ */
+async function updateDigest(transcriptPath) {
+  const statRes = await wrapAsync(() => fsp.stat(transcriptPath));
+  if (!statRes.ok) {
+    return null;
+  }
+  const size = statRes.value.size;
+
+  const digestPath = store.getTranscriptDigestPath(transcriptPath);
+  const storedRes = await store.readJsonFile(digestPath);
+  let digest = storedRes.ok ? storedRes.value : null;
+
+  if (!(await isDigestCurrent(digest, transcriptPath, size))) {
+    if (!digest) {
+      await store.pruneStaleFiles(path.dirname(digestPath), DIGEST_MAX_AGE_MS);
     }
+    digest = createEmptyDigest(transcriptPath);
+  }
+  if (digest.offset === size) {
+    return digest;
   }
 
-  return toolUsage;
+  if (!(await parseNewLines(transcriptPath, digest))) {
+    return null;
+  }
+
+  if (digest.headLength < HEAD_SIZE) {
+    digest.headLength = Math.min(HEAD_SIZE, digest.offset);
+    const hashRes = await wrapAsync(() => hashHead(transcriptPath, digest.headLength));
+    digest.headHash = hashRes.ok ? hashRes.value : '';
+  }
+
+  await store.writeJsonFile(digestPath, digest, { compact: true });
+  return digest;
 }
 
 /**
- * Parse initial message from transcript.
+ * Normalize a raw transcript line into a message.
+ * Lines that are not messages (file history snapshots, ...) yield null.
  * @private
+ * @returns {TranscriptMessage|null}
  */
-async function parseInitialMessage(transcriptPath) {
-  try {
-    const fileStream = fs.createReadStream(transcriptPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
+function normalizeMessage(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
 
-    for await (const line of rl) {
-      if (!line.trim()) continue;
+  // Compaction summaries are stored as their own line type
+  if (raw.type === 'summary') {
+    return {
+      uuid: raw.leafUuid || null,
+      role: 'system',
+      timestamp: raw.timestamp || null,
+      isSidechain: false,
+      isMeta: false,
+      isSummary: true,
+      blocks: typeof raw.summary === 'string' ? [{ type: 'text', text: raw.summary }] : [],
+    };
+  }
 
-      try {
-        const message = JSON.parse(line);
+  if (raw.type !== 'user' && raw.type !== 'assistant' && raw.type !== 'system') {
+    return null;
+  }
+
+  return {
+    uuid: raw.uuid || null,
+    role: raw.type,
+    timestamp: raw.timestamp || null,
+    isSidechain: raw.isSidechain === true,
+    isMeta: raw.isMeta === true,
+    isSummary: raw.isCompactSummary === true,
+    blocks: normalizeContent(raw.message ? raw.message.content : raw.content, raw.toolUseResult),
+  };
+}
+
+/**
+ * Normalize message content (a string or a list of content blocks).
+ * @private
+ * @returns {TranscriptBlock[]}
+ */
+function normalizeContent(content, toolUseResult) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    return [];
+  }
+  return content
+    .filter((item) => item && typeof item === 'object')
+    .map((item) => normalizeBlock(item, toolUseResult));
+}
 
-        if (message.type === 'user' && message.message?.role === 'user') {
-          if (typeof message.message.content === 'string') {
-            return message.message.content;
-          }
+/**
+ * Normalize one content block.
+ * @private
+ * @returns {TranscriptBlock}
+ */
+function normalizeBlock(item, toolUseResult) {
+  switch (item.type) {
+    case 'text':
+      return { type: 'text', text: typeof item.text === 'string' ? item.text : '' };
+    case 'thinking':
+    case 'redacted_thinking':
+      return { type: 'thinking', text: typeof item.thinking === 'string' ? item.thinking : '' };
+    case 'tool_use':
+      return {
+        type: 'tool_use',
+        id: item.id || null,
+        name: item.name || null,
+        input: item.input || null,
+      };
+    case 'tool_result': {
+      // Bash results carry stdout/stderr separately next to the message content
+      const stderr =
+        toolUseResult && typeof toolUseResult.stderr === 'string' && toolUseResult.stderr
+          ? toolUseResult.stderr.slice(-TOOL_RESULT_CHARS)
+          : null;
+      return {
+        type: 'tool_result',
+        toolUseId: item.tool_use_id || null,
+        isError: item.is_error === true,
+        text: getResultText(item.content).slice(-TOOL_RESULT_CHARS),
+        stderr,
+      };
+    }
+    case 'image':
+      return { type: 'image', mediaType: (item.source && item.source.media_type) || null };
+    default:
+      return { type: 'other', rawType: String(item.type) };
+  }
+}
+
+/**
+ * Get the text of a tool result (a string or a list of content blocks).
+ * @private
+ * @returns {string}
+ */
+function getResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((item) => item && item.type === 'text' && typeof item.text === 'string')
+      .map((item) => item.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Derive the views returned by the transcript utilities from the normalized messages.
+ * @private
+ * @returns {TranscriptViews}
+ */
+function deriveViews(messages) {
+  /** @type {TranscriptViews} */
+  const views = {
+    conversation: [],
+    toolUsage: [],
+    initialMessage: null,
+    fileOperations: [],
+    failedCommands: [],
+    promptTimestamps: [],
+  };
+  // Bash commands by tool use id, to pair them with their results
+  const commands = new Map();
+
+  for (const message of messages) {
+    if (!isConversationMessage(message)) continue;
+
+    const text = getMessageText(message);
+    if (text) {
+      views.conversation.push({ role: message.role, content: text, timestamp: message.timestamp });
+      if (message.role === 'user') {
+        if (views.initialMessage === null) views.initialMessage = text;
+        if (message.timestamp) views.promptTimestamps.push(message.timestamp);
+      }
+    }
+
+    for (const block of message.blocks) {
+      if (block.type === 'tool_use' && block.name && block.input) {
+        views.toolUsage.push({
+          tool: block.name,
+          input: block.input,
+          timestamp: message.timestamp,
+        });
+        if (block.name === 'Bash' && typeof block.input.command === 'string') {
+          commands.set(block.id, block.input.command);
         }
-      } catch {
-        // Skip invalid JSON lines
+      } else if (block.type === 'tool_result' && block.isError && commands.has(block.toolUseId)) {
+        views.failedCommands.push(
+          toFailedCommand(commands.get(block.toolUseId), block, message.timestamp)
+        );
       }
     }
+  }
 
-    return null;
-  } catch {
-    return null;
+  views.fileOperations = views.toolUsage.flatMap(toFileOperation);
+  return views;
+}
+
+/**
+ * Convert a tool use into a file operation (empty when the tool does not touch a file).
+ * @private
+ * @returns {FileOperation[]}
+ */
+function toFileOperation(toolUse) {
+  const fileTool = FILE_TOOLS[toolUse.tool];
+  const filePath = fileTool && toolUse.input[fileTool.field];
+  if (typeof filePath !== 'string' || !filePath) {
+    return [];
   }
+  return [
+    {
+      operation: fileTool.operation,
+      path: filePath,
+      tool: toolUse.tool,
+      timestamp: toolUse.timestamp,
+    },
+  ];
+}
+
+/**
+ * Build the failed command entry of an error tool result.
+ * Bash errors start with an "Exit code N" line followed by the output.
+ * @private
+ * @returns {FailedCommand}
+ */
+function toFailedCommand(command, result, timestamp) {
+  const exitMatch = /^(?:Error: )?Exit code (\d+)/.exec(result.text);
+  const stderr = result.stderr || result.text.slice(exitMatch ? exitMatch[0].length : 0);
+
+  return {
+    command,
+    exitCode: exitMatch ? Number(exitMatch[1]) : null,
+    stderr: stderr.trim().slice(-STDERR_SNIPPET_CHARS),
+    timestamp,
+  };
 }
 
 /**
@@ -211,8 +779,17 @@ async function parseAllMessages(transcriptPath) {
 }
 
 module.exports = {
+  TRANSCRIPT_METHODS,
+  configure,
   getConversationHistory,
   getToolUsage,
   getInitialMessage,
   getAllMessages,
+  getMessages,
+  getFileOperations,
+  getFailedCommands,
+  getLastAssistantMessage,
+  getRecentUserPrompts,
+  getPromptTimestamps,
+  loadDigest,
 };
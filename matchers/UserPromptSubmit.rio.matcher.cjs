@@ -1,11 +1,12 @@
 /**
- * Universal UserPromptSubmit Matcher Template (v2.0)
+ * Universal UserPromptSubmit Matcher Template (v3.0)
  *
  * This template is used by the `setup` command to auto-generate
  * matchers for skills and agents. Claude Haiku fills in the keywords array
  * based on the skill/agent description.
  *
- * IMPORTANT: All return fields are MANDATORY and must not be undefined/null.
+ * IMPORTANT: version, matchCount and type are MANDATORY and must not be undefined/null.
+ * matchedKeywords is optional (v3.0) and tells Claude why the item was suggested.
  *
  * @param {Object} context - Matcher context
  * @param {string} context.prompt - User's prompt text
@@ -15,23 +16,27 @@
  * @param {string} context.sessionId - Session ID
  * @param {Object} context.meta - Meta information
  * @param {Object} context.transcript - Transcript utilities (for async usage)
+ * @param {Object} context.helpers - Whole-word matching helpers (hasKeyword, hasPhrase, matchedKeywords, countMatches)
+ * @param {Object} context.git - Lazy git information (getBranch, getDirtyFiles, ...)
+ * @param {Object} context.project - Project profile (languages, packageManagers, frameworks, docker, ci)
+ * @param {Array} context.mentionedFiles - Files referenced in the prompt ({raw, path, extension, exists})
  * @returns {Object} Matcher result with all required fields
  */
 module.exports = function (context) {
-  const prompt = context.prompt.toLowerCase();
-
   // TODO: Haiku fills this array with relevant keywords
   const keywords = [
     // Keywords will be inserted here by setup command
   ];
 
-  // Count matching keywords
-  const matchCount = keywords.filter((keyword) => prompt.includes(keyword)).length;
+  // Collect matching keywords (whole words, so "ts" does not match "tests";
+  // "build" also matches "builds" and "building")
+  const matchedKeywords = context.helpers.matchedKeywords(keywords);
 
-  // IMPORTANT: All fields are MANDATORY and must not be undefined/null
+  // IMPORTANT: version, matchCount and type are MANDATORY and must not be undefined/null
   return {
-    version: '2.0', // Required: always "2.0"
-    matchCount: matchCount, // Required: number of matches (0+)
-    type: 'skill', // TODO: Haiku sets to 'skill' or 'agent' based on context
+    version: '3.0', // Required: always "3.0"
+    matchCount: matchedKeywords.length, // Required: number of matches (0+)
+    type: 'skill', // TODO: Haiku sets to 'skill', 'agent' or 'command' based on context
+    matchedKeywords: matchedKeywords, // Optional: keywords that matched
   };
 };
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for the pure helpers of the hook pipeline.
+ * Run with `npm run test:unit` (node:test, no dependencies).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { maxEditsFor, editDistance, isFuzzyWordMatch } = require('../../hooks/utils/fuzzy.cjs');
+const { stem } = require('../../hooks/utils/helpers.cjs');
+const { getTermKey } = require('../../hooks/UserPromptSubmit/vocabulary.cjs');
+const { applyKeywordWeights, calculateScores } = require('../../hooks/UserPromptSubmit/ranking.cjs');
+const { correlateSuggestions } = require('../../hooks/UserPromptSubmit/acceptance.cjs');
+const { resolveCollisions } = require('../../hooks/UserPromptSubmit/discovery.cjs');
+const { validateConfig } = require('../../hooks/utils/config.cjs');
+const transcript = require('../../hooks/utils/transcript.cjs');
+
+describe('fuzzy matching', () => {
+  it('tolerates more edits for longer words', () => {
+    assert.equal(maxEditsFor(4), 0);
+    assert.equal(maxEditsFor(8), 1);
+    assert.equal(maxEditsFor(9), 2);
+  });
+
+  it('counts an adjacent transposition as one edit', () => {
+    assert.equal(editDistance('docker', 'dokcer'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('abc', 'abc'), 0);
+  });
+
+  it('stops at the limit', () => {
+    assert.equal(editDistance('kubernetes', 'terraform', 2), 3);
+  });
+
+  it('matches short words exactly only', () => {
+    assert.equal(isFuzzyWordMatch('test', 'text'), false);
+    assert.equal(isFuzzyWordMatch('kubernetes', 'kuberentes'), true);
+    assert.equal(isFuzzyWordMatch('docker', 'dokcer'), true);
+  });
+});
+
+describe('stemming', () => {
+  it('reduces plurals and verb endings to one stem', () => {
+    assert.equal(stem('build'), 'build');
+    assert.equal(stem('builds'), 'build');
+    assert.equal(stem('building'), 'build');
+    assert.equal(stem('running'), 'run');
+    assert.equal(stem('caches'), 'cach');
+    assert.equal(stem('caching'), 'cach');
+    assert.equal(stem('dependencies'), 'dependency');
+  });
+
+  it('keeps words ending in ss, us and is', () => {
+    assert.equal(stem('class'), 'class');
+    assert.equal(stem('status'), 'status');
+  });
+
+  it('normalises multi-word keywords term by term', () => {
+    assert.equal(getTermKey('Building Images'), getTermKey('build image'));
+  });
+});
+
+describe('keyword weighting', () => {
+  it('weights generic keywords below rare ones', () => {
+    const vocabulary = [
+      new Set(['build', 'docker']),
+      new Set(['build', 'test']),
+      new Set(['build', 'lint']),
+    ];
+    const items = [
+      { name: 'docker', matchCount: 1, matchedKeywords: ['docker'] },
+      { name: 'ci', matchCount: 1, matchedKeywords: ['build'] },
+    ];
+
+    const weights = applyKeywordWeights(items, vocabulary);
+
+    assert.equal(weights.docker, 1);
+    assert.ok(weights.build < 1);
+    assert.equal(items[0].weightedCount, 1);
+    assert.equal(items[1].weightedCount, weights.build);
+  });
+
+  it('counts unexplained matches 1 each and same-stem keywords once', () => {
+    const items = [{ name: 'docker', matchCount: 3, matchedKeywords: ['build', 'builds'] }];
+
+    applyKeywordWeights(items, [new Set(['build'])]);
+
+    assert.equal(items[0].weightedCount, 2);
+  });
+
+  it('scores by weighted count, highest first', () => {
+    const items = [
+      { name: 'ci', matchCount: 2, weightedCount: 0.5 },
+      { name: 'docker', matchCount: 1, weightedCount: 1 },
+    ];
+
+    calculateScores(items);
+
+    assert.deepEqual(
+      items.map((item) => [item.name, item.score]),
+      [
+        ['docker', 1],
+        ['ci', 0.5],
+      ]
+    );
+  });
+});
+
+describe('acceptance correlation', () => {
+  it('accepts suggestions invoked after they were made', () => {
+    const suggestions = {
+      at: '2026-01-01T00:00:10.000Z',
+      items: [
+        { name: 'docker', type: 'skill', level: 'project' },
+        { name: 'reviewer', type: 'agent', level: 'project' },
+        { name: 'deploy', type: 'command', level: 'user' },
+      ],
+    };
+    const toolUsage = [
+      { tool: 'Task', input: { subagent_type: 'reviewer' }, timestamp: '2026-01-01T00:00:05.000Z' },
+      { tool: 'Skill', input: { skill: 'docker' }, timestamp: '2026-01-01T00:00:11.000Z' },
+      { tool: 'SlashCommand', input: { command: '/deploy prod' }, timestamp: '2026-01-01T00:00:12.000Z' },
+    ];
+
+    const { accepted, ignored } = correlateSuggestions(suggestions, toolUsage);
+
+    assert.deepEqual(
+      accepted.map((item) => item.name),
+      ['docker', 'deploy']
+    );
+    assert.deepEqual(
+      ignored.map((item) => item.name),
+      ['reviewer']
+    );
+  });
+});
+
+describe('transcript digest', () => {
+  it('keeps tool uses and prompt timestamps, not message text', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rio-digest-'));
+    const transcriptPath = path.join(dir, 'session.jsonl');
+    const lines = [
+      {
+        type: 'user',
+        timestamp: '2026-01-01T00:00:01.000Z',
+        message: { role: 'user', content: 'build the image API_KEY=secret' },
+      },
+      {
+        type: 'assistant',
+        timestamp: '2026-01-01T00:00:02.000Z',
+        message: {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Using the docker skill' },
+            { type: 'tool_use', id: 't1', name: 'Skill', input: { skill: 'docker', args: 'x' } },
+          ],
+        },
+      },
+      'not json',
+    ];
+    fs.writeFileSync(
+      transcriptPath,
+      lines.map((line) => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') +
+        '\n'
+    );
+
+    try {
+      transcript.configure({ persist: false });
+      const digest = await transcript.loadDigest(transcriptPath);
+
+      assert.deepEqual(digest.promptTimestamps, ['2026-01-01T00:00:01.000Z']);
+      assert.deepEqual(digest.toolUsage, [
+        { tool: 'Skill', input: { skill: 'docker' }, timestamp: '2026-01-01T00:00:02.000Z' },
+      ]);
+      assert.equal(JSON.stringify(digest).includes('API_KEY'), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('resolves to null for an unreadable transcript', async () => {
+    transcript.configure({ persist: false });
+    assert.equal(await transcript.loadDigest(path.join(os.tmpdir(), 'rio-missing.jsonl')), null);
+  });
+});
+
+describe('configuration validation', () => {
+  it('accepts known options', () => {
+    const res = validateConfig({ maxSuggestions: 3, precedence: 'user', logging: { level: 'off' } });
+    assert.equal(res.ok, true);
+  });
+
+  it('rejects unknown options and invalid values', () => {
+    assert.equal(validateConfig([]).ok, false);
+    assert.match(validateConfig({ maxSugestions: 3 }).error, /unknown option "maxSugestions"/);
+    assert.match(validateConfig({ precedence: 'global' }).error, /"precedence" must be/);
+    assert.equal(validateConfig({ minMatchCount: 0 }).ok, false);
+    assert.equal(validateConfig({ logging: { level: 'verbose' } }).ok, false);
+  });
+});
+
+describe('collision resolution', () => {
+  const matcher = (level, source, matcherPath) => ({
+    name: 'docker',
+    detectedType: 'skill',
+    level,
+    source,
+    matcherPath,
+  });
+
+  it('lets the precedence level win', () => {
+    const user = matcher('user', 'file', '/home/.claude/skills/docker/rio/m.cjs');
+    const project = matcher('project', 'file', '/p/.claude/skills/docker/rio/m.cjs');
+
+    assert.deepEqual(resolveCollisions([user, project], 'project').kept, [project]);
+    assert.deepEqual(resolveCollisions([user, project], 'user').kept, [user]);
+  });
+
+  it('prefers a matcher file over a frontmatter block on the same level', () => {
+    const frontmatter = matcher('project', 'frontmatter', '/p/.claude/skills/docker/SKILL.md');
+    const file = matcher('project', 'file', '/p/.claude/skills/docker/rio/m.cjs');
+
+    const { kept, shadowed } = resolveCollisions([frontmatter, file], 'project');
+
+    assert.deepEqual(kept, [file]);
+    assert.deepEqual(shadowed, [{ matcher: frontmatter, shadowedBy: file }]);
+  });
+
+  it('collapses identical paths', () => {
+    const project = matcher('project', 'file', '/p/.claude/skills/docker/rio/m.cjs');
+
+    const { kept, shadowed } = resolveCollisions([project, { ...project }], 'project');
+
+    assert.equal(kept.length, 1);
+    assert.equal(shadowed.length, 0);
+  });
+});